@@ -16,6 +16,7 @@ module.exports = function(grunt) {
       },
       target: [
         'Gruntfile.js',
+        'cli.js',
         'src/**/*.js',
         'test/**/*.js'
       ]
@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /************************************************************************
  * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
  ************************************************************************
@@ -7,129 +8,576 @@
  * under the terms of The MIT License (MIT), as published by the Open   *
  * Source Initiative. (See http://opensource.org/licenses/MIT)          *
  ************************************************************************/
+'use strict';
 
-const debug = 0;
-const crypto = require('crypto');
-const bali = require('bali-component-framework').api(debug);
-const account = bali.tag();
-const directory = 'test/config/';
-const proxy = require('./').proxy(directory, debug);
-const notary = require('bali-digital-notary').notary(proxy, account, directory, debug);
-
-exports.cli = function() {
-    return {
-
-        transaction: bali.catalog({
-            $timestamp: bali.moment(),
-            $consumer: bali.text('Derk Norton'),
-            $account: account,
-            $merchant: bali.reference('https://www.starbucks.com/'),
-            $amount: 4.95
-        }, {
-            $type: '/acme/types/Transaction/v1',
-            $tag: bali.tag(),
-            $version: bali.version(),
-            $permissions: '/bali/permissions/public/v1',
-            $previous: bali.pattern.NONE
-        }),
-
-        certificate: undefined,
-        citation: undefined,
-        document: undefined,
-
-        getProtocols: function() {
-            const protocols = notary.getProtocols();
-            console.log('The protocols include: ' + protocols);
-        },
-
-        getCitation: function() {
-            notary.getCitation().then(function(citation) {
-                console.log('The certificate citation is: ' + citation);
-            }).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
-            });
-        },
-
-        forgetKey: function() {
-            notary.forgetKey().then(function() {
-                console.log('The key was forgotten.');
-                this.certificate = undefined;
-                this.citation = undefined;
-                this.document = undefined;
-            }.bind(this)).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
+/*
+ * This module implements the bali-hsm command-line tool, which manages a hardware security
+ * module and its keys without any JavaScript being written:
+ * <pre>
+ *   bali-hsm <command> [arguments] [options]
+ * </pre>
+ * Each command creates a proxy for the HSM, performs a single operation and closes the link to
+ * the HSM again. The results are written to standard output as Bali Document Notation™, or as
+ * JSON (with binary values as hexadecimal strings) when the --json option is used. The
+ * passphrase that unlocks the proxy keys is taken from the BALI_HSM_PASSPHRASE environment
+ * variable, or is prompted for if standard input is a terminal.
+ *
+ * The tool exits with one of the following codes:
+ * <pre>
+ *   0: the command succeeded (and for the verify command the signature is valid)
+ *   1: the command failed
+ *   2: the command line is not valid
+ *   3: the signature (or for the status command the audit log) is not valid, or for the
+ *      reconcile command the configuration still disagrees with the HSM
+ * </pre>
+ */
+const fs = require('fs');
+const pfs = fs.promises;
+const stream = require('stream');
+const readline = require('readline');
+const bali = require('bali-component-framework').api();
+const hsm = require('./');
+
+
+// PRIVATE CONSTANTS
+
+const EXIT = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    INVALID: 3
+};
+
+// the options that are recognized, and whether or not each one takes a value
+const OPTIONS = {
+    directory: true,
+    device: true,
+    slot: true,
+    suite: true,
+    tcp: true,
+    serial: true,
+    duration: true,
+    format: true,
+    repair: true,
+    verification: true,
+    previous: false,
+    'dry-run': false,
+    json: false,
+    help: false
+};
+
+// the exception types that mean the command line is not valid
+const USAGE_ERRORS = [ '$invalidUsage', '$invalidOption', '$invalidSlot', '$invalidFormat',
+    '$invalidRepair' ];
+
+// the exception types that mean the HSM could not be reached
+const UNREACHABLE = [ '$noConnection', '$timeout', '$circuitOpen', '$scanFailed' ];
+
+const EOL = '\n';
+
+const moduleName = '/bali/notary/CLI';
+
+const USAGE = [
+    'Usage: bali-hsm <command> [arguments] [options]',
+    '',
+    'Commands:',
+    '  scan                         list the hardware security modules within reach',
+    '  status                       describe the configuration, the device (if reachable) and its slots',
+    '  state                        describe the state of the slot and how it got there',
+    '  reconcile                    compare the slot with the HSM and repair the configuration',
+    '  migrate                      upgrade the configuration written by an earlier version',
+    '  generate                     generate a new key pair and print its public key',
+    '  rotate                       replace the key pair and print its new public key',
+    '  erase                        erase the keys in the slot (or in every slot)',
+    '  digest <file>                print the digest of a file',
+    '  sign <file>                  print the signature of a file',
+    '  verify <file> <sig> <key>    check the signature of a file using a public key',
+    '  export-key                   print the public key for the slot',
+    '  help                         print this message',
+    '',
+    'Options:',
+    '  --directory <path>           the directory containing the configuration (default ~/.bali/)',
+    '  --device <id>                the identifier of the HSM to use (default the first one found)',
+    '  --slot <name>                the name of the key slot (default the default slot)',
+    '  --suite <name>               the algorithm suite (default sha512-ed25519)',
+    '  --tcp <host:port>            talk to the HSM over TCP instead of BLE',
+    '  --serial <path>              talk to the HSM over a serial device instead of BLE',
+    '  --duration <ms>              how long the scan command searches (default 1000)',
+    '  --format <name>              the format of an exported key: binary, pem, jwk or ssh',
+    '  --previous                   export the public key from before the last rotation',
+    '  --repair <name>              the repair made by the reconcile command: reset or rebind',
+    '  --verification <mode>        how signatures and digests are checked: device, local or crossCheck',
+    '  --dry-run                    report what the migrate command would change without changing it',
+    '  --json                       print the results as JSON',
+    '',
+    'The <sig> and <key> arguments are Bali binary strings, or the names of files containing them.',
+    'The passphrase is read from BALI_HSM_PASSPHRASE or prompted for.'
+].join(EOL);
+
+// the commands, the names of their arguments and whether or not they need the passphrase
+const COMMANDS = {
+
+    scan: {
+        operands: [],
+        execute: async function(proxy, operands, options) {
+            const duration = options.duration ? Number(options.duration) : undefined;
+            if (duration !== undefined && !(duration > 0)) throw usageError('The duration must be a positive number of milliseconds.');
+            return await proxy.scanDevices(duration);
+        }
+    },
+
+    status: {
+        operands: [],
+        passphrase: true,  // the audit log is keyed using the passphrase
+        execute: async function(proxy) {
+            const audit = await proxy.verifyAuditLog();
+            var device;
+            try {
+                device = await proxy.getDeviceInfo();
+            } catch (exception) {
+                // the stored configuration is still described when no HSM can be reached
+                if (!isUnreachable(exception)) throw exception;
+            }
+            const status = bali.catalog({
+                $tag: await proxy.getTag(),
+                $protocol: await proxy.getProtocol(),
+                $device: device,
+                $slots: await proxy.listSlots(),
+                $audit: audit
             });
-        },
-
-        generateKey: function() {
-            notary.generateKey().then(function(publicKey) {
-                notary.notarizeDocument(publicKey).then(function(certificate) {
-                    console.log('The notary certificate is: ' + certificate);
-                    this.certificate = certificate;
-                    notary.activateKey(certificate).then(function(citation) {
-                        console.log('The certificate citation is: ' + citation);
-                        this.citation = citation;
-                    }.bind(this)).catch(function(exception) {
-                        console.error('Received the following exception: ' + exception);
-                    });
-                }.bind(this)).catch(function(exception) {
-                    console.error('Received the following exception: ' + exception);
-                });
-            }.bind(this)).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
+            return {
+                result: status,
+                code: audit.getAttribute('$valid').isSignificant() ? EXIT.SUCCESS : EXIT.INVALID
+            };
+        }
+    },
+
+    state: {
+        operands: [],
+        execute: async function(proxy, operands, options) {
+            return await proxy.getState(options.slot);
+        }
+    },
+
+    reconcile: {
+        operands: [],
+        passphrase: true,
+        execute: async function(proxy, operands, options) {
+            const repair = options.repair ? '$' + options.repair : undefined;
+            const diagnosis = await proxy.reconcile(options.slot, repair);
+            return {
+                result: diagnosis,
+                code: diagnosis.getAttribute('$consistent').isSignificant() ? EXIT.SUCCESS : EXIT.INVALID
+            };
+        }
+    },
+
+    migrate: {
+        operands: [],
+        execute: async function(proxy, operands, options) {
+            return await proxy.migrateConfiguration(options['dry-run'] === true);
+        }
+    },
+
+    generate: {
+        operands: [],
+        passphrase: true,
+        execute: async function(proxy, operands, options) {
+            return await proxy.generateKeys(options.slot);
+        }
+    },
+
+    rotate: {
+        operands: [],
+        passphrase: true,
+        execute: async function(proxy, operands, options) {
+            return await proxy.rotateKeys(options.slot);
+        }
+    },
+
+    erase: {
+        operands: [],
+        passphrase: true,
+        execute: async function(proxy, operands, options) {
+            await proxy.eraseKeys(options.slot);
+            return bali.catalog({
+                $erased: true,
+                $slot: bali.text(options.slot || 'all')
             });
-        },
-
-        refreshKey: function() {
-            notary.refreshKey().then(function(certificate) {
-                console.log('The new notarized certificate is: ' + certificate);
-                this.certificate = certificate;
-                notary.citeDocument(certificate).then(function(citation) {
-                    console.log('The new certificate citation is: ' + citation);
-                    this.citation = citation;
-                }.bind(this)).catch(function(exception) {
-                    console.error('Received the following exception: ' + exception);
+        }
+    },
+
+    digest: {
+        operands: ['file'],
+        execute: async function(proxy, operands) {
+            await pfs.access(operands[0], fs.constants.R_OK);  // fail before talking to the HSM
+            return await proxy.digestBytes(fs.createReadStream(operands[0]));
+        }
+    },
+
+    sign: {
+        operands: ['file'],
+        passphrase: true,
+        execute: async function(proxy, operands, options) {
+            const bytes = await pfs.readFile(operands[0]);
+            return await proxy.signBytes(bytes, options.slot);
+        }
+    },
+
+    verify: {
+        operands: ['file', 'sig', 'key'],
+        execute: async function(proxy, operands) {
+            const bytes = await pfs.readFile(operands[0]);
+            const signature = await readBinary(operands[1], 'signature');
+            const publicKey = await readBinary(operands[2], 'public key');
+            const isValid = await proxy.validSignature(publicKey, signature, bytes);
+            return {
+                result: bali.boolean(isValid),
+                code: isValid ? EXIT.SUCCESS : EXIT.INVALID
+            };
+        }
+    },
+
+    'export-key': {
+        operands: [],
+        execute: async function(proxy, operands, options) {
+            const publicKey = options.previous ?
+                await proxy.getPreviousPublicKey(options.slot, options.format) :
+                await proxy.getPublicKey(options.slot, options.format);
+            if (!publicKey) {
+                throw bali.exception({
+                    $module: moduleName,
+                    $procedure: '$exportKey',
+                    $exception: '$noPublicKey',
+                    $text: 'There is no ' + (options.previous ? 'previous ' : '') + 'public key for the ' +
+                        (options.slot ? 'slot: ' + options.slot : 'default slot') + '.'
                 });
-            }.bind(this)).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
-            });
-        },
-
-        notarizeDocument: function(catalog) {
-            notary.notarizeDocument(catalog).then(function(document) {
-                console.log('The notarized document is: ' + document);
-                this.document = document;
-            }.bind(this)).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
-            });
-        },
-
-        validContract: function(document) {
-            const certificate = this.certificate.getValue('$content');
-            notary.validContract(document, certificate).then(function(isValid) {
-                console.log('The document is ' + (isValid ? '' : 'not ') + 'valid');
-            }).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
-            });
-        },
-
-        citeDocument: function(document) {
-            const certificate = this.certificate.getValue('$content');
-            notary.citeDocument(document).then(function(citation) {
-                console.log('The document citation is: ' + citation);
-                this.citation = citation;
-            }.bind(this)).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
-            });
-        },
+            }
+            return publicKey;
+        }
+    }
+
+};
 
-        citationMatches: function(citation, document) {
-            notary.citationMatches(citation, document).then(function(matches) {
-                console.log('The citation ' + (matches ? 'matches.' : 'does not match.'));
-            }).catch(function(exception) {
-                console.error('Received the following exception: ' + exception);
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function runs the command-line tool with the specified arguments.
+ *
+ * @param {Array} args The command-line arguments, not including the node executable and the
+ * name of the script.
+ * @param {Object} context An optional object containing any of the following overrides:
+ * <pre>
+ *   stdin: the stream from which a passphrase is prompted for (the default is process.stdin)
+ *   stdout: the stream to which the results are written (the default is process.stdout)
+ *   stderr: the stream to which errors are written (the default is process.stderr)
+ *   env: the environment variables (the default is process.env)
+ *   transport: the transport used to talk to the HSM (the default depends on the options)
+ * </pre>
+ * @returns {Number} The exit code for the process.
+ */
+const run = async function(args, context) {
+    context = Object.assign({
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        env: process.env
+    }, context);
+    var options = {};
+    var proxy;
+    try {
+        const parsed = parseArguments(args);
+        options = parsed.options;
+        const name = parsed.operands[0];
+        if (options.help || name === 'help' || name === undefined) {
+            context.stdout.write(USAGE + EOL);
+            return name === undefined && !options.help ? EXIT.USAGE : EXIT.SUCCESS;
+        }
+        const command = COMMANDS[name];
+        if (!command) throw usageError('Unknown command: ' + name);
+        const operands = parsed.operands.slice(1);
+        if (operands.length !== command.operands.length) {
+            throw usageError('The ' + name + ' command expects ' + (command.operands.length ?
+                'the arguments: <' + command.operands.join('> <') + '>' : 'no arguments') + '.');
+        }
+
+        proxy = hsm.proxy(options.directory, 0, {
+            transport: context.transport || createTransport(options),
+            device: options.device,
+            suite: options.suite,
+            verification: options.verification,
+            passphrase: command.passphrase ? await retrievePassphrase(context) : undefined
+        });
+        var outcome = await command.execute(proxy, operands, options);
+        if (!outcome || outcome.code === undefined) outcome = { result: outcome, code: EXIT.SUCCESS };
+        context.stdout.write(formatResult(outcome.result, options.json) + EOL);
+        return outcome.code;
+    } catch (exception) {
+        const usage = isUsageError(exception);
+        const message = describeError(exception);
+        if (options.json) {
+            context.stderr.write(JSON.stringify({ error: message.type, text: message.text }) + EOL);
+        } else {
+            context.stderr.write('bali-hsm: ' + message.text + EOL);
+            if (usage) context.stderr.write('Try "bali-hsm help" for more information.' + EOL);
+        }
+        return usage ? EXIT.USAGE : EXIT.FAILURE;
+    } finally {
+        if (proxy) await proxy.close().catch(function() {});
+    }
+};
+exports.run = run;
+exports.EXIT = EXIT;
+
+// run the tool when this module is executed rather than required
+if (require.main === module) {
+    run(process.argv.slice(2)).then(function(code) {
+        process.exitCode = code;
+    });
+}
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function parses the command-line arguments into options and operands. An option may
+ * be followed by its value or joined to it using '=', and '--' ends the options.
+ *
+ * @param {Array} args The command-line arguments.
+ * @returns {Object} An object containing the options and the operands.
+ */
+const parseArguments = function(args) {
+    const parsed = { options: {}, operands: [] };
+    for (var index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '--') {
+            parsed.operands = parsed.operands.concat(args.slice(index + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            parsed.operands.push(arg);
+            continue;
+        }
+        const equals = arg.indexOf('=');
+        const name = equals < 0 ? arg.slice(2) : arg.slice(2, equals);
+        var value = equals < 0 ? undefined : arg.slice(equals + 1);
+        if (!Object.prototype.hasOwnProperty.call(OPTIONS, name)) throw usageError('Unknown option: --' + name);
+        if (OPTIONS[name]) {
+            if (value === undefined) {
+                if (index + 1 >= args.length) throw usageError('The --' + name + ' option requires a value.');
+                value = args[++index];
+            }
+        } else {
+            if (value !== undefined) throw usageError('The --' + name + ' option does not take a value.');
+            value = true;
+        }
+        parsed.options[name] = value;
+    }
+    return parsed;
+};
+
+
+/**
+ * This function creates the transport selected by the options. BLE is used by default.
+ *
+ * @param {Object} options The parsed options.
+ * @returns {Object} The transport, or undefined for the default BLE transport.
+ */
+const createTransport = function(options) {
+    if (options.tcp && options.serial) throw usageError('The --tcp and --serial options cannot be used together.');
+    if (options.tcp) {
+        const separator = options.tcp.lastIndexOf(':');
+        const port = Number(options.tcp.slice(separator + 1));
+        if (separator < 1 || !Number.isInteger(port) || port < 1 || port > 65535) {
+            throw usageError('The --tcp option must have the form <host:port>.');
+        }
+        return hsm.tcpTransport(options.tcp.slice(0, separator), port);
+    }
+    if (options.serial) return hsm.serialTransport(options.serial);
+};
+
+
+/**
+ * This function retrieves the passphrase that unlocks the proxy keys, from the environment or
+ * by prompting for it (without echoing it) when standard input is a terminal.
+ *
+ * @param {Object} context The context in which the tool is running.
+ * @returns {String} The passphrase, or undefined if there is no way to get one.
+ */
+const retrievePassphrase = async function(context) {
+    if (context.env.BALI_HSM_PASSPHRASE) return context.env.BALI_HSM_PASSPHRASE;
+    if (!context.stdin.isTTY) return;
+    context.stderr.write('Passphrase: ');
+    const muted = new stream.Writable({
+        write: function(chunk, encoding, callback) {
+            callback();
+        }
+    });
+    const prompt = readline.createInterface({ input: context.stdin, output: muted, terminal: true });
+    return await new Promise(function(resolve) {
+        prompt.question('', function(passphrase) {
+            prompt.close();
+            context.stderr.write(EOL);
+            resolve(passphrase);
+        });
+    });
+};
+
+
+/**
+ * This function reads a binary string from an argument, which is either the name of a file
+ * containing the string or the string itself (with or without its quotes).
+ *
+ * @param {String} argument The argument.
+ * @param {String} description A description of the binary string for error messages.
+ * @returns {Binary} The binary string.
+ */
+const readBinary = async function(argument, description) {
+    var source = argument;
+    try {
+        source = await pfs.readFile(argument, 'utf8');
+    } catch (cause) {
+        if (cause.code !== 'ENOENT' && cause.code !== 'ENAMETOOLONG') throw cause;
+    }
+    source = source.trim();
+    if (!source.startsWith("'")) source = "'" + source + "'";
+    var binary;
+    try {
+        binary = bali.component(source);
+    } catch (cause) {
+        // handled below
+    }
+    if (!binary || binary.getType() !== '/bali/strings/Binary') {
+        throw usageError('The ' + description + ' is not a Bali binary string: ' + argument);
+    }
+    return binary;
+};
+
+
+/**
+ * This function formats the result of a command for standard output.
+ *
+ * @param {Component|String|Object} result The result (a Bali component, or a public key in
+ * another format).
+ * @param {Boolean} json Whether or not the result is formatted as JSON.
+ * @returns {String} The formatted result.
+ */
+const formatResult = function(result, json) {
+    if (result.isComponent) return json ? JSON.stringify(toJSON(result), null, 4) : result.toString();
+    if (typeof result === 'string' && !json) return result.trim();  // e.g. a PEM encoded key
+    return JSON.stringify(result, null, 4);
+};
+
+
+/**
+ * This function converts a Bali component into a value that can be serialized as JSON. The
+ * leading '$' is removed from each key and binary strings become hexadecimal strings.
+ *
+ * @param {Component} component The component.
+ * @returns {Object} The equivalent JSON value.
+ */
+const toJSON = function(component) {
+    switch (component.getType()) {
+        case '/bali/collections/Catalog': {
+            const object = {};
+            component.getKeys().toArray().forEach(function(key) {
+                const name = key.getType() === '/bali/strings/Text' ? key.getValue() : key.toString().replace(/^\$/, '');
+                object[name] = toJSON(component.getAttribute(key));
             });
+            return object;
         }
-    };
+        case '/bali/collections/List':
+            return component.toArray().map(toJSON);
+        case '/bali/strings/Binary':
+            return component.getValue().toString('hex');
+        case '/bali/strings/Text':
+            return component.getValue();
+        case '/bali/strings/Symbol':
+            return component.toString().slice(1);
+        case '/bali/elements/Boolean':
+            return component.isSignificant();
+        case '/bali/elements/Number':
+            return component.toReal();
+        case '/bali/elements/Pattern':
+            return component.isSignificant() ? component.toString() : null;
+        default:
+            return component.toString();
+    }
 };
 
+
+/**
+ * This function creates an exception describing a command line that is not valid.
+ *
+ * @param {String} text A description of the problem.
+ * @returns {Exception} The new exception.
+ */
+const usageError = function(text) {
+    return bali.exception({
+        $module: moduleName,
+        $procedure: '$run',
+        $exception: '$invalidUsage',
+        $text: text
+    });
+};
+
+
+/**
+ * This function determines whether or not an error describes a command line that is not valid,
+ * including an option that the proxy found to be invalid.
+ *
+ * @param {Object} error The error.
+ * @returns {Boolean} Whether or not it is a usage error.
+ */
+const isUsageError = function(error) {
+    if (!error || !error.getAttribute) return false;
+    return USAGE_ERRORS.indexOf(error.getAttribute('$exception').toString()) > -1;
+};
+
+
+/**
+ * This function determines whether or not an exception (or any of its causes) means that the
+ * HSM could not be reached.
+ *
+ * @param {Exception} exception The exception.
+ * @returns {Boolean} Whether or not the HSM could not be reached.
+ */
+const isUnreachable = function(exception) {
+    var cause = exception;
+    while (cause && cause.getAttribute && cause.getType() === '/bali/abstractions/Exception') {
+        if (UNREACHABLE.indexOf(cause.getAttribute('$exception').toString()) > -1) return true;
+        cause = cause.getAttribute('$cause');
+    }
+    return false;
+};
+
+
+/**
+ * This function describes an error using its type and the text of each exception in its chain
+ * of causes, since the most specific one is usually what an operator needs to know.
+ *
+ * @param {Object} error The error (a Bali exception or a JavaScript error).
+ * @returns {Object} An object containing the type of the error and its description.
+ */
+const describeError = function(error) {
+    if (!error || !error.getAttribute) {
+        return { type: error && error.code ? error.code : 'Error', text: error && error.message ? error.message : String(error) };
+    }
+    const type = error.getAttribute('$exception').toString();
+    const texts = [];
+    var cause = error;
+    while (cause) {
+        var text;
+        if (cause.getType() === '/bali/collections/List') {
+            // a JavaScript error is included as the lines of its stack trace
+            text = cause.getItem(1).getValue().trim().split(EOL)[0].replace(/^\w*Error(: )?/, '');
+            cause = undefined;
+        } else {
+            text = cause.getAttribute('$text') ? cause.getAttribute('$text').getValue() : undefined;
+            cause = cause.getAttribute('$cause');
+        }
+        if (text && texts.indexOf(text) < 0) texts.push(text);
+    }
+    return { type: type.slice(1), text: texts.join(' ') };
+};
@@ -18,13 +18,169 @@
  * the level of debugging that occurs:
  * <pre>
  *   0 (or false): debugging turned off
- *   1 (or true): log exceptions to console.error
- *   2: perform argument validation and log exceptions to console.error
- *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ *   1 (or true): log exceptions
+ *   2: perform argument validation and log exceptions
+ *   3: perform argument validation and log exceptions and debug info
  * </pre>
+ * The proxy and each of its components (including the transport) log through the logger option.
+ * @param {Object} options An optional object containing the following configuration options:
+ * <pre>
+ *   logger: a function, or an object with error, warn, info and debug methods, that receives
+ *     each structured log entry (the default writes each entry as JSON to standard error)
+ *   logLevel: the least severe level that is logged: 'none', 'error', 'warn', 'info' or 'debug'
+ *     (the default is 'info' if a logger is specified and otherwise depends on the debug level)
+ *   transport: the transport used to talk to the HSM (the default is a BLE transport)
+ *   idleTimeout: the milliseconds an idle link to the HSM is kept open (the default is 10000)
+ *   device: the identifier of the HSM to use when generating keys (the default is the first found)
+ *   priorities: an object mapping method names to the priorities of their requests in the
+ *     operation queue (by default eraseKeys has priority 1 and everything else 0)
+ *   passphrase: the passphrase that unlocks the encrypted proxy keys (the default is to require
+ *     an explicit call to unlock)
+ *   resilience: an object containing any of the following resilience settings:
+ *     attempts: the maximum number of attempts made for each request (the default is 5)
+ *     baseDelay: the milliseconds to wait before the first retry (the default is 250)
+ *     maximumDelay: the maximum milliseconds to wait between retries (the default is 8000)
+ *     scanTimeout: the milliseconds to search for the HSM (the default is 1000)
+ *     connectTimeout: the milliseconds to wait for the link to the HSM (the default is 10000)
+ *     blockTimeout: the milliseconds to wait for each response from the HSM (the default is 5000)
+ *     failureThreshold: the consecutive failures to reach the HSM that open the circuit (the default is 3)
+ *     resetTimeout: the milliseconds the circuit stays open before it is retried (the default is 30000)
+ *   policy: an object containing any of the following signing policy settings:
+ *     maximumSignatures: the maximum number of signatures in each window (the default is no limit)
+ *     window: the milliseconds in the sliding window for the rate limit (the default is 60000)
+ *     maximumBytes: the maximum number of bytes that may be signed (the default is no limit)
+ *     approve: an async function that is passed a summary of each signing request and returns
+ *       whether or not it is approved (e.g. after prompting a human)
+ *     deny: an array of functions that are passed a summary of each signing request and return
+ *       a reason (or true) if it must be denied
+ *   verification: where digests are generated and signatures are validated, one of:
+ *     'device': on the HSM (the default)
+ *     'local': in software, without the HSM
+ *     'crossCheck': both in software and on the HSM, and the results must agree
+ *   suite: the name of the algorithm suite, which also determines the protocol, one of:
+ *     'sha512-ed25519': the v2 protocol (the default)
+ *     'sha256-p256': the v3 protocol using ECDSA signatures over the NIST P-256 curve
+ *     'sha3-512-ed448': the v3 protocol using ed448 signatures
+ * </pre>
+ * The proxy is an EventEmitter that emits scanStarted, deviceFound, connected, negotiated,
+ * blockSent, responseReceived, retry, stateTransition and exception events.
  * @returns {Object} An object that implements the API for a remote hardware security module.
  */
-exports.proxy = function(directory, debug) {
-    const proxy = new require('./src/v2/HSMProxy').HSMProxy(directory, debug);
-    return proxy;
+exports.proxy = function(directory, debug, options) {
+    const v3 = require('./src/v3/HSMProxy').HSMProxy;
+    if (options && v3.SUITES[options.suite]) return new v3(directory, debug, options);
+    const HSMProxy = require('./src/v2/HSMProxy').HSMProxy;
+    return new HSMProxy(directory, debug, options);
+};
+
+
+/**
+ * This function returns a transport that talks to the hardware security module over
+ * Bluetooth Low Energy (BLE).
+ *
+ * @param {Number} scanTimeout An optional number of milliseconds to search for the hardware
+ * security module (the default is 1000).
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @returns {Object} A new BLE transport.
+ */
+exports.bleTransport = function(scanTimeout, debug) {
+    const BLETransport = require('./src/v2/BLETransport').BLETransport;
+    return new BLETransport(scanTimeout, debug);
+};
+
+
+/**
+ * This function returns a transport that talks to a hardware security module (or a stand-in
+ * for one) listening on a TCP port.
+ *
+ * @param {String} host The name or address of the host.
+ * @param {Number} port The TCP port on which the hardware security module is listening.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @returns {Object} A new TCP transport.
+ */
+exports.tcpTransport = function(host, port, debug) {
+    const TCPTransport = require('./src/v2/TCPTransport').TCPTransport;
+    return new TCPTransport(host, port, debug);
+};
+
+
+/**
+ * This function returns a transport that talks to a hardware security module attached as a
+ * USB-CDC serial device (e.g. a development board on '/dev/ttyACM0').
+ *
+ * @param {String} path The path to the serial device file.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @returns {Object} A new serial transport.
+ */
+exports.serialTransport = function(path, debug) {
+    const SerialTransport = require('./src/v2/SerialTransport').SerialTransport;
+    return new SerialTransport(path, debug);
+};
+
+
+/**
+ * This function returns an in-process transport that passes each block directly to a local
+ * object implementing the device side of the protocol.
+ *
+ * @param {Object} device An object with an asynchronous processBlock(block) method.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @param {Object} options An optional object containing the following options:
+ * <pre>
+ *   blockSize: the maximum number of bytes in each block, as if it had been determined by the
+ *     MTU of a BLE link (the default is 512)
+ * </pre>
+ * @returns {Object} A new local transport.
+ */
+exports.localTransport = function(device, debug, options) {
+    const LocalTransport = require('./src/v2/LocalTransport').LocalTransport;
+    return new LocalTransport(device, debug, options);
+};
+
+
+/**
+ * This function returns a software simulation of the ArmorD™ hardware security module that
+ * speaks the same binary protocol as the physical device. It should ONLY be used for testing
+ * purposes, typically in combination with a local transport.
+ *
+ * @param {String} directory An optional directory to be used for storing the simulated device state.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @param {Object} options An optional object containing the following options:
+ * <pre>
+ *   extendedFraming: whether or not the simulated firmware supports the extended framing of
+ *     long requests (the default is true)
+ *   deviceInfo: whether or not the simulated firmware supports the getDeviceInfo request (the
+ *     default is true)
+ *   protocol: the latest protocol that the simulated firmware speaks, 'v2' (the default) or
+ *     'v3' (which adds the v3 algorithm suites)
+ *   logger: the logger that receives each structured log entry (as for the proxy)
+ *   logLevel: the least severe level that is logged (as for the proxy)
+ * </pre>
+ * @returns {Object} A new simulated hardware security module.
+ */
+exports.simulator = function(directory, debug, options) {
+    if (options && options.protocol === 'v3') {
+        const v3 = require('./src/v3/ArmorDSimulator').ArmorDSimulator;
+        return new v3(directory, debug, options);
+    }
+    const ArmorDSimulator = require('./src/v2/ArmorDSimulator').ArmorDSimulator;
+    return new ArmorDSimulator(directory, debug, options);
+};
+
+
+/**
+ * This function returns a codec that encodes and decodes the requests, blocks and responses
+ * of the binary protocol spoken by the hardware security module.
+ *
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @returns {Object} A new codec.
+ */
+exports.codec = function(debug) {
+    const Codec = require('./src/v2/Codec').Codec;
+    return new Codec(debug);
 };
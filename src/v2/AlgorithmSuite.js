@@ -0,0 +1,371 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class defines an algorithm suite, the pairing of a digest algorithm with a signature
+ * algorithm that a protocol uses for its keys, digests and signatures. The v2 protocol has a
+ * single suite (sha512/ed25519) but later protocols may offer several, each of which has a
+ * unique code within its protocol. The following algorithms are supported:
+ * <pre>
+ *   * sha512, sha256 and sha3-512 - the digest algorithms
+ *   * ed25519 and ed448 - the EdDSA signature algorithms
+ *   * p256 - the ECDSA signature algorithm over the NIST P-256 curve, using the digest
+ *     algorithm of the suite
+ * </pre>
+ * A public key is exchanged as its raw bytes (an uncompressed point for p256), and a signature
+ * as its raw bytes (r followed by s for p256). A raw public key can also be exported as a PEM
+ * encoded SubjectPublicKeyInfo, a JSON web key or an OpenSSH public key for use by other
+ * tooling. The methods that generate keys and signatures from a private seed are only used by
+ * simulated devices.
+ */
+const crypto = require('crypto');
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the digest algorithms and the number of bytes in their digests
+const DIGESTS = {
+    'sha512': 64,
+    'sha256': 32,
+    'sha3-512': 64
+};
+
+// the signature algorithms, the sizes (in bytes) of their keys and signatures, the DER
+// prefixes for their raw keys and the names of their OpenSSH key types (RFC 8709 and RFC 5656)
+const SIGNATURES = {
+    ed25519: {
+        keySize: 32,
+        signatureSize: 64,
+        seedSize: 32,
+        publicPrefix: Buffer.from('302a300506032b6570032100', 'hex'),
+        privatePrefix: Buffer.from('302e020100300506032b657004220420', 'hex'),
+        sshType: 'ssh-ed25519'
+    },
+    ed448: {
+        keySize: 57,
+        signatureSize: 114,
+        seedSize: 57,
+        publicPrefix: Buffer.from('3043300506032b6571033a00', 'hex'),
+        privatePrefix: Buffer.from('3047020100300506032b6571043b0439', 'hex'),
+        sshType: 'ssh-ed448'
+    },
+    p256: {
+        keySize: 65,
+        signatureSize: 64,
+        seedSize: 32,
+        publicPrefix: Buffer.from('3059301306072a8648ce3d020106082a8648ce3d030107034200', 'hex'),
+        curve: 'prime256v1',
+        jwkCurve: 'P-256',
+        sshType: 'ecdsa-sha2-nistp256',
+        sshCurve: 'nistp256'
+    }
+};
+
+// the formats in which a public key can be exported
+const FORMATS = [ 'pem', 'jwk', 'ssh' ];
+
+const moduleName = '/bali/notary/v2/AlgorithmSuite';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new algorithm suite.
+ *
+ * @param {String} protocol The version of the protocol that offers the suite (e.g. 'v2').
+ * @param {Number} code The code that identifies the suite in a request [0..7].
+ * @param {String} digest The name of the digest algorithm (e.g. 'sha512').
+ * @param {String} signature The name of the signature algorithm (e.g. 'ed25519').
+ * @returns {AlgorithmSuite} The new algorithm suite.
+ */
+const AlgorithmSuite = function(protocol, code, digest, signature) {
+    if (!DIGESTS[digest] || !SIGNATURES[signature]) {
+        throw bali.exception({
+            $module: moduleName,
+            $procedure: '$AlgorithmSuite',
+            $exception: '$unsupportedAlgorithm',
+            $text: 'The algorithm suite is not supported: ' + digest + '/' + signature
+        });
+    }
+    const algorithm = SIGNATURES[signature];
+
+    // ECDSA signs the digest of the bytes while EdDSA hashes the bytes itself
+    const hash = algorithm.curve ? digest : null;
+    const encoding = algorithm.curve ? 'ieee-p1363' : undefined;
+
+    const privateKey = function(seed) {
+        if (algorithm.curve) {
+            return crypto.createPrivateKey({
+                key: jsonKey(algorithm, seed),
+                format: 'jwk'
+            });
+        }
+        return crypto.createPrivateKey({
+            key: Buffer.concat([algorithm.privatePrefix, seed]),
+            format: 'der',
+            type: 'pkcs8'
+        });
+    };
+
+    /**
+     * This method returns a string describing the algorithm suite.
+     *
+     * @returns {String} A string describing the algorithm suite.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $protocol: protocol,
+            $digest: bali.symbol(digest),
+            $signature: bali.symbol(signature)
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the name of the algorithm suite (e.g. 'sha512-ed25519').
+     *
+     * @returns {String} The name of the algorithm suite.
+     */
+    this.getName = function() {
+        return digest + '-' + signature;
+    };
+
+    /**
+     * This method returns the version of the protocol that offers the algorithm suite.
+     *
+     * @returns {String} The version of the protocol.
+     */
+    this.getProtocol = function() {
+        return protocol;
+    };
+
+    /**
+     * This method returns the code that identifies the algorithm suite in a request.
+     *
+     * @returns {Number} The code for the algorithm suite.
+     */
+    this.getCode = function() {
+        return code;
+    };
+
+    /**
+     * This method returns the name of the digest algorithm.
+     *
+     * @returns {String} The name of the digest algorithm.
+     */
+    this.getDigest = function() {
+        return digest;
+    };
+
+    /**
+     * This method returns the name of the signature algorithm.
+     *
+     * @returns {String} The name of the signature algorithm.
+     */
+    this.getSignature = function() {
+        return signature;
+    };
+
+    /**
+     * This method returns the number of bytes in a digest.
+     *
+     * @returns {Number} The number of bytes in a digest.
+     */
+    this.getDigestSize = function() {
+        return DIGESTS[digest];
+    };
+
+    /**
+     * This method returns the number of bytes in a raw public key.
+     *
+     * @returns {Number} The number of bytes in a public key.
+     */
+    this.getKeySize = function() {
+        return algorithm.keySize;
+    };
+
+    /**
+     * This method returns the number of bytes in a raw signature.
+     *
+     * @returns {Number} The number of bytes in a signature.
+     */
+    this.getSignatureSize = function() {
+        return algorithm.signatureSize;
+    };
+
+    /**
+     * This method returns a new incremental hash that uses the digest algorithm.
+     *
+     * @returns {Hash} The new hash.
+     */
+    this.createHash = function() {
+        return crypto.createHash(digest);
+    };
+
+    /**
+     * This method generates a digest of the specified bytes.
+     *
+     * @param {Buffer} bytes The bytes to be digested.
+     * @returns {Buffer} A buffer containing the digest of the bytes.
+     */
+    this.digestBytes = function(bytes) {
+        return crypto.createHash(digest).update(bytes).digest();
+    };
+
+    /**
+     * This method validates a digital signature. A malformed public key or signature is
+     * considered to be invalid.
+     *
+     * @param {Buffer} publicKey The raw public key.
+     * @param {Buffer} signature The raw digital signature.
+     * @param {Buffer} bytes The digitally signed bytes.
+     * @returns {Boolean} Whether or not the digital signature is valid.
+     */
+    this.validSignature = function(publicKey, signature, bytes) {
+        if (publicKey.length !== algorithm.keySize || signature.length !== algorithm.signatureSize) return false;
+        try {
+            const key = crypto.createPublicKey({
+                key: Buffer.concat([algorithm.publicPrefix, publicKey]),
+                format: 'der',
+                type: 'spki'
+            });
+            return crypto.verify(hash, bytes, { key: key, dsaEncoding: encoding }, signature);
+        } catch (cause) {
+            return false;  // not a point on the curve
+        }
+    };
+
+    /**
+     * This method exports a raw public key in one of the following formats:
+     * <pre>
+     *   * pem - a PEM encoded SubjectPublicKeyInfo (SPKI) structure
+     *   * jwk - a JSON web key (RFC 7517)
+     *   * ssh - a single line in the format of an OpenSSH authorized_keys file
+     * </pre>
+     *
+     * @param {Buffer} publicKey The raw public key.
+     * @param {String} format The name of the format.
+     * @returns {String|Object} The exported public key (an object for the jwk format).
+     */
+    this.exportPublicKey = function(publicKey, format) {
+        if (FORMATS.indexOf(format) < 0) {
+            throw bali.exception({
+                $module: moduleName,
+                $procedure: '$exportPublicKey',
+                $exception: '$invalidFormat',
+                $format: bali.text(String(format)),
+                $text: 'The format of a public key must be one of: ' + FORMATS.join(', ')
+            });
+        }
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([algorithm.publicPrefix, publicKey]),
+            format: 'der',
+            type: 'spki'
+        });
+        switch (format) {
+            case 'pem':
+                return key.export({ type: 'spki', format: 'pem' });
+            case 'jwk':
+                return key.export({ format: 'jwk' });
+            case 'ssh': {
+                const fields = [algorithm.sshType, algorithm.sshCurve, publicKey].filter(function(field) {
+                    return field !== undefined;
+                });
+                return algorithm.sshType + ' ' + sshEncode(fields).toString('base64');
+            }
+        }
+    };
+
+    /**
+     * This method generates a new random private seed for the signature algorithm.
+     *
+     * @returns {Buffer} A buffer containing the private seed.
+     */
+    this.generateSeed = function() {
+        if (algorithm.curve) {
+            // not every random number is a valid private key on the curve
+            const keys = crypto.generateKeyPairSync('ec', { namedCurve: algorithm.curve });
+            return Buffer.from(keys.privateKey.export({ format: 'jwk' }).d, 'base64url');
+        }
+        return crypto.randomBytes(algorithm.seedSize);
+    };
+
+    /**
+     * This method derives the raw public key that corresponds to a private seed.
+     *
+     * @param {Buffer} seed The private seed.
+     * @returns {Buffer} A buffer containing the raw public key.
+     */
+    this.derivePublicKey = function(seed) {
+        const der = crypto.createPublicKey(privateKey(seed)).export({ type: 'spki', format: 'der' });
+        return der.slice(algorithm.publicPrefix.length);
+    };
+
+    /**
+     * This method digitally signs the specified bytes using the private key for a seed.
+     *
+     * @param {Buffer} seed The private seed.
+     * @param {Buffer} bytes The bytes to be signed.
+     * @returns {Buffer} A buffer containing the raw digital signature.
+     */
+    this.signBytes = function(seed, bytes) {
+        return crypto.sign(hash, bytes, { key: privateKey(seed), dsaEncoding: encoding });
+    };
+
+    return this;
+};
+AlgorithmSuite.prototype.constructor = AlgorithmSuite;
+exports.AlgorithmSuite = AlgorithmSuite;
+
+// the only algorithm suite offered by the v2 protocol
+AlgorithmSuite.V2 = new AlgorithmSuite('v2', 0, 'sha512', 'ed25519');
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function encodes fields in the wire format of an OpenSSH public key, where each field
+ * is preceded by its length in four bytes (big-endian).
+ *
+ * @param {Array} fields The fields, each a string or a buffer.
+ * @returns {Buffer} A buffer containing the encoded fields.
+ */
+const sshEncode = function(fields) {
+    return Buffer.concat(fields.map(function(field) {
+        const bytes = Buffer.from(field);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(bytes.length);
+        return Buffer.concat([length, bytes]);
+    }));
+};
+
+
+/**
+ * This function returns the JSON web key for the private key on an elliptic curve.
+ *
+ * @param {Object} algorithm The definition of the signature algorithm.
+ * @param {Buffer} seed The private key.
+ * @returns {Object} The JSON web key.
+ */
+const jsonKey = function(algorithm, seed) {
+    const ecdh = crypto.createECDH(algorithm.curve);
+    ecdh.setPrivateKey(seed);
+    const point = ecdh.getPublicKey();  // 0x04 followed by the x and y coordinates
+    const size = (point.length - 1) / 2;
+    return {
+        kty: 'EC',
+        crv: algorithm.jwkCurve,
+        d: seed.toString('base64url'),
+        x: point.slice(1, 1 + size).toString('base64url'),
+        y: point.slice(1 + size).toString('base64url')
+    };
+};
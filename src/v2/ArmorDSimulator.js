@@ -0,0 +1,433 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////////////
+// This module should only be used for LOCAL TESTING.  It CANNOT guarantee the       //
+// protection of the private keys from people and other processes that have access  //
+// to the RAM and storage devices for the host it runs on.                           //
+//                             YOU HAVE BEEN WARNED!!!                               //
+///////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * This class implements a software simulation of the ArmorD™ hardware security module. It
+ * processes the same binary blocks that the HSMProxy sends to a physical device:
+ * <pre>
+ *   * generateKeys (1) - generate a new key pair protected by a proxy key
+ *   * rotateKeys (2) - replace the key pair, retaining the previous one for a single signature
+ *   * eraseKeys (3) - erase any trace of the key pairs
+ *   * digestBytes (4) - generate a SHA-512 digest of an array of bytes
+ *   * signBytes (5) - sign an array of bytes using the private key unlocked by a proxy key
+ *   * validSignature (6) - check whether or not an ed25519 signature is valid
+ *   * getDeviceInfo (7) - describe the firmware, its capabilities and the device serial number
+ *   * getKeyStatus (8) - report how many key pairs a slot holds and whether a proxy key matches
+ * </pre>
+ * The wire format, including the framing of requests that are longer than a single block and
+ * the one byte status responses, is defined by the Codec class. The simulator can also behave
+ * like older firmware that rejects the extended framing, the getDeviceInfo request or the
+ * getKeyStatus request. Each
+ * named key slot holds its own key pair, independently of the default slot and of the other
+ * slots.
+ *
+ * The simulator supports the v2 algorithm suite (sha512/ed25519) unless it is configured with
+ * the suites of a later protocol. Each key pair can only be used with the suite that generated
+ * it.
+ *
+ * The private key seed is never stored in the clear, it is stored XORed with the proxy key
+ * (stretched to the length of the seed if necessary) that is held by the HSMProxy. Only a
+ * digest of the proxy key is stored by the simulator.
+ */
+const crypto = require('crypto');
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api();
+const AlgorithmSuite = require('./AlgorithmSuite').AlgorithmSuite;
+const Codec = require('./Codec').Codec;
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const PROTOCOL = 'v2';
+const DIGEST = 'sha512';  // used for the digests of the proxy keys
+const FIRMWARE = '2.1.0';  // the version of the simulated firmware
+const STRETCH = 'shake256';  // stretches a proxy key to the length of a longer seed
+
+const moduleName = '/bali/notary/' + PROTOCOL + '/ArmorDSimulator';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new software simulation of an ArmorD™ hardware security module.
+ *
+ * @param {String} directory An optional directory to be used for storing the state of the
+ * simulated device. If no directory is specified, a directory called '.bali/' is created in
+ * the home directory.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions
+ *   2: perform argument validation and log exceptions
+ *   3: perform argument validation and log exceptions and debug info
+ * </pre>
+ * @param {Object} options An optional object containing the following options:
+ * <pre>
+ *   logger: a function, or an object with error, warn, info and debug methods, that receives
+ *     each structured log entry (the default writes each entry as JSON to standard error)
+ *   logLevel: the least severe level that is logged (the default is 'info' if a logger is
+ *     specified and otherwise depends on the debug level)
+ *   extendedFraming: whether or not the simulated firmware supports the extended framing of
+ *     long requests (the default is true)
+ *   deviceInfo: whether or not the simulated firmware supports the getDeviceInfo request (the
+ *     default is true)
+ *   keyStatus: whether or not the simulated firmware supports the getKeyStatus request (the
+ *     default is true)
+ *   suites: an array of the algorithm suites that the simulated firmware supports (the
+ *     default is only the v2 suite)
+ * </pre>
+ * @returns {Object} The new simulated hardware security module.
+ */
+const ArmorDSimulator = function(directory, debug, options) {
+
+    // validate the arguments
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$ArmorDSimulator', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+        bali.component.validateArgument(moduleName, '$ArmorDSimulator', '$options', options, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+    options = options || {};
+    const logger = Logger.fromOptions(moduleName, this.debug, options);
+    const extendedFraming = options.extendedFraming !== false;
+    const deviceInfo = options.deviceInfo !== false;
+    const keyStatus = options.keyStatus !== false;
+    const suites = [];  // indexed by the code of each suite
+    const codecs = [];  // the codecs for the responses of each suite
+    (options.suites || [AlgorithmSuite.V2]).forEach(function(suite) {
+        suites[suite.getCode()] = suite;
+        codecs[suite.getCode()] = new Codec(0, suite);
+    });
+
+
+    // PRIVATE STATE ATTRIBUTES AND METHODS
+
+    const filename = 'ArmorD' + PROTOCOL + '.bali';
+    const configurator = bali.configurator(filename, directory, this.debug);
+    var state;  // a catalog containing the persistent state of the device
+    var blocks = [];  // the extra blocks for the current request
+    const codec = new Codec();  // malformed requests are reported as a status, not logged
+
+    const loadState = async function() {
+        const source = await configurator.load();
+        if (source) {
+            state = bali.component(source);
+        } else {
+            state = bali.catalog({
+                $deviceId: bali.tag()  // the serial number of the simulated device
+            });
+            await storeState();
+        }
+    };
+
+    const storeState = async function() {
+        await pfs.mkdir(configurator.directory, { recursive: true, mode: 0o700 });
+        await configurator.store(bali.document(state));
+    };
+
+    const retrieveSlot = function(slot, create) {
+        // the default slot is stored at the top level, the named slots are stored under $slots
+        if (slot === undefined) return state;
+        var slots = state.getAttribute('$slots');
+        if (!slots) {
+            if (!create) return;
+            slots = bali.catalog();
+            state.setAttribute('$slots', slots);
+        }
+        var keys = slots.getAttribute(bali.text(slot));
+        if (!keys && create) {
+            keys = bali.catalog();
+            slots.setAttribute(bali.text(slot), keys);
+        }
+        return keys;
+    };
+
+    const generateKeys = async function(suite, proxyKey, slot) {
+        const existing = retrieveSlot(slot);
+        if (existing && existing.getAttribute('$publicKey')) return codec.encodeStatus(Codec.INVALID_STATE);
+        const keys = createKeys(suite, proxyKey);
+        const entry = retrieveSlot(slot, true);
+        entry.setAttribute('$suite', suite.getCode());
+        entry.setAttribute('$publicKey', bali.binary(keys.publicKey));
+        entry.setAttribute('$encryptedSeed', bali.binary(keys.encryptedSeed));
+        entry.setAttribute('$proxyDigest', bali.binary(keys.proxyDigest));
+        await storeState();
+        return keys.publicKey;
+    };
+
+    const rotateKeys = async function(suite, previousProxyKey, proxyKey, slot) {
+        const entry = retrieveSlot(slot);
+        if (!entry || !entry.getAttribute('$publicKey') || entry.getAttribute('$previousPublicKey')) {
+            return codec.encodeStatus(Codec.INVALID_STATE);
+        }
+        if (suiteOf(entry) !== suite.getCode()) return codec.encodeStatus(Codec.INVALID_STATE);
+        if (!matchesDigest(previousProxyKey, entry.getAttribute('$proxyDigest'))) {
+            return codec.encodeStatus(Codec.INVALID_PROXY_KEY);
+        }
+        entry.setAttribute('$previousPublicKey', entry.getAttribute('$publicKey'));
+        entry.setAttribute('$previousEncryptedSeed', entry.getAttribute('$encryptedSeed'));
+        entry.setAttribute('$previousProxyDigest', entry.getAttribute('$proxyDigest'));
+        const keys = createKeys(suite, proxyKey);
+        entry.setAttribute('$publicKey', bali.binary(keys.publicKey));
+        entry.setAttribute('$encryptedSeed', bali.binary(keys.encryptedSeed));
+        entry.setAttribute('$proxyDigest', bali.binary(keys.proxyDigest));
+        await storeState();
+        return keys.publicKey;
+    };
+
+    const eraseKeys = async function(slot) {
+        if (slot === undefined) {
+            // erase every slot
+            state = bali.catalog({
+                $deviceId: state.getAttribute('$deviceId')
+            });
+        } else {
+            const slots = state.getAttribute('$slots');
+            if (slots) slots.removeAttribute(bali.text(slot));
+        }
+        await storeState();
+        return codec.encodeResponse('eraseKeys', true);
+    };
+
+    const signBytes = async function(suite, proxyKey, bytes, slot) {
+        const entry = retrieveSlot(slot);
+        if (!entry || suiteOf(entry) !== suite.getCode()) return codec.encodeStatus(Codec.INVALID_STATE);
+        // the previous key (if it exists) is used exactly once to sign the new certificate
+        const previous = entry.getAttribute('$previousPublicKey') ? true : false;
+        const digest = entry.getAttribute(previous ? '$previousProxyDigest' : '$proxyDigest');
+        if (!digest) return codec.encodeStatus(Codec.INVALID_STATE);
+        if (!matchesDigest(proxyKey, digest)) return codec.encodeStatus(Codec.INVALID_PROXY_KEY);
+        const encryptedSeed = entry.getAttribute(previous ? '$previousEncryptedSeed' : '$encryptedSeed');
+        const seed = xor(encryptedSeed.getValue(), stretch(proxyKey, encryptedSeed.getValue().length));
+        const signature = suite.signBytes(seed, bytes);
+        seed.fill(0);
+        if (previous) {
+            entry.removeAttributes(['$previousPublicKey', '$previousEncryptedSeed', '$previousProxyDigest']);
+            await storeState();
+        }
+        return signature;
+    };
+
+    const getDeviceInfo = function() {
+        if (!deviceInfo) return codec.encodeStatus(Codec.INVALID_REQUEST);
+        const protocols = [];
+        const algorithms = [];
+        const add = function(list, value) {
+            if (list.indexOf(value) < 0) list.push(value);
+        };
+        suites.forEach(function(suite) {
+            add(protocols, suite.getProtocol());
+            add(algorithms, suite.getDigest());
+            add(algorithms, suite.getSignature());
+        });
+        return codec.encodeResponse('getDeviceInfo', {
+            extendedFraming: extendedFraming,
+            maximumRequest: extendedFraming ? Codec.MAXIMUM_EXTENDED_REQUEST : Codec.MAXIMUM_REQUEST,
+            protocols: protocols,
+            algorithms: algorithms,
+            firmware: FIRMWARE,
+            serialNumber: state.getAttribute('$deviceId').toString()
+        });
+    };
+
+    const getKeyStatus = function(proxyKey, slot) {
+        if (!keyStatus) return codec.encodeStatus(Codec.INVALID_REQUEST);
+        const entry = retrieveSlot(slot);
+        if (!entry || !entry.getAttribute('$publicKey')) return codec.encodeResponse('getKeyStatus', { keys: 0, matches: false });
+        return codec.encodeResponse('getKeyStatus', {
+            keys: entry.getAttribute('$previousPublicKey') ? 2 : 1,
+            matches: matchesDigest(proxyKey, entry.getAttribute('$proxyDigest'))
+        });
+    };
+
+
+    // PUBLIC METHODS
+
+    /**
+     * This method returns a string describing the attributes of the simulator. It must not be
+     * an asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the simulator.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: moduleName,
+            $protocol: PROTOCOL
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the unique identifier of the simulated device, which survives the
+     * erasure of its keys.
+     *
+     * @returns {String} The identifier of the device.
+     */
+    this.getDeviceId = async function() {
+        if (!state) await loadState();
+        return state.getAttribute('$deviceId').toString();
+    };
+
+    /**
+     * This method processes a single block of a request and returns the bytes of the response.
+     *
+     * @param {Buffer} block The block of bytes to be processed.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = async function(block) {
+        try {
+            if (!state) await loadState();
+
+            // save any extra blocks until the block containing the request header arrives
+            var decoded, request;
+            try {
+                if (!extendedFraming && codec.isExtended(block)) throw Error('The extended framing is not supported.');
+                decoded = codec.decodeBlock(block);
+                if (decoded.index > 0) {
+                    blocks[decoded.index] = decoded.bytes;
+                    logger.log('debug', 'blockReceived', { index: decoded.index });
+                    return codec.encodeStatus(Codec.TRUE);
+                }
+                const extra = blocks.slice(1);
+                blocks = [];
+                for (var index = 0; index < extra.length; index++) {
+                    if (!extra[index]) return codec.encodeStatus(Codec.INVALID_REQUEST);
+                }
+                request = codec.decodeRequest(Buffer.concat([decoded.bytes].concat(extra)));
+            } catch (malformed) {
+                blocks = [];
+                return codec.encodeStatus(Codec.INVALID_REQUEST);
+            }
+
+            // process the request using its algorithm suite
+            const suite = suites[request.suite];
+            if (!suite) return codec.encodeStatus(Codec.INVALID_REQUEST);
+            const args = request.args;
+            const slot = codec.decodeSlot(request);
+            logger.log('debug', 'requestReceived', { type: request.type });
+            switch (request.type) {
+                case 'generateKeys':
+                    return await generateKeys(suite, args[0], slot);
+                case 'rotateKeys':
+                    return await rotateKeys(suite, args[0], args[1], slot);
+                case 'eraseKeys':
+                    return await eraseKeys(slot);
+                case 'digestBytes':
+                    return codecs[request.suite].encodeResponse('digestBytes', suite.digestBytes(args[0]));
+                case 'signBytes':
+                    return await signBytes(suite, args[0], args[1], slot);
+                case 'validSignature':
+                    return codec.encodeResponse('validSignature', suite.validSignature(args[0], args[1], args[2]));
+                case 'getDeviceInfo':
+                    return getDeviceInfo();
+                case 'getKeyStatus':
+                    return getKeyStatus(args[0], slot);
+            }
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$processBlock',
+                $exception: '$unexpected',
+                $text: 'The simulator could not process the block.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    return this;
+};
+ArmorDSimulator.prototype.constructor = ArmorDSimulator;
+exports.ArmorDSimulator = ArmorDSimulator;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function generates a new key pair for the specified algorithm suite and protects its
+ * private seed using the specified proxy key.
+ *
+ * @param {AlgorithmSuite} suite The algorithm suite of the key pair.
+ * @param {Buffer} proxyKey The proxy key that is held by the HSMProxy.
+ * @returns {Object} An object containing the public key, encrypted seed and proxy key digest.
+ */
+const createKeys = function(suite, proxyKey) {
+    const seed = suite.generateSeed();
+    const keys = {
+        publicKey: suite.derivePublicKey(seed),
+        encryptedSeed: xor(seed, stretch(proxyKey, seed.length)),
+        proxyDigest: crypto.createHash(DIGEST).update(proxyKey).digest()
+    };
+    seed.fill(0);
+    return keys;
+};
+
+
+/**
+ * This function returns the code of the algorithm suite that generated the key pairs in a slot.
+ * The key pairs that were generated before the simulator supported other suites have no code.
+ *
+ * @param {Catalog} entry The catalog containing the key pairs for the slot.
+ * @returns {Number} The code of the algorithm suite.
+ */
+const suiteOf = function(entry) {
+    const suite = entry.getAttribute('$suite');
+    return suite ? suite.toInteger() : 0;
+};
+
+
+/**
+ * This function determines whether or not a proxy key matches the stored digest.
+ *
+ * @param {Buffer} proxyKey The proxy key that was sent with the request.
+ * @param {Binary} digest The digest of the proxy key that was used to protect the key pair.
+ * @returns {Boolean} Whether or not the proxy key matches.
+ */
+const matchesDigest = function(proxyKey, digest) {
+    const candidate = crypto.createHash(DIGEST).update(proxyKey).digest();
+    return crypto.timingSafeEqual(candidate, digest.getValue());
+};
+
+
+/**
+ * This function stretches a proxy key to the length of a seed that is longer than the key.
+ *
+ * @param {Buffer} proxyKey The proxy key.
+ * @param {Number} length The number of bytes in the seed.
+ * @returns {Buffer} The proxy key, stretched if necessary.
+ */
+const stretch = function(proxyKey, length) {
+    if (length <= proxyKey.length) return proxyKey;
+    return crypto.createHash(STRETCH, { outputLength: length }).update(proxyKey).digest();
+};
+
+
+const xor = function(first, second) {
+    const result = Buffer.alloc(first.length);
+    for (var index = 0; index < first.length; index++) {
+        result[index] = first[index] ^ second[index];
+    }
+    return result;
+};
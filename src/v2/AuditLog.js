@@ -0,0 +1,514 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements an append-only, hash-chained audit log. Each entry is a single line of
+ * JSON containing a sequence number, a timestamp, the details of the operation, the hash of the
+ * previous entry and its own hash (an HMAC-SHA-512 of everything else in the entry). The key for
+ * the HMAC is derived from the passphrase that unlocks the proxy, so editing, removing or
+ * reordering an entry breaks the chain even if the hashes of the later entries are recalculated.
+ *
+ * Removing entries from the end of the log would not break the chain, so the number of entries
+ * and the hash of the last one (the head) are also stored in a separate file that is replaced
+ * atomically after each entry has been appended. An entry that was appended just before a crash
+ * may be missing from the head, so entries beyond the head are accepted as long as they extend
+ * the chain. The head also contains the salt that the key is derived from, and is authenticated
+ * using an HMAC of its own so that it cannot be rewritten to match a truncated log. A log whose
+ * head is missing cannot be unlocked.
+ *
+ * Operations that do not need the passphrase (e.g. erasing every key) can be performed while
+ * the proxy is locked. Their entries are written to a separate file and added to the chain once
+ * the log has been unlocked. A log that was keyed using another passphrase cannot be unlocked
+ * either. When a new passphrase is chosen (e.g. after every key was erased) the log is reset
+ * explicitly instead: it is archived next to the current one and a new log is started.
+ */
+const crypto = require('crypto');
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api();
+const Encryption = require('./Encryption').Encryption;
+const Logger = require('./Logger').Logger;
+const Storage = require('./Storage').Storage;
+
+
+// PRIVATE CONSTANTS
+
+const DIGEST = 'sha512';
+const GENESIS = '0'.repeat(128);  // the previous hash for the first entry
+const KEY_SIZE = 64;  // bytes, the size of the digest
+const EOL = '\n';
+
+const moduleName = '/bali/notary/v2/AuditLog';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new audit log.
+ *
+ * @param {String} filename The name of the file containing the log.
+ * @param {String} directory An optional directory containing the file (the default is '~/.bali/').
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the audit log logs its exceptions
+ * (the default is a logger for the debug level).
+ * @returns {Object} The new audit log.
+ */
+const AuditLog = function(filename, directory, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    const head = new Storage(filename + '.head', directory, this.debug, logger);
+    logger = Logger.forComponent(moduleName, this.debug, logger);
+    const encryption = new Encryption(this.debug);
+    const file = head.directory + filename;
+    const deferred = file + '.deferred';  // the entries appended while the log was locked
+    var tail;  // the sequence number and hash of the last entry
+    var key;  // the key for the hashes, known only while the log is unlocked
+    var salt;  // the salt that the key was derived from
+
+    const readLines = async function(name) {
+        try {
+            const contents = await pfs.readFile(name, 'utf8');
+            return contents.split(EOL).filter(function(line) {
+                return line.length > 0;
+            });
+        } catch (cause) {
+            if (cause.code === 'ENOENT') return [];
+            throw cause;
+        }
+    };
+
+    const writeLines = async function(name, entries, flags) {
+        await pfs.mkdir(head.directory, { recursive: true, mode: 0o700 });
+        const handle = await pfs.open(name, flags, 0o600);
+        try {
+            await handle.writeFile(entries.map(function(entry) {
+                return JSON.stringify(entry) + EOL;
+            }).join(''), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    };
+
+    const loadHead = async function() {
+        const source = await head.load();
+        return source ? bali.component(source) : undefined;
+    };
+
+    const storeHead = async function() {
+        const anchor = bali.catalog({
+            $entries: tail.sequence,
+            $head: bali.binary(Buffer.from(tail.hash, 'hex')),
+            $salt: bali.binary(salt),
+            $check: bali.binary(checkKey(key, salt))
+        });
+        anchor.setAttribute('$mac', bali.binary(signHead(anchor, key)));
+        await head.store(bali.document(anchor));
+    };
+
+    const chain = async function(entries) {
+        // append the specified entries to the chain using the current key
+        if (!tail) {
+            const lines = await readLines(file);
+            const last = lines.length ? JSON.parse(lines[lines.length - 1]) : undefined;
+            tail = last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS };
+        }
+        var sequence = tail.sequence;
+        var previous = tail.hash;
+        const chained = entries.map(function(details) {
+            const entry = { sequence: ++sequence };
+            Object.keys(details).forEach(function(name) {
+                if (details[name] !== undefined) entry[name] = details[name];
+            });
+            entry.previous = previous;
+            entry.hash = hashEntry(entry, key);
+            previous = entry.hash;
+            return entry;
+        });
+        await writeLines(file, chained, 'a');
+        tail = { sequence: sequence, hash: previous };
+        await storeHead();
+        return chained;
+    };
+
+    const seal = async function() {
+        // add any entries that were appended while the log was locked to the chain
+        const lines = await readLines(deferred);
+        if (lines.length === 0) return;
+        await chain(lines.map(function(line) {
+            return Object.assign(JSON.parse(line), { deferred: true });
+        }));
+        await pfs.unlink(deferred);
+    };
+
+    const archive = async function() {
+        // move the current log aside so that it can still be verified using the old passphrase
+        const lines = await readLines(file);
+        if (lines.length === 0) return;
+        const archived = filename + '.' + Date.now();
+        await pfs.rename(file, head.directory + archived);
+        await pfs.rename(head.file, head.directory + archived + '.head').catch(function() {});
+        return { file: archived, entries: lines.length };
+    };
+
+    const restart = async function(passphrase, reason) {
+        // start a new log that is keyed using the specified passphrase
+        const archived = await archive();
+        salt = crypto.randomBytes(Encryption.SALT_SIZE);
+        key = await encryption.deriveKey(passphrase, salt, Encryption.KDF_COST, KEY_SIZE);
+        tail = { sequence: 0, hash: GENESIS };
+        if (archived) {
+            await chain([{
+                timestamp: new Date().toISOString(),
+                archived: archived.file,
+                entries: archived.entries,
+                reason: reason
+            }]);
+        } else {
+            await storeHead();
+        }
+        return archived;
+    };
+
+    const locked = function(procedure) {
+        return bali.exception({
+            $module: moduleName,
+            $procedure: procedure,
+            $exception: '$locked',
+            $file: bali.text(file),
+            $text: 'The audit log is locked.'
+        });
+    };
+
+    const refused = function(type, text) {
+        return bali.exception({
+            $module: moduleName,
+            $procedure: '$unlock',
+            $exception: type,
+            $file: bali.text(file),
+            $text: text
+        });
+    };
+
+    /**
+     * This method derives the key for the log from the specified passphrase, and adds to the
+     * chain any entries that were appended while the log was locked. A log whose head is
+     * missing or not valid is refused with an $invalidHead exception, and a log that was keyed
+     * using a different passphrase with an $invalidPassphrase exception (see the reset method).
+     *
+     * @param {String} passphrase The passphrase that unlocks the proxy.
+     */
+    this.unlock = async function(passphrase) {
+        var exception;
+        try {
+            const anchor = await loadHead();
+            const candidate = anchor && anchor.getAttribute('$salt');
+            const check = anchor && anchor.getAttribute('$check');
+            if (!anchor && (await readLines(file)).length === 0) {
+                await restart(passphrase);  // a new log
+            } else if (!anchor) {
+                exception = refused('$invalidHead', 'The head of the audit log is missing.');
+            } else if (!candidate || !check) {
+                exception = refused('$invalidHead', 'The head of the audit log is not valid.');
+            } else {
+                const derived = await encryption.deriveKey(passphrase, candidate.getValue(), Encryption.KDF_COST, KEY_SIZE);
+                if (checkKey(derived, candidate.getValue()).equals(check.getValue())) {
+                    salt = candidate.getValue();
+                    key = derived;
+                } else {
+                    exception = refused('$invalidPassphrase', 'The audit log was keyed using another passphrase.');
+                }
+            }
+            if (!exception) await seal();
+        } catch (cause) {
+            tail = undefined;  // start over from what was actually written
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$unlock',
+                $exception: '$storageException',
+                $file: bali.text(file),
+                $text: 'The audit log could not be unlocked.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+        if (exception) {
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method archives the log and starts a new one that is keyed using the specified
+     * passphrase, followed by any entries that were appended while the log was locked. It is
+     * used when a new passphrase is chosen for a proxy that cannot prove the old one (e.g. after
+     * every key was erased, or when a backup is restored).
+     *
+     * @param {String} passphrase The new passphrase.
+     * @param {String} reason The reason why the log is reset, which is recorded in the new log.
+     * @returns {Object} The name of the archived log and the number of entries in it, if there
+     * were any.
+     */
+    this.reset = async function(passphrase, reason) {
+        try {
+            const archived = await restart(passphrase, reason);
+            await seal();
+            return archived;
+        } catch (cause) {
+            tail = undefined;  // start over from what was actually written
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$reset',
+                $exception: '$storageException',
+                $file: bali.text(file),
+                $text: 'The audit log could not be reset.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method forgets the key for the log. Entries are appended to a separate file until the
+     * log is unlocked again.
+     */
+    this.lock = function() {
+        key = undefined;
+        salt = undefined;
+    };
+
+    /**
+     * This method recalculates every hash in the log using a key derived from a new passphrase.
+     * A log that is not valid is archived instead, so that the modified entries are not hidden.
+     *
+     * @param {String} passphrase The new passphrase.
+     * @returns {Object} The name of the archived log and the number of entries in it, if the log
+     * had to be archived.
+     */
+    this.rekey = async function(passphrase) {
+        if (!key) throw locked('$rekey');
+        try {
+            const result = await this.verify();
+            if (!result.getAttribute('$valid').isSignificant()) {
+                return await restart(passphrase, 'The audit log was not valid when the passphrase was changed.');
+            }
+            const entries = (await readLines(file)).map(function(line) {
+                return JSON.parse(line);
+            });
+            salt = crypto.randomBytes(Encryption.SALT_SIZE);
+            key = await encryption.deriveKey(passphrase, salt, Encryption.KDF_COST, KEY_SIZE);
+            var previous = GENESIS;
+            entries.forEach(function(entry) {
+                entry.previous = previous;
+                entry.hash = hashEntry(entry, key);
+                previous = entry.hash;
+            });
+            await writeLines(file + '.tmp', entries, 'w');
+            await pfs.rename(file + '.tmp', file);
+            tail = { sequence: entries.length, hash: previous };
+            await storeHead();
+        } catch (cause) {
+            tail = undefined;  // start over from what was actually written
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$rekey',
+                $exception: '$storageException',
+                $file: bali.text(file),
+                $text: 'The audit log could not be keyed using the new passphrase.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method appends an entry describing an operation to the log. The entry is flushed to
+     * disk before the method returns.
+     *
+     * @param {Object} details An object containing the details of the operation.
+     * @returns {Object} The new entry.
+     */
+    this.append = async function(details) {
+        try {
+            const entry = { timestamp: new Date().toISOString() };
+            Object.keys(details).forEach(function(name) {
+                if (details[name] !== undefined) entry[name] = details[name];
+            });
+            if (!key) {
+                await writeLines(deferred, [entry], 'a');
+                return entry;
+            }
+            await seal();
+            return (await chain([entry]))[0];
+        } catch (cause) {
+            tail = undefined;  // start over from what was actually written
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$append',
+                $exception: '$storageException',
+                $file: bali.text(file),
+                $text: 'The entry could not be appended to the audit log.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns the entries in the log, in the order in which they were appended,
+     * followed by any entries that were appended while the log was locked. The entries are not
+     * verified (see the verify method).
+     *
+     * @returns {Array} An array containing an object for each entry.
+     */
+    this.read = async function() {
+        try {
+            const lines = (await readLines(file)).concat(await readLines(deferred));
+            return lines.map(function(line) {
+                return JSON.parse(line);
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$read',
+                $exception: '$storageException',
+                $file: bali.text(file),
+                $text: 'The audit log could not be read.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method checks that no entry in the log has been edited, removed or reordered and
+     * that the log has not been truncated. The log must be unlocked since the hashes can only be
+     * checked using the key.
+     *
+     * @returns {Catalog} A catalog containing whether or not the log is valid, the number of
+     * entries and the hash of the last one, along with a description of the first problem that
+     * was found (if any) and the sequence number of the entry where it was found.
+     */
+    this.verify = async function() {
+        if (!key) throw locked('$verify');
+        try {
+            await seal();
+            const lines = await readLines(file);
+            var previous = GENESIS;
+            const problem = function(sequence, text) {
+                return bali.catalog({
+                    $valid: false,
+                    $entries: lines.length,
+                    $sequence: sequence,
+                    $problem: bali.text(text)
+                });
+            };
+            for (var index = 0; index < lines.length; index++) {
+                const sequence = index + 1;
+                var entry;
+                try {
+                    entry = JSON.parse(lines[index]);
+                } catch (cause) {
+                    return problem(sequence, 'The entry is not valid JSON.');
+                }
+                if (entry.sequence !== sequence) return problem(sequence, 'The entry is out of sequence.');
+                if (entry.previous !== previous) return problem(sequence, 'The entry does not follow the previous entry.');
+                if (entry.hash !== hashEntry(entry, key)) return problem(sequence, 'The entry has been modified.');
+                previous = entry.hash;
+            }
+            const anchor = await loadHead();
+            if (anchor) {
+                const mac = anchor.getAttribute('$mac');
+                const complete = ['$entries', '$head', '$salt'].every(function(name) {
+                    return anchor.getAttribute(name);
+                });
+                if (!mac || !complete || !signHead(anchor, key).equals(mac.getValue())) {
+                    return problem(0, 'The head of the audit log has been modified.');
+                }
+                const entries = anchor.getAttribute('$entries').toInteger();
+                const hash = anchor.getAttribute('$head').getValue().toString('hex');
+                if (entries > lines.length) return problem(lines.length, 'The audit log has been truncated.');
+                if (entries > 0 && JSON.parse(lines[entries - 1]).hash !== hash) {
+                    return problem(entries, 'The entry does not match the head of the audit log.');
+                }
+            } else if (lines.length > 0) {
+                return problem(0, 'The head of the audit log is missing.');
+            }
+            return bali.catalog({
+                $valid: true,
+                $entries: lines.length,
+                $head: bali.binary(Buffer.from(previous, 'hex'))
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$verify',
+                $exception: '$storageException',
+                $file: bali.text(file),
+                $text: 'The audit log could not be read.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    return this;
+};
+AuditLog.prototype.constructor = AuditLog;
+exports.AuditLog = AuditLog;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function calculates the hash of an entry, which covers every attribute of the entry
+ * except the hash itself, in the order in which they appear.
+ *
+ * @param {Object} entry The entry.
+ * @param {Buffer} key The key derived from the passphrase.
+ * @returns {String} The hexadecimal HMAC-SHA-512 of the entry.
+ */
+const hashEntry = function(entry, key) {
+    const content = {};
+    Object.keys(entry).forEach(function(name) {
+        if (name !== 'hash') content[name] = entry[name];
+    });
+    return crypto.createHmac(DIGEST, key).update(JSON.stringify(content)).digest('hex');
+};
+
+
+/**
+ * This function calculates the HMAC of the head of the log, which covers the number of entries,
+ * the hash of the last one and the salt.
+ *
+ * @param {Catalog} anchor The head of the log.
+ * @param {Buffer} key The key derived from the passphrase.
+ * @returns {Buffer} The HMAC-SHA-512 of the head.
+ */
+const signHead = function(anchor, key) {
+    return crypto.createHmac(DIGEST, key).update(JSON.stringify({
+        entries: anchor.getAttribute('$entries').toInteger(),
+        head: anchor.getAttribute('$head').getValue().toString('hex'),
+        salt: anchor.getAttribute('$salt').getValue().toString('hex')
+    })).digest();
+};
+
+
+/**
+ * This function calculates a value that shows whether or not a key was derived from the same
+ * passphrase as the one that the log was keyed with, without revealing the key.
+ *
+ * @param {Buffer} key The key.
+ * @param {Buffer} salt The salt that the key was derived from.
+ * @returns {Buffer} The check value.
+ */
+const checkKey = function(key, salt) {
+    return crypto.createHmac(DIGEST, key).update(salt).digest();
+};
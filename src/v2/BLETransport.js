@@ -0,0 +1,423 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a transport that communicates with a remote hardware security module
+ * over Bluetooth Low Energy (BLE) using the Nordic UART service. Every transport implements
+ * the following asynchronous methods:
+ * <pre>
+ *   * connect - establish a link to the hardware security module
+ *   * isConnected - check whether or not the link is still established
+ *   * getDeviceId - return the identifier of the connected hardware security module
+ *   * processBlock - send a block of bytes and return the bytes of the response
+ *   * disconnect - release the link to the hardware security module
+ * </pre>
+ * A transport may also implement the following optional methods:
+ * <pre>
+ *   * selectDevice - restrict the transport to the device with a specific identifier
+ *   * scanDevices - return the devices that are within reach of the transport
+ *   * getAdapter - return the adapter that is shared with other transports (if any)
+ *   * getBlockSize - return the maximum number of bytes in a block, as limited by the link
+ *   * setLogger - log the events of the transport through the logger of the proxy
+ * </pre>
+ * A transport that is an EventEmitter may also emit the following events, each with an object
+ * containing the details of the event, which the proxy forwards to its own listeners:
+ * <pre>
+ *   * scanStarted - the transport started searching for HSMs
+ *   * deviceFound - the transport found an HSM (along with how long the search took)
+ *   * scanTimedOut - the transport did not find the HSM in time
+ *   * servicesDiscovered - the transport discovered the services of the HSM (along with how
+ *       long the discovery took)
+ * </pre>
+ */
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+const bali = require('bali-component-framework').api();
+const Logger = require('./Logger').Logger;
+var bluetooth;  // the noble singleton is loaded lazily since it binds to the BLE adapter
+
+
+// PRIVATE CONSTANTS
+
+// these are viewed from the client (mobile device) perspective
+const UART_SERVICE_ID = '6e400001b5a3f393e0a9e50e24dcca9e';
+const UART_WRITE_ID = '6e400002b5a3f393e0a9e50e24dcca9e';
+const UART_NOTIFICATION_ID = '6e400003b5a3f393e0a9e50e24dcca9e';
+
+// the advertised name of the hardware security module
+const DEVICE_NAME = 'ArmorD';
+
+const ATT_HEADER = 3;  // the bytes of each ATT packet that are not available to the payload
+const MAXIMUM_BLOCK = 512;  // the maximum length of a characteristic value
+
+const SCAN_TIMEOUT = 1000;  // milliseconds
+
+const moduleName = '/bali/notary/v2/BLETransport';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new transport that talks to an ArmorD hardware security module
+ * over Bluetooth Low Energy.
+ *
+ * @param {Number} scanTimeout An optional number of milliseconds to search for the hardware
+ * security module before giving up (the default is 1000).
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to the standard error stream
+ *   2: perform argument validation and log exceptions to the standard error stream
+ *   3: same as 2 (the progress of a search is reported using events instead)
+ * </pre>
+ * Once the transport is used by a proxy it logs through the logger of the proxy instead.
+ * @returns {Object} The new BLE transport.
+ */
+const BLETransport = function(scanTimeout, debug) {
+    EventEmitter.call(this);
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$BLETransport', '$scanTimeout', scanTimeout, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+    }
+    scanTimeout = scanTimeout || SCAN_TIMEOUT;
+    bluetooth = bluetooth || require('@abandonware/noble');
+
+    var peripheral, input, output;
+    var selected;  // the identifier of the only peripheral that may be selected
+    var logger = Logger.forComponent(moduleName, this.debug);
+
+    /**
+     * This method logs the events of the transport through a logger that shares the sink and
+     * level of the specified logger (e.g. the logger of the proxy that uses the transport).
+     *
+     * @param {Logger} shared The logger to be shared.
+     */
+    this.setLogger = function(shared) {
+        logger = shared.forModule(moduleName);
+    };
+
+    /**
+     * This method restricts the transport to the peripheral with the specified identifier.
+     *
+     * @param {String} deviceId The identifier of the peripheral, or undefined to select the
+     * first hardware security module that is found.
+     */
+    this.selectDevice = function(deviceId) {
+        selected = deviceId;
+    };
+
+    /**
+     * This method scans for all hardware security modules that are within range.
+     *
+     * @param {Number} duration An optional number of milliseconds to scan (the default is the
+     * scan timeout).
+     * @returns {Array} An array of objects describing each device, containing its id, address,
+     * name and rssi (received signal strength).
+     */
+    this.scanDevices = async function(duration) {
+        try {
+            return await scanDevices(duration || scanTimeout, this);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$scanDevices',
+                $exception: '$scanFailed',
+                $text: 'The scan for HSMs failed.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns the bluetooth adapter, which is shared by every BLE transport.
+     *
+     * @returns {Object} The bluetooth adapter.
+     */
+    this.getAdapter = function() {
+        return bluetooth;
+    };
+
+    /**
+     * This method searches for the hardware security module, connects to it and retrieves
+     * the UART characteristics that are used to exchange blocks with it.
+     */
+    this.connect = async function() {
+        try {
+            peripheral = await findPeripheral(selected, scanTimeout, this);
+            await connect(peripheral);
+            const started = Date.now();
+            const service = await discoverService(peripheral);
+            const characteristics = await retrieveCharacteristics(service);
+            this.emit('servicesDiscovered', { device: peripheral.id, duration: Date.now() - started });
+            characteristics.forEach (function(characteristic) {
+                // the characteristics must also support the way that they are used
+                const properties = characteristic.properties;
+                if (characteristic.uuid === UART_NOTIFICATION_ID && properties.indexOf('notify') > -1) input = characteristic;
+                if (characteristic.uuid === UART_WRITE_ID && properties.indexOf('write') > -1) output = characteristic;
+            });
+            if (!input || !output) {
+                throw Error("The UART service doesn't support the right characteristics.");
+            }
+            await subscribe(input);  // the subscription lasts as long as the link
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$connect',
+                $exception: '$noConnection',
+                $text: 'The attempt to connect to the HSM failed.'
+            }, typeof cause === 'string' ? Error(cause) : cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns whether or not the link to the hardware security module is still
+     * established.
+     *
+     * @returns {Boolean} Whether or not the transport is connected.
+     */
+    this.isConnected = function() {
+        return (peripheral && input && peripheral.state === 'connected') ? true : false;
+    };
+
+    /**
+     * This method returns the identifier of the connected peripheral.
+     *
+     * @returns {String} The identifier of the peripheral.
+     */
+    this.getDeviceId = async function() {
+        return peripheral ? peripheral.id : undefined;
+    };
+
+    /**
+     * This method returns the maximum number of bytes in a block that can be written in a
+     * single packet, which depends on the MTU that was negotiated when the link was established.
+     *
+     * @returns {Number} The maximum number of bytes in a block, or undefined if the MTU is not
+     * known.
+     */
+    this.getBlockSize = function() {
+        if (!peripheral || !peripheral.mtu) return;
+        return Math.min(peripheral.mtu - ATT_HEADER, MAXIMUM_BLOCK);
+    };
+
+    /**
+     * This method writes a block of bytes to the hardware security module and returns the
+     * bytes of the response.
+     *
+     * @param {Buffer} block The block of bytes to be written.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = async function(block) {
+        return await processBlock(peripheral, input, output, block);
+    };
+
+    /**
+     * This method disconnects from the hardware security module if it is connected.
+     */
+    this.disconnect = async function() {
+        if (peripheral) await disconnect(peripheral);
+        peripheral = undefined;
+        input = undefined;
+        output = undefined;
+    };
+
+    return this;
+};
+util.inherits(BLETransport, EventEmitter);
+BLETransport.prototype.constructor = BLETransport;
+exports.BLETransport = BLETransport;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function searches for a bluetooth peripheral that implements the hardware security
+ * module (HSM). Once one is found it stops searching. The function is asynchronous and
+ * returns a promise to attempt to find the peripheral.
+ *
+ * @param {String} deviceId The identifier of the peripheral that must be found, or undefined
+ * if any HSM will do.
+ * @param {Number} timeout The number of milliseconds to search before giving up.
+ * @param {EventEmitter} emitter The transport that emits the events of the search.
+ * @returns {Promise} A promise to return a matching peripheral.
+ */
+const findPeripheral = function(deviceId, timeout, emitter) {
+    return new Promise(function(resolve, reject) {
+        const started = Date.now();
+        const discover = function(peripheral) {
+            const advertisement = peripheral.advertisement;
+            if (advertisement.localName !== DEVICE_NAME) return;
+            const found = { id: peripheral.id, name: advertisement.localName, rssi: peripheral.rssi };
+            const matches = !deviceId || peripheral.id === deviceId;
+            if (matches) found.duration = Date.now() - started;  // how long it took to find the HSM
+            emitter.emit('deviceFound', found);
+            if (matches) {
+                clearTimeout(timer);
+                bluetooth.removeListener('discover', discover);
+                bluetooth.stopScanning();
+                resolve(peripheral);
+            }
+        };
+        const timer = setTimeout(function() {
+            bluetooth.removeListener('discover', discover);
+            bluetooth.stopScanning();
+            emitter.emit('scanTimedOut', { device: deviceId, timeout: timeout });
+            reject(deviceId ? 'The HSM ' + deviceId + ' was not found.' : 'No HSM found.');
+        }, timeout);
+        bluetooth.on('discover', discover);
+        emitter.emit('scanStarted', { device: deviceId, timeout: timeout });
+        bluetooth.startScanning([UART_SERVICE_ID]);  // start searching (asynchronously)
+    });
+};
+
+
+/**
+ * This function scans for all bluetooth peripherals that implement the hardware security
+ * module (HSM) for the specified duration.
+ *
+ * @param {Number} duration The number of milliseconds to scan.
+ * @param {EventEmitter} emitter The transport that emits the events of the scan.
+ * @returns {Promise} A promise to return an array describing the devices that were found.
+ */
+const scanDevices = function(duration, emitter) {
+    return new Promise(function(resolve, reject) {
+        const devices = {};
+        const discover = function(peripheral) {
+            const advertisement = peripheral.advertisement;
+            if (advertisement.localName !== DEVICE_NAME) return;
+            if (!devices[peripheral.id]) {
+                emitter.emit('deviceFound', { id: peripheral.id, name: advertisement.localName, rssi: peripheral.rssi });
+            }
+            devices[peripheral.id] = {
+                id: peripheral.id,
+                address: peripheral.address,
+                name: advertisement.localName,
+                rssi: peripheral.rssi
+            };
+        };
+        setTimeout(function() {
+            bluetooth.removeListener('discover', discover);
+            bluetooth.stopScanning();
+            resolve(Object.values(devices));
+        }, duration);
+        bluetooth.on('discover', discover);
+        emitter.emit('scanStarted', { duration: duration });
+        bluetooth.startScanning([UART_SERVICE_ID], true);  // allow duplicates to refresh the rssi
+    });
+};
+
+
+const connect = function(peripheral) {
+    return new Promise(function(resolve, reject) {
+        peripheral.connect(function(cause) {
+            if (cause) {
+                reject(cause);
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+
+const disconnect = function(peripheral) {
+    return new Promise(function(resolve, reject) {
+        peripheral.disconnect(function() {
+            resolve();
+        });
+    });
+};
+
+
+const discoverService = function(peripheral) {
+    return new Promise(function(resolve, reject) {
+        peripheral.discoverServices([UART_SERVICE_ID], function(cause, services) {
+            if (cause || services.length !== 1) {
+                cause = cause || Error('Wrong number of UART services found: ' + services.length);
+                reject(cause);
+            } else {
+                resolve(services[0]);
+            }
+        });
+    });
+};
+
+
+const subscribe = function(input) {
+    return new Promise(function(resolve, reject) {
+        input.subscribe(function(cause) {
+            if (cause) {
+                reject(cause);
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+
+const retrieveCharacteristics = function(service) {
+    return new Promise(function(resolve, reject) {
+        service.discoverCharacteristics([], function(cause, characteristics) {
+            if (cause) {
+                reject(cause);
+            } else {
+                resolve(characteristics);
+            }
+        });
+    });
+};
+
+
+/**
+ * This function writes a block of bytes to the output characteristic of a BLEUart service
+ * and reads the response from the (already subscribed) input characteristic.  The function is
+ * asynchronous and returns a promise to attempt to process the block of bytes. The promise is
+ * rejected if the block cannot be written or the link drops before the response arrives.
+ *
+ * @param {Peripheral} peripheral The connected peripheral.
+ * @param {Characteristic} input The input characteristic for the BLEUart service.
+ * @param {Characteristic} output The output characteristic for the BLEUart service.
+ * @param {Buffer} block The block of bytes to be written.
+ * @returns {Promise} A promise to return a buffer containing the bytes for the response from
+ * the service.
+ */
+const processBlock = function(peripheral, input, output, block) {
+    return new Promise(function(resolve, reject) {
+        if (!peripheral || !input || !output) return reject(Error('The transport is not connected to an HSM.'));
+        const dropped = function() {
+            input.removeListener('read', read);
+            reject(Error('The link to the HSM dropped before a response was received.'));
+        };
+        const read = function(response, isNotification) {  // isNotification should always be true
+            peripheral.removeListener('disconnect', dropped);
+            resolve(response);
+        };
+        peripheral.once('disconnect', dropped);
+        input.once('read', read);
+        output.write(block, false, function(cause) {
+            // can't resolve it until the response is read, but nothing will be read if the block
+            // was never written
+            if (cause) {
+                peripheral.removeListener('disconnect', dropped);
+                input.removeListener('read', read);
+                reject(cause);
+            }
+        });
+    });
+};
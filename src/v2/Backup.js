@@ -0,0 +1,360 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class seals the contents of a proxy configuration (including its decrypted proxy keys)
+ * into a backup bundle, and opens the bundle again. A bundle is a catalog with the following
+ * attributes:
+ * <pre>
+ *   $version - the version of the bundle format
+ *   $protocol - the protocol of the proxy that created it
+ *   $tag - the tag of the configuration
+ *   $revision - the number of changes that had been made to the keys of the configuration
+ *   $created - when the bundle was created
+ *   $kdf, $cost, $salt - how the encryption key is derived from the passphrase
+ *   $cipher, $iv, $ciphertext, $authentication - the AES-256-GCM encrypted contents
+ * </pre>
+ * The attributes that describe the bundle are authenticated along with the contents, so
+ * they cannot be changed without the bundle being rejected.
+ *
+ * The bundle may also be split into n shares, any k of which (the threshold) are needed to
+ * open it. Each share is a complete bundle containing the encrypted contents, the threshold
+ * ($threshold) and one Shamir secret share ($share) of a random key that is mixed into the
+ * encryption key, so both the passphrase and k shares are required. A single share reveals
+ * nothing about the random key.
+ */
+const crypto = require('crypto');
+const bali = require('bali-component-framework').api();
+const Encryption = require('./Encryption').Encryption;
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const VERSION = 1;  // the version of the bundle format
+
+// the random key that is split into shares
+const KEY_SIZE = Encryption.KEY_SIZE;
+const MIXING = 'sha512';  // mixes the random key of the shares into the encryption key
+
+// the most shares that can be created (the x coordinates are the non-zero bytes)
+const MAXIMUM_SHARES = 255;
+
+// the exponential and logarithm tables for GF(256) using the AES polynomial (0x11B)
+const EXP = [];
+const LOG = [];
+(function() {
+    var value = 1;
+    for (var power = 0; power < 255; power++) {
+        EXP[power] = value;
+        LOG[value] = power;
+        const doubled = (value << 1) ^ ((value & 0x80) ? 0x11B : 0x00);
+        value = doubled ^ value;  // multiply by the generator (3)
+    }
+    for (power = 255; power < 510; power++) EXP[power] = EXP[power - 255];
+})();
+
+const moduleName = '/bali/notary/v2/Backup';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates an object that seals and opens the backup bundles for a proxy.
+ *
+ * @param {String} protocol The protocol of the proxy (e.g. 'v2').
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the backup object logs its exceptions
+ * (the default is a logger for the debug level).
+ * @returns {Backup} The new backup object.
+ */
+const Backup = function(protocol, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    this.protocol = protocol;
+    this.logger = Logger.forComponent(moduleName, this.debug, logger);
+    this.encryption = new Encryption(this.debug);
+    return this;
+};
+Backup.prototype.constructor = Backup;
+exports.Backup = Backup;
+
+Backup.VERSION = VERSION;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method seals the contents of a configuration into a backup bundle, or into a list of
+ * shares of one.
+ *
+ * @param {Catalog} contents A catalog containing the tag ($tag) and revision ($revision) of the
+ * configuration along with anything else that must be backed up.
+ * @param {String} passphrase The passphrase that protects the bundle.
+ * @param {Object} sharing An optional object containing the number of shares to create
+ * (shares) and the number of them that are needed to open the bundle (threshold).
+ * @returns {Catalog|List} The bundle, or a list of its shares.
+ */
+Backup.prototype.seal = async function(contents, passphrase, sharing) {
+    var secret, shares;
+    if (sharing) {
+        const count = sharing.shares;
+        const threshold = sharing.threshold;
+        if (!Number.isInteger(count) || !Number.isInteger(threshold) || threshold < 2 || threshold > count || count > MAXIMUM_SHARES) {
+            throw this.exception('$seal', '$invalidSharing', 'The threshold must be at least 2 and at most the number of shares (at most ' + MAXIMUM_SHARES + ').');
+        }
+        secret = crypto.randomBytes(KEY_SIZE);
+        shares = splitSecret(secret, threshold, count);
+    }
+    const header = bali.catalog({
+        $version: VERSION,
+        $protocol: this.protocol,
+        $tag: contents.getAttribute('$tag'),
+        $revision: contents.getAttribute('$revision'),
+        $created: bali.moment()
+    });
+    if (shares) header.setAttribute('$threshold', sharing.threshold);
+
+    // encrypt the contents using a key derived from the passphrase (and the shared key)
+    const salt = crypto.randomBytes(Encryption.SALT_SIZE);
+    const key = mixKey(await this.encryption.deriveKey(passphrase, salt, Encryption.KDF_COST), secret);
+    const plaintext = Buffer.from(contents.toString(), 'utf8');
+    const encrypted = this.encryption.encrypt(plaintext, key, Buffer.from(header.toString(), 'utf8'));
+    const bundle = bali.duplicate(header);
+    bundle.setAttribute('$kdf', Encryption.KDF);
+    bundle.setAttribute('$cost', Encryption.KDF_COST);
+    bundle.setAttribute('$salt', bali.binary(salt));
+    bundle.setAttribute('$cipher', Encryption.CIPHER);
+    bundle.setAttribute('$iv', bali.binary(encrypted.iv));
+    bundle.setAttribute('$ciphertext', bali.binary(encrypted.ciphertext));
+    bundle.setAttribute('$authentication', bali.binary(encrypted.authentication));
+    if (!shares) return bundle;
+
+    // each share is a complete bundle containing one share of the random key
+    return bali.list(shares.map(function(share) {
+        const copy = bali.duplicate(bundle);
+        copy.setAttribute('$share', bali.catalog({
+            $index: share.index,
+            $value: bali.binary(share.value)
+        }));
+        return copy;
+    }));
+};
+
+
+/**
+ * This method opens a backup bundle, or enough shares of one, and returns its contents.
+ *
+ * @param {Catalog|List|Array|String} bundle The bundle, or a list (or array) of its shares,
+ * either as components or as their source strings.
+ * @param {String} passphrase The passphrase that protects the bundle.
+ * @returns {Catalog} The contents of the bundle.
+ */
+Backup.prototype.open = async function(bundle, passphrase) {
+    const bundles = this.parse(bundle);
+    const first = bundles[0];
+    const version = first.getAttribute('$version');
+    if (!version || version.toInteger() !== VERSION) {
+        throw this.exception('$open', '$invalidBackup', 'The version of the backup is not supported: ' + version);
+    }
+    const protocol = first.getAttribute('$protocol');
+    if (!protocol || protocol.toString() !== this.protocol) {
+        throw this.exception('$open', '$invalidBackup', 'The backup was created by a proxy that speaks another protocol: ' + protocol);
+    }
+
+    // recombine the random key from the shares
+    var secret;
+    const threshold = first.getAttribute('$threshold');
+    if (threshold) {
+        const ciphertext = first.getAttribute('$ciphertext').toString();
+        const shares = [];
+        bundles.forEach(function(share) {
+            const attributes = share.getAttribute('$share');
+            if (!attributes || share.getAttribute('$ciphertext').toString() !== ciphertext) {
+                throw this.exception('$open', '$invalidBackup', 'The shares do not belong to the same backup.');
+            }
+            const index = attributes.getAttribute('$index').toInteger();
+            if (shares.some(function(existing) { return existing.index === index; })) return;  // a duplicate
+            shares.push({ index: index, value: attributes.getAttribute('$value').getValue() });
+        }, this);
+        if (shares.length < threshold.toInteger()) {
+            throw this.exception('$open', '$invalidBackup', 'At least ' + threshold.toInteger() + ' different shares are needed to open the backup.');
+        }
+        secret = combineSecret(shares.slice(0, threshold.toInteger()));
+    } else if (bundles.length > 1) {
+        throw this.exception('$open', '$invalidBackup', 'The backup was not split into shares.');
+    }
+
+    // decrypt the contents, which also authenticates the attributes describing the bundle
+    const header = bali.catalog({
+        $version: version,
+        $protocol: protocol,
+        $tag: first.getAttribute('$tag'),
+        $revision: first.getAttribute('$revision'),
+        $created: first.getAttribute('$created')
+    });
+    if (threshold) header.setAttribute('$threshold', threshold);
+    try {
+        const salt = first.getAttribute('$salt').getValue();
+        const cost = first.getAttribute('$cost').toInteger();
+        const key = mixKey(await this.encryption.deriveKey(passphrase, salt, cost), secret);
+        const plaintext = this.encryption.decrypt({
+            iv: first.getAttribute('$iv').getValue(),
+            ciphertext: first.getAttribute('$ciphertext').getValue(),
+            authentication: first.getAttribute('$authentication').getValue()
+        }, key, Buffer.from(header.toString(), 'utf8'));
+        return bali.component(plaintext.toString('utf8'));
+    } catch (cause) {
+        // an authentication failure means the passphrase (or a share, or the bundle) is wrong
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$open',
+            $exception: '$invalidPassphrase',
+            $text: 'The passphrase does not open the backup, or the backup has been modified.'
+        }, cause);
+        this.logger.exception(exception);
+        throw exception;
+    }
+};
+
+
+/**
+ * This method converts a bundle, or its shares, into an array of catalogs.
+ *
+ * @param {Catalog|List|Array|String} bundle The bundle, or a list (or array) of its shares,
+ * either as components or as their source strings.
+ * @returns {Array} An array containing the catalog for each bundle.
+ */
+Backup.prototype.parse = function(bundle) {
+    try {
+        if (typeof bundle === 'string') bundle = bali.component(bundle);
+        if (bundle && bundle.isComponent && bundle.getType() === '/bali/collections/List') bundle = bundle.toArray();
+        const bundles = Array.isArray(bundle) ? bundle : [bundle];
+        return bundles.map(function(item) {
+            const catalog = (typeof item === 'string') ? bali.component(item) : item;
+            if (!catalog || !catalog.isComponent || catalog.getType() !== '/bali/collections/Catalog') {
+                throw Error('Each bundle must be a catalog.');
+            }
+            return catalog;
+        });
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$parse',
+            $exception: '$invalidBackup',
+            $text: 'The backup is not a bundle or a list of its shares.'
+        }, cause);
+        this.logger.exception(exception);
+        throw exception;
+    }
+};
+
+
+/**
+ * This method creates (but does not throw) a new backup exception.
+ *
+ * @param {String} procedure The name of the procedure that failed.
+ * @param {String} type The type of the exception.
+ * @param {String} text A description of the failure.
+ * @returns {Exception} The new exception.
+ */
+Backup.prototype.exception = function(procedure, type, text) {
+    const exception = bali.exception({
+        $module: moduleName,
+        $procedure: procedure,
+        $exception: type,
+        $text: text
+    });
+    this.logger.exception(exception);
+    return exception;
+};
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function mixes the random key that was split into shares (if any) into the key that
+ * was derived from the passphrase.
+ *
+ * @param {Buffer} key The key derived from the passphrase.
+ * @param {Buffer} secret The random key that was split into shares, or undefined.
+ * @returns {Buffer} The encryption key.
+ */
+const mixKey = function(key, secret) {
+    if (!secret) return key;
+    return Buffer.from(crypto.hkdfSync(MIXING, key, secret, 'bali backup', KEY_SIZE));
+};
+
+
+/**
+ * This function splits a secret into shares using Shamir's secret sharing over GF(256). Each
+ * byte of the secret is the constant term of a random polynomial of degree threshold - 1, and
+ * each share contains the values of the polynomials at its index.
+ *
+ * @param {Buffer} secret The secret.
+ * @param {Number} threshold The number of shares that are needed to recombine the secret.
+ * @param {Number} count The number of shares.
+ * @returns {Array} An array of objects containing the index and value of each share.
+ */
+const splitSecret = function(secret, threshold, count) {
+    const shares = [];
+    for (var index = 1; index <= count; index++) {
+        shares.push({ index: index, value: Buffer.alloc(secret.length) });
+    }
+    for (var position = 0; position < secret.length; position++) {
+        const coefficients = [secret[position]].concat(Array.from(crypto.randomBytes(threshold - 1)));
+        shares.forEach(function(share) {
+            // evaluate the polynomial at the index of the share using Horner's method
+            var value = 0;
+            for (var power = coefficients.length - 1; power >= 0; power--) {
+                value = multiply(value, share.index) ^ coefficients[power];
+            }
+            share.value[position] = value;
+        });
+    }
+    return shares;
+};
+
+
+/**
+ * This function recombines a secret from enough of its shares by evaluating the Lagrange
+ * interpolation of the polynomials at zero.
+ *
+ * @param {Array} shares An array of objects containing the index and value of each share.
+ * @returns {Buffer} The secret.
+ */
+const combineSecret = function(shares) {
+    const secret = Buffer.alloc(shares[0].value.length);
+    for (var position = 0; position < secret.length; position++) {
+        var value = 0;
+        shares.forEach(function(share) {
+            var basis = 1;  // the Lagrange basis polynomial for the share evaluated at zero
+            shares.forEach(function(other) {
+                if (other !== share) basis = multiply(basis, divide(other.index, other.index ^ share.index));
+            });
+            value ^= multiply(share.value[position], basis);
+        });
+        secret[position] = value;
+    }
+    return secret;
+};
+
+
+const multiply = function(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+};
+
+
+const divide = function(a, b) {
+    if (a === 0) return 0;
+    return EXP[LOG[a] + 255 - LOG[b]];
+};
@@ -0,0 +1,658 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class defines the v2 wire format that is shared by the HSMProxy, the transports and
+ * the ArmorD™ simulator. Each request has the following byte format:
+ * <pre>
+ *   Request Type (1 byte) [1..8] (plus the code of the algorithm suite in bits 4..6)
+ *   Number of Arguments (1 byte) [0..255]
+ *   Length of Argument 1 (2 bytes) [0..65535]
+ *   Argument 1 ([0..65535] bytes)
+ *      ...
+ *   Length of Argument N (2 bytes) [0..65535]
+ *   Argument N ([0..65535] bytes)
+ * </pre>
+ * The requests that depend on the algorithms (generateKeys, rotateKeys, digestBytes, signBytes
+ * and validSignature) carry the code of the algorithm suite in bits 4..6 of the request type.
+ * The only v2 suite (sha512/ed25519) has the code zero, so later protocols that offer other
+ * suites remain compatible with v2 devices. The sizes of the keys, digests and signatures in
+ * the responses are determined by the suite.
+ *
+ * The requests that use a key pair (generateKeys, rotateKeys, eraseKeys, signBytes and
+ * getKeyStatus) may have
+ * an extra last argument containing the UTF-8 name of the key slot [1..64 bytes] that holds
+ * the key pair. Without it the request applies to the default slot, except that eraseKeys
+ * without a slot erases every slot.
+ *
+ * A request that is longer than a single block is split into blocks. The first block contains
+ * the request header and the remaining blocks are prefixed with the header bytes
+ * [0x00, blockIndex] and sent first, in reverse order. The size of the blocks is limited by
+ * the MTU that was negotiated for the link (at most 512 bytes).
+ *
+ * A request that does not fit in 256 blocks, or that has an argument longer than 65535 bytes,
+ * uses the extended framing instead, which older firmware does not support. The high bit of
+ * the request type is set, the length of each argument is four bytes long, and the remaining
+ * blocks are prefixed with the header bytes [0x00, 0x00, blockIndex (2 bytes)]. A request only
+ * uses the extended framing when it cannot be sent using the v2 framing.
+ *
+ * The getDeviceInfo request (7) has no arguments and can be sent before any other request to
+ * find out what the device supports. Its response has the following byte format:
+ * <pre>
+ *   Capabilities (1 byte) - bit 0 is set if the device supports the extended framing
+ *   Maximum Request Size (4 bytes)
+ *   Number of Protocol Versions (1 byte) [1..255]
+ *   Protocol Version 1 (1 byte) - e.g. 2 for v2
+ *      ...
+ *   Number of Algorithms (1 byte) [1..255]
+ *   Length of Algorithm Name 1 (1 byte) followed by the ASCII name (e.g. "ed25519")
+ *      ...
+ *   Length of Firmware Version (1 byte) followed by the UTF-8 version (e.g. "2.1.0")
+ *   Length of Serial Number (1 byte) followed by the UTF-8 serial number
+ * </pre>
+ * Older firmware rejects the getDeviceInfo request as malformed.
+ *
+ * The getKeyStatus request (8) has a proxy key as its only argument (all zeros if the proxy
+ * does not hold one) and reports what a key slot holds without changing it. Its response has
+ * the following byte format:
+ * <pre>
+ *   Number of Key Pairs (1 byte) [0..2] - two while the previous key pair is still usable
+ *   Proxy Key Matches (1 byte) [0..1] - whether or not the proxy key unlocks the current key pair
+ * </pre>
+ * Older firmware also rejects the getKeyStatus request as malformed.
+ *
+ * Each response is either the bytes that were requested or a one byte status:
+ * <pre>
+ *   0x00 - false
+ *   0x01 - true (or the block was accepted)
+ *   0x02 - the request was malformed
+ *   0x03 - the request is not allowed in the current state of the device
+ *   0x04 - the proxy key does not match the key pair
+ *   0x05..0xFF - the device failed to process the request
+ * </pre>
+ */
+const bali = require('bali-component-framework').api();
+const AlgorithmSuite = require('./AlgorithmSuite').AlgorithmSuite;
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+// byte array sizes
+const KEY_SIZE = 32;  // the number of bytes in a proxy key
+const SLOT_SIZE = 64;  // the maximum number of bytes in the name of a key slot
+const BLOCK_SIZE = 510;  // the maximum MTU size minus the two header bytes
+const MAXIMUM_BLOCK = 512;  // the maximum number of bytes in a block (including its header)
+const MINIMUM_BLOCK = 20;  // the smallest BLE MTU (23) minus the three ATT header bytes
+const MAXIMUM_BLOCKS = 256;  // the block index is a single byte
+const MAXIMUM_ARGUMENTS = 255;
+const MAXIMUM_LENGTH = 65535;
+const MAXIMUM_REQUEST = MAXIMUM_BLOCK + (MAXIMUM_BLOCKS - 1) * BLOCK_SIZE;  // bytes
+
+// the bits of the request type
+const CODE = 0x0F;  // the request code
+const SUITE = 0x70;  // the code of the algorithm suite
+const SUITE_SHIFT = 4;
+
+// the extended framing
+const EXTENDED = 0x80;  // the flag in the request type
+const MAXIMUM_EXTENDED_BLOCKS = 65536;  // the block index is two bytes
+const MAXIMUM_EXTENDED_LENGTH = 16777215;  // the argument lengths are four bytes
+const MAXIMUM_EXTENDED_REQUEST = MAXIMUM_BLOCK + (MAXIMUM_EXTENDED_BLOCKS - 1) * (MAXIMUM_BLOCK - 4);  // bytes
+
+// the capability flags in the response to a getDeviceInfo request
+const EXTENDED_FRAMING = 0x01;
+
+// the one byte status responses
+const FALSE = 0x00;
+const TRUE = 0x01;
+const INVALID_REQUEST = 0x02;
+const INVALID_STATE = 0x03;
+const INVALID_PROXY_KEY = 0x04;
+
+// the request types, their arguments (undefined means any length), whether or not they accept a
+// key slot as an extra last argument, whether or not they depend on the algorithm suite, and
+// the expected responses
+const REQUESTS = {
+    generateKeys: { code: 1, args: [KEY_SIZE], slot: true, suite: true, response: 'publicKey' },
+    rotateKeys: { code: 2, args: [KEY_SIZE, KEY_SIZE], slot: true, suite: true, response: 'publicKey' },
+    eraseKeys: { code: 3, args: [], slot: true, response: 'boolean' },
+    digestBytes: { code: 4, args: [undefined], suite: true, response: 'digest' },
+    signBytes: { code: 5, args: [KEY_SIZE, undefined], slot: true, suite: true, response: 'signature' },
+    validSignature: { code: 6, args: [undefined, undefined, undefined], suite: true, response: 'boolean' },
+    getDeviceInfo: { code: 7, args: [], response: 'info' },
+    getKeyStatus: { code: 8, args: [KEY_SIZE], slot: true, response: 'keyStatus' }
+};
+
+// the exceptions that correspond to each failure status
+const FAILURES = [];
+FAILURES[INVALID_REQUEST] = ['$invalidRequest', 'The HSM rejected the request as malformed.'];
+FAILURES[INVALID_STATE] = ['$invalidState', 'The request is not allowed in the current state of the HSM.'];
+FAILURES[INVALID_PROXY_KEY] = ['$invalidProxyKey', 'The proxy key does not match the key pair on the HSM.'];
+
+const moduleName = '/bali/notary/v2/Codec';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function returns a codec that can encode and decode the requests, blocks and responses
+ * of the v2 protocol. All methods throw a Bali exception when the input is out of range.
+ *
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {AlgorithmSuite} suite An optional algorithm suite that is used by the requests and
+ * responses (the default is the v2 suite).
+ * @param {Logger} logger An optional logger through which the codec logs its exceptions (the
+ * default is a logger for the debug level).
+ * @returns {Codec} The new codec.
+ */
+const Codec = function(debug, suite, logger) {
+    this.debug = debug || 0;  // default is off
+    this.suite = suite || AlgorithmSuite.V2;
+    this.logger = Logger.forComponent(moduleName, this.debug, logger);
+    return this;
+};
+Codec.prototype.constructor = Codec;
+exports.Codec = Codec;
+
+// the status bytes are shared with the devices (and simulators) that use this codec
+Codec.FALSE = FALSE;
+Codec.TRUE = TRUE;
+Codec.INVALID_REQUEST = INVALID_REQUEST;
+Codec.INVALID_STATE = INVALID_STATE;
+Codec.INVALID_PROXY_KEY = INVALID_PROXY_KEY;
+Codec.BLOCK_SIZE = BLOCK_SIZE;
+Codec.MAXIMUM_BLOCK = MAXIMUM_BLOCK;
+Codec.MAXIMUM_LENGTH = MAXIMUM_LENGTH;
+Codec.MAXIMUM_REQUEST = MAXIMUM_REQUEST;
+Codec.MAXIMUM_EXTENDED_REQUEST = MAXIMUM_EXTENDED_REQUEST;
+Codec.KEY_SIZE = KEY_SIZE;
+Codec.SLOT_SIZE = SLOT_SIZE;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method encodes a request into the bytes that are sent to the HSM. The request uses
+ * the extended framing only if one of its arguments is longer than 65535 bytes.
+ *
+ * @param {String} type The type of the request (e.g. 'signBytes').
+ * @param {Buffer} args Zero or more buffers containing the bytes for each argument.
+ * @returns {Buffer} A buffer containing the bytes for the entire request.
+ */
+Codec.prototype.encodeRequest = function(type, ...args) {
+    const definition = REQUESTS[type];
+    if (!definition) {
+        throw this.exception('$encodeRequest', '$invalidType', 'The request type is not supported: ' + type);
+    }
+    validateArguments(this, '$encodeRequest', type, definition, args);
+    const extended = args.some(function(arg) {
+        return arg.length > MAXIMUM_LENGTH;
+    });
+    const suite = definition.suite ? this.suite.getCode() << SUITE_SHIFT : 0;
+    return layoutRequest(definition.code | suite, args, extended);
+};
+
+
+/**
+ * This method decodes the bytes of an entire request.
+ *
+ * @param {Buffer} request A buffer containing the bytes for the entire request.
+ * @returns {Object} An object containing the type of the request, an array of its arguments,
+ * whether or not it uses the extended framing and the code of its algorithm suite.
+ */
+Codec.prototype.decodeRequest = function(request) {
+    if (!Buffer.isBuffer(request) || request.length < 2) {
+        throw this.exception('$decodeRequest', '$invalidRequest', 'The request is missing its header.');
+    }
+    const extended = (request[0] & EXTENDED) !== 0;
+    const code = request[0] & CODE;
+    const suite = (request[0] & SUITE) >> SUITE_SHIFT;
+    const type = Object.keys(REQUESTS).find(function(name) {
+        return REQUESTS[name].code === code && (suite === 0 || REQUESTS[name].suite);
+    });
+    if (!type) {
+        throw this.exception('$decodeRequest', '$invalidType', 'The request type is not supported: ' + request[0]);
+    }
+    const count = request[1];
+    const size = extended ? 4 : 2;  // the number of bytes in each argument length
+    const args = [];
+    var offset = 2;
+    while (args.length < count) {
+        if (offset + size > request.length) {
+            throw this.exception('$decodeRequest', '$invalidRequest', 'The request is missing an argument length.');
+        }
+        const length = extended ? request.readUInt32BE(offset) : request.readUInt16BE(offset);
+        offset += size;
+        if (offset + length > request.length) {
+            throw this.exception('$decodeRequest', '$invalidRequest', 'The request is missing argument bytes.');
+        }
+        args.push(request.slice(offset, offset + length));
+        offset += length;
+    }
+    if (offset !== request.length) {
+        throw this.exception('$decodeRequest', '$invalidRequest', 'The request contains extra bytes.');
+    }
+    validateArguments(this, '$decodeRequest', type, REQUESTS[type], args);
+    return { type: type, args: args, extended: extended, suite: suite };
+};
+
+
+/**
+ * This method returns the name of the key slot that a decoded request applies to.
+ *
+ * @param {Object} request The decoded request.
+ * @returns {String} The name of the key slot, or undefined for the default slot.
+ */
+Codec.prototype.decodeSlot = function(request) {
+    const definition = REQUESTS[request.type];
+    if (definition.slot && request.args.length > definition.args.length) {
+        return request.args[definition.args.length].toString('utf8');
+    }
+};
+
+
+/**
+ * This method splits a request into the blocks that are sent to the HSM, in the order in
+ * which they must be sent. The v2 framing is used if the request fits in 256 blocks,
+ * otherwise the extended framing is used (if it is allowed).
+ *
+ * @param {Buffer} request A buffer containing the bytes for the entire request.
+ * @param {Number} blockSize An optional maximum number of bytes in each block, including its
+ * header, which is usually determined by the MTU of the link (the default is 512).
+ * @param {Boolean} extended Whether or not the extended framing may be used (the default is
+ * false).
+ * @returns {Array} An array of buffers containing the blocks.
+ */
+Codec.prototype.encodeBlocks = function(request, blockSize, extended) {
+    blockSize = Math.min(blockSize || MAXIMUM_BLOCK, MAXIMUM_BLOCK);
+    if (blockSize < MINIMUM_BLOCK) {
+        throw this.exception('$encodeBlocks', '$invalidBlockSize', 'A block must be able to hold at least ' + MINIMUM_BLOCK + ' bytes.');
+    }
+    if ((request[0] & EXTENDED) === 0 && countBlocks(request.length, blockSize, 2) <= MAXIMUM_BLOCKS) {
+        return splitRequest(request, blockSize, 2);
+    }
+    if (!extended) {
+        throw this.exception('$encodeBlocks', '$requestTooLong', 'The request does not fit in ' + MAXIMUM_BLOCKS + ' blocks of ' + blockSize + ' bytes.');
+    }
+    if ((request[0] & EXTENDED) === 0) {
+        const decoded = this.decodeRequest(request);
+        request = layoutRequest(request[0], decoded.args, true);
+    }
+    if (countBlocks(request.length, blockSize, 4) > MAXIMUM_EXTENDED_BLOCKS) {
+        throw this.exception('$encodeBlocks', '$requestTooLong', 'The request does not fit in ' + MAXIMUM_EXTENDED_BLOCKS + ' blocks of ' + blockSize + ' bytes.');
+    }
+    return splitRequest(request, blockSize, 4);
+};
+
+
+/**
+ * This method decodes a single block. A block containing a request header has the index zero.
+ *
+ * @param {Buffer} block A buffer containing the bytes for the block.
+ * @returns {Object} An object containing the index of the block, its request bytes and
+ * whether or not it uses the extended framing.
+ */
+Codec.prototype.decodeBlock = function(block) {
+    if (!Buffer.isBuffer(block) || block.length < 2 || block.length > MAXIMUM_BLOCK) {
+        throw this.exception('$decodeBlock', '$invalidBlock', 'The block has an invalid length.');
+    }
+    if (block[0] === 0x00) {
+        if (block[1] === 0x00) {
+            if (block.length < 4 || block.readUInt16BE(2) === 0) {
+                throw this.exception('$decodeBlock', '$invalidBlock', 'An extra block cannot have the index zero.');
+            }
+            return { index: block.readUInt16BE(2), bytes: block.slice(4), extended: true };
+        }
+        return { index: block[1], bytes: block.slice(2), extended: false };
+    }
+    return { index: 0, bytes: block, extended: (block[0] & EXTENDED) !== 0 };
+};
+
+
+/**
+ * This method returns whether or not a block uses the extended framing.
+ *
+ * @param {Buffer} block A buffer containing the bytes for the block.
+ * @returns {Boolean} Whether or not the block uses the extended framing.
+ */
+Codec.prototype.isExtended = function(block) {
+    return (block[0] === 0x00 && block[1] === 0x00) || (block[0] & EXTENDED) !== 0;
+};
+
+
+/**
+ * This method encodes a one byte status response.
+ *
+ * @param {Number} status The status value [0..255].
+ * @returns {Buffer} A buffer containing the status byte.
+ */
+Codec.prototype.encodeStatus = function(status) {
+    if (!Number.isInteger(status) || status < 0 || status > 0xFF) {
+        throw this.exception('$encodeStatus', '$invalidStatus', 'The status must be a single byte: ' + status);
+    }
+    return Buffer.from([status]);
+};
+
+
+/**
+ * This method checks whether or not a response contains a failure status and throws a Bali
+ * exception whose type identifies the failure if it does.
+ *
+ * @param {Buffer} response A buffer containing the bytes for the response.
+ * @returns {Buffer} The response (if it does not contain a failure status).
+ */
+Codec.prototype.decodeStatus = function(response) {
+    if (!Buffer.isBuffer(response) || response.length === 0) {
+        throw this.exception('$decodeStatus', '$invalidResponse', 'The HSM returned an empty response.');
+    }
+    if (response.length === 1 && response[0] > TRUE) {
+        const failure = FAILURES[response[0]] || ['$deviceFailure', 'The HSM failed to process the request: ' + response[0]];
+        throw this.exception('$decodeStatus', failure[0], failure[1]);
+    }
+    return response;
+};
+
+
+/**
+ * This method encodes the response to a request.
+ *
+ * @param {String} type The type of the request.
+ * @param {Buffer|Boolean|Object} value The bytes, boolean value, device information or key
+ * status that were requested.
+ * @returns {Buffer} A buffer containing the bytes for the response.
+ */
+Codec.prototype.encodeResponse = function(type, value) {
+    const definition = REQUESTS[type];
+    if (!definition) {
+        throw this.exception('$encodeResponse', '$invalidType', 'The request type is not supported: ' + type);
+    }
+    if (definition.response === 'info') return encodeInfo(this, value);
+    if (definition.response === 'keyStatus') {
+        if (!value || !Number.isInteger(value.keys) || value.keys < 0 || value.keys > 2) {
+            throw this.exception('$encodeResponse', '$invalidResponse', 'The number of key pairs must be in the range [0..2].');
+        }
+        return Buffer.from([value.keys, value.matches ? TRUE : FALSE]);
+    }
+    if (definition.response === 'boolean') {
+        if (typeof value !== 'boolean') {
+            throw this.exception('$encodeResponse', '$invalidResponse', 'The response must be a boolean.');
+        }
+        return Buffer.from([value ? TRUE : FALSE]);
+    }
+    const size = responseSize(this.suite, definition.response);
+    if (!Buffer.isBuffer(value) || value.length !== size) {
+        throw this.exception('$encodeResponse', '$invalidResponse', 'The response must contain ' + size + ' bytes.');
+    }
+    return value;
+};
+
+
+/**
+ * This method decodes the response to a request.
+ *
+ * @param {String} type The type of the request.
+ * @param {Buffer} response A buffer containing the bytes for the response.
+ * @returns {Buffer|Boolean|Object} The bytes, boolean value, device information or key status
+ * that were requested. The device information is an object containing the firmware version,
+ * the supported protocol versions (e.g. 'v2') and algorithms, the maximum request size in
+ * bytes, the serial number and whether or not the extended framing is supported. The key
+ * status is an object containing the number of key pairs in the slot and whether or not the
+ * proxy key matches the current one.
+ */
+Codec.prototype.decodeResponse = function(type, response) {
+    const definition = REQUESTS[type];
+    if (!definition) {
+        throw this.exception('$decodeResponse', '$invalidType', 'The request type is not supported: ' + type);
+    }
+    this.decodeStatus(response);
+    if (definition.response === 'info') return decodeInfo(this, response);
+    if (definition.response === 'keyStatus') {
+        if (response.length !== 2 || response[0] > 2 || response[1] > TRUE) {
+            throw this.exception('$decodeResponse', '$invalidResponse', 'The key status must contain the number of key pairs and a status byte.');
+        }
+        return { keys: response[0], matches: response[1] === TRUE };
+    }
+    if (definition.response === 'boolean') {
+        if (response.length !== 1) {
+            throw this.exception('$decodeResponse', '$invalidResponse', 'The response must contain a single status byte.');
+        }
+        return response[0] === TRUE;
+    }
+    const size = responseSize(this.suite, definition.response);
+    if (response.length !== size) {
+        throw this.exception('$decodeResponse', '$invalidResponse', 'The response must contain ' + size + ' bytes.');
+    }
+    return response;
+};
+
+
+/**
+ * This method creates (but does not throw) a new codec exception.
+ *
+ * @param {String} procedure The name of the procedure that failed.
+ * @param {String} type The type of the exception.
+ * @param {String} text A description of the failure.
+ * @returns {Exception} The new exception.
+ */
+Codec.prototype.exception = function(procedure, type, text) {
+    const exception = bali.exception({
+        $module: moduleName,
+        $procedure: procedure,
+        $exception: type,
+        $text: text
+    });
+    this.logger.exception(exception);
+    return exception;
+};
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function checks the number and lengths of the arguments for a request.
+ *
+ * @param {Codec} codec The codec used to create any exception.
+ * @param {String} procedure The name of the procedure doing the validation.
+ * @param {String} type The type of the request.
+ * @param {Object} definition The definition of the request type.
+ * @param {Array} args An array of buffers containing the arguments.
+ */
+const validateArguments = function(codec, procedure, type, definition, args) {
+    const required = definition.args.length;
+    const slotted = definition.slot && args.length === required + 1;
+    if (args.length > MAXIMUM_ARGUMENTS || (args.length !== required && !slotted)) {
+        throw codec.exception(procedure, '$argumentCount', 'The ' + type + ' request requires ' + required + ' arguments.');
+    }
+    if (slotted) {
+        const slot = args[required];
+        if (!Buffer.isBuffer(slot) || slot.length === 0 || slot.length > SLOT_SIZE) {
+            throw codec.exception(procedure, '$invalidSlot', 'The name of a key slot must contain between 1 and ' + SLOT_SIZE + ' bytes.');
+        }
+    }
+    args.slice(0, required).forEach(function(arg, index) {
+        if (!Buffer.isBuffer(arg)) {
+            throw codec.exception(procedure, '$invalidArgument', 'Each argument must be a buffer.');
+        }
+        if (arg.length > MAXIMUM_EXTENDED_LENGTH) {
+            throw codec.exception(procedure, '$argumentTooLong', 'An argument may not be longer than ' + MAXIMUM_EXTENDED_LENGTH + ' bytes.');
+        }
+        const size = definition.args[index];
+        if (size !== undefined && arg.length !== size) {
+            throw codec.exception(procedure, '$invalidArgument', 'Argument ' + (index + 1) + ' of the ' + type + ' request must contain ' + size + ' bytes.');
+        }
+    });
+};
+
+
+/**
+ * This function returns the number of bytes in a response that contains a key, a digest or a
+ * signature.
+ *
+ * @param {AlgorithmSuite} suite The algorithm suite that determines the size.
+ * @param {String} response The kind of response ('publicKey', 'digest' or 'signature').
+ * @returns {Number} The number of bytes in the response.
+ */
+const responseSize = function(suite, response) {
+    switch (response) {
+        case 'publicKey':
+            return suite.getKeySize();
+        case 'digest':
+            return suite.getDigestSize();
+        case 'signature':
+            return suite.getSignatureSize();
+    }
+};
+
+
+/**
+ * This function lays out the bytes of a request using either the v2 or the extended framing.
+ *
+ * @param {Number} type The request type byte (without the extended framing flag).
+ * @param {Array} args An array of buffers containing the arguments.
+ * @param {Boolean} extended Whether or not the extended framing is used.
+ * @returns {Buffer} A buffer containing the bytes for the entire request.
+ */
+const layoutRequest = function(type, args, extended) {
+    const size = extended ? 4 : 2;  // the number of bytes in each argument length
+    const chunks = [Buffer.from([extended ? type | EXTENDED : type, args.length])];
+    args.forEach(function(arg) {
+        const length = Buffer.alloc(size);
+        if (extended) {
+            length.writeUInt32BE(arg.length, 0);
+        } else {
+            length.writeUInt16BE(arg.length, 0);
+        }
+        chunks.push(length, arg);
+    });
+    return Buffer.concat(chunks);
+};
+
+
+/**
+ * This function returns the number of blocks that a request requires.
+ *
+ * @param {Number} length The number of bytes in the request.
+ * @param {Number} blockSize The maximum number of bytes in each block.
+ * @param {Number} header The number of header bytes in each extra block.
+ * @returns {Number} The number of blocks.
+ */
+const countBlocks = function(length, blockSize, header) {
+    if (length <= blockSize) return 1;
+    return 1 + Math.ceil((length - blockSize) / (blockSize - header));
+};
+
+
+/**
+ * This function splits a request into blocks. The first block contains the request header,
+ * and each extra block is prefixed with its index: [0x00, index] for the v2 framing or
+ * [0x00, 0x00, index (2 bytes)] for the extended framing. The extra blocks are sent first, in
+ * reverse order.
+ *
+ * @param {Buffer} request A buffer containing the bytes for the entire request.
+ * @param {Number} blockSize The maximum number of bytes in each block.
+ * @param {Number} header The number of header bytes in each extra block.
+ * @returns {Array} An array of buffers containing the blocks.
+ */
+const splitRequest = function(request, blockSize, header) {
+    const blocks = [];
+    const size = blockSize - header;  // the number of request bytes in each extra block
+    var block = countBlocks(request.length, blockSize, header) - 1;
+    while (block > 0) {
+        const offset = blockSize + (block - 1) * size;
+        const prefix = Buffer.alloc(header);
+        prefix.writeUInt16BE(block, header - 2);  // the first byte of the prefix is always zero
+        blocks.push(Buffer.concat([prefix, request.slice(offset, offset + size)]));
+        block--;
+    }
+    // the block containing the request header goes last
+    blocks.push(request.slice(0, blockSize));
+    return blocks;
+};
+
+
+/**
+ * This function encodes the device information that is returned by a getDeviceInfo request.
+ *
+ * @param {Codec} codec The codec used to create any exception.
+ * @param {Object} info An object containing the device information.
+ * @returns {Buffer} A buffer containing the bytes for the response.
+ */
+const encodeInfo = function(codec, info) {
+    const list = function(values) {
+        if (!Array.isArray(values) || values.length === 0 || values.length > 0xFF) {
+            throw codec.exception('$encodeResponse', '$invalidResponse', 'The device must support between 1 and 255 protocols and algorithms.');
+        }
+        return values;
+    };
+    const text = function(value) {
+        const bytes = Buffer.from(String(value || ''), 'utf8');
+        if (bytes.length > 0xFF) {
+            throw codec.exception('$encodeResponse', '$invalidResponse', 'A string in the device information is longer than 255 bytes.');
+        }
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    };
+    const header = Buffer.alloc(5);
+    header[0] = info.extendedFraming ? EXTENDED_FRAMING : 0x00;
+    header.writeUInt32BE(info.maximumRequest, 1);
+    const protocols = list(info.protocols).map(function(protocol) {
+        return Number(String(protocol).slice(1));  // e.g. 'v2' is sent as 2
+    });
+    const algorithms = list(info.algorithms).map(text);
+    return Buffer.concat([
+        header,
+        Buffer.from([protocols.length].concat(protocols)),
+        Buffer.from([algorithms.length])
+    ].concat(algorithms, [text(info.firmware), text(info.serialNumber)]));
+};
+
+
+/**
+ * This function decodes the device information that is returned by a getDeviceInfo request.
+ *
+ * @param {Codec} codec The codec used to create any exception.
+ * @param {Buffer} response A buffer containing the bytes for the response.
+ * @returns {Object} An object containing the device information.
+ */
+const decodeInfo = function(codec, response) {
+    var offset = 0;
+    const take = function(length) {
+        if (offset + length > response.length) {
+            throw codec.exception('$decodeResponse', '$invalidResponse', 'The device information is truncated.');
+        }
+        const bytes = response.slice(offset, offset + length);
+        offset += length;
+        return bytes;
+    };
+    const text = function() {
+        return take(take(1)[0]).toString('utf8');
+    };
+    const header = take(5);
+    const info = {
+        extendedFraming: (header[0] & EXTENDED_FRAMING) !== 0,
+        maximumRequest: header.readUInt32BE(1),
+        protocols: [],
+        algorithms: []
+    };
+    const protocols = take(take(1)[0]);
+    protocols.forEach(function(version) {
+        info.protocols.push('v' + version);
+    });
+    const count = take(1)[0];
+    while (info.algorithms.length < count) info.algorithms.push(text());
+    info.firmware = text();
+    info.serialNumber = text();
+    if (offset !== response.length) {
+        throw codec.exception('$decodeResponse', '$invalidResponse', 'The device information contains extra bytes.');
+    }
+    return info;
+};
@@ -0,0 +1,116 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class derives keys from passphrases using scrypt and encrypts data using AES-256-GCM.
+ * The proxy keys at rest, the backup bundles and the audit log all protect their contents this
+ * way, so the parameters that are recorded alongside the encrypted data ($kdf, $cost, $cipher)
+ * are defined here once.
+ */
+const crypto = require('crypto');
+
+
+// PRIVATE CONSTANTS
+
+// the derivation of keys from passphrases
+const KDF = '$scrypt';
+const KDF_COST = 16384;  // the scrypt work factor
+
+// the encryption of the data
+const CIPHER = '$aes256gcm';
+const ALGORITHM = 'aes-256-gcm';  // the name of the cipher in the crypto module
+
+// byte array sizes
+const KEY_SIZE = 32;  // bytes
+const SALT_SIZE = 16;  // bytes
+const IV_SIZE = 12;  // bytes
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new encryption object.
+ *
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @returns {Encryption} The new encryption object.
+ */
+const Encryption = function(debug) {
+    this.debug = debug || 0;  // default is off
+    return this;
+};
+Encryption.prototype.constructor = Encryption;
+exports.Encryption = Encryption;
+
+// the parameters are recorded along with the data that they protect
+Encryption.KDF = KDF;
+Encryption.KDF_COST = KDF_COST;
+Encryption.CIPHER = CIPHER;
+Encryption.KEY_SIZE = KEY_SIZE;
+Encryption.SALT_SIZE = SALT_SIZE;
+Encryption.IV_SIZE = IV_SIZE;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method derives a key from the specified passphrase using scrypt.
+ *
+ * @param {String} passphrase The passphrase.
+ * @param {Buffer} salt The random salt that makes the derived key unique.
+ * @param {Number} cost An optional scrypt work factor (the default is the current one).
+ * @param {Number} size An optional number of bytes in the key (the default is an AES-256 key).
+ * @returns {Promise} A promise to return a buffer containing the derived key.
+ */
+Encryption.prototype.deriveKey = function(passphrase, salt, cost, size) {
+    return new Promise(function(resolve, reject) {
+        crypto.scrypt(passphrase, salt, size || KEY_SIZE, { N: cost || KDF_COST }, function(cause, key) {
+            if (cause) return reject(cause);
+            resolve(key);
+        });
+    });
+};
+
+
+/**
+ * This method encrypts the specified bytes using a new random initialization vector.
+ *
+ * @param {Buffer} plaintext The bytes to be encrypted.
+ * @param {Buffer} key The encryption key.
+ * @param {Buffer} associated The bytes that are authenticated along with the plaintext.
+ * @returns {Object} An object containing the initialization vector (iv), the encrypted bytes
+ * (ciphertext) and the authentication tag (authentication).
+ */
+Encryption.prototype.encrypt = function(plaintext, key, associated) {
+    const iv = crypto.randomBytes(IV_SIZE);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(associated);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv, ciphertext: ciphertext, authentication: cipher.getAuthTag() };
+};
+
+
+/**
+ * This method decrypts the specified bytes. It throws an error if the key is wrong or the
+ * encrypted bytes (or the associated bytes) have been modified.
+ *
+ * @param {Object} encrypted An object containing the initialization vector (iv), the
+ * encrypted bytes (ciphertext) and the authentication tag (authentication).
+ * @param {Buffer} key The encryption key.
+ * @param {Buffer} associated The bytes that were authenticated along with the plaintext.
+ * @returns {Buffer} The decrypted bytes.
+ */
+Encryption.prototype.decrypt = function(encrypted, key, associated) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, encrypted.iv);
+    decipher.setAAD(associated);
+    decipher.setAuthTag(encrypted.authentication);
+    return Buffer.concat([decipher.update(encrypted.ciphertext), decipher.final()]);
+};
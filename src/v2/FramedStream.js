@@ -0,0 +1,104 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class exchanges blocks of bytes over a byte stream (e.g. a TCP socket or a USB-CDC
+ * serial device). Unlike a BLE characteristic, a byte stream does not preserve the boundaries
+ * between blocks, so each block (and each response) is preceded by its length:
+ * <pre>
+ *   Length of Block (2 bytes) [0..65535]
+ *   Block ([0..65535] bytes)
+ * </pre>
+ * The stream may deliver a frame in several chunks, or several frames in a single chunk. Only
+ * one block is outstanding at a time, so a response that arrives when no block is waiting for
+ * one (e.g. after the block timed out) is discarded.
+ */
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const moduleName = '/bali/notary/v2/FramedStream';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new framed stream that reads responses from the specified
+ * readable stream and writes blocks to the specified writable stream.
+ *
+ * @param {Readable} readable The stream from which the responses are read.
+ * @param {Writable} writable The stream to which the blocks are written.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the stream logs its events (the
+ * default is a logger for the debug level).
+ * @returns {Object} The new framed stream.
+ */
+const FramedStream = function(readable, writable, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    logger = Logger.forComponent(moduleName, this.debug, logger);
+
+    var buffered = Buffer.alloc(0);
+    var pending;  // the handlers for the outstanding block
+
+    const fail = function(cause) {
+        if (pending) {
+            const reject = pending.reject;
+            pending = undefined;
+            reject(cause);
+        }
+    };
+
+    readable.on('data', function(bytes) {
+        buffered = Buffer.concat([buffered, bytes]);
+        while (buffered.length >= 2 && buffered.length >= buffered.readUInt16BE(0) + 2) {
+            const length = buffered.readUInt16BE(0);
+            const response = buffered.slice(2, length + 2);
+            buffered = buffered.slice(length + 2);
+            if (pending) {
+                const resolve = pending.resolve;
+                pending = undefined;
+                resolve(response);
+            } else {
+                logger.log('warn', 'responseDiscarded', { length: length });
+            }
+        }
+    });
+    readable.on('error', fail);
+    readable.on('close', function() {
+        fail(Error('The stream was closed before a response was received.'));
+    });
+
+    /**
+     * This method writes a block of bytes to the stream and returns the bytes of the
+     * next response read from the stream.
+     *
+     * @param {Buffer} block The block of bytes to be written.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = function(block) {
+        return new Promise(function(resolve, reject) {
+            if (pending) return reject(Error('A block is already being processed.'));
+            pending = { resolve: resolve, reject: reject };
+            const header = Buffer.alloc(2);
+            header.writeUInt16BE(block.length, 0);
+            writable.write(Buffer.concat([header, block]), function(cause) {
+                if (cause) return fail(cause);
+                logger.log('debug', 'blockWritten', { length: block.length });
+            });
+        });
+    };
+
+    return this;
+};
+FramedStream.prototype.constructor = FramedStream;
+exports.FramedStream = FramedStream;
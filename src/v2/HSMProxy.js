@@ -16,31 +16,131 @@
  *   * generateKeys - generate a new public-private key pair and return the public key
  *   * digestBytes - generate a cryptographic digest of an array of bytes
  *   * signBytes - digitally sign an array of bytes using the private key
+ *   * signBatch - digitally sign several arrays of bytes over a single session with the HSM
  *   * validSignature - check whether or not the digital signature of an array of bytes is valid
  *   * rotateKeys - replace the existing public-private key pair with new pair
  *   * eraseKeys - erases any trace of the public-private key pair
+ *   * getDeviceInfo - retrieve the firmware version, capabilities and serial number of the HSM
+ *   * getPublicKey - return the current (or previous) public key in a standard format
+ *   * getState - return the state of a key slot, the requests it allows and how it got there
+ *   * reconcile - compare a key slot with the HSM and repair the proxy if they disagree
+ *   * exportBackup - seal the configuration and its proxy keys into an encrypted backup bundle
+ *   * importBackup - restore the configuration and its proxy keys from a backup bundle
+ *   * migrateConfiguration - upgrade the configuration file (or report what would change)
  * </pre>
+ * The key pairs are held in named key slots (e.g. one per account tag), each with its own
+ * state and its own proxy key, so that a single HSM can hold several identities. A request
+ * that does not name a slot uses the default slot.
+ *
+ * The proxy keys that authorize these requests on the HSM are stored in the configuration file
+ * encrypted using a key derived from a passphrase. The proxy must be unlocked using the
+ * passphrase before it can generate keys, rotate them or sign anything. The current and previous
+ * public keys for each slot are not secret, so they are stored in the configuration in the
+ * clear.
+ *
+ * The first time the proxy talks to an HSM it retrieves the capabilities of the HSM. A device
+ * that does not support the protocol and algorithms of the proxy is refused with an
+ * $incompatibleDevice exception before any other request is sent to it. Older firmware that
+ * does not answer the request is assumed to support only the v2 protocol.
+ *
+ * Each operation that changes the state of the HSM is recorded in a journal file before the
+ * request is sent. If the proxy crashes (or the link drops) before the outcome is known, the
+ * journal entry remains. The next time the proxy is unlocked it asks the HSM whether or not the
+ * operation was applied, without changing its state, and then either completes or abandons the
+ * operation so that the configuration and the HSM agree again.
+ *
+ * The configuration can still end up disagreeing with the HSM in ways that the journal cannot
+ * detect (e.g. the HSM was erased, or replaced, by someone else). A request that the HSM
+ * refuses for this reason fails with an $outOfSync exception, and the reconcile method asks the
+ * HSM what the key slot actually holds and offers the repairs that are safe: resetting the slot
+ * to $keyless when the HSM no longer holds its keys, or rebinding the proxy to the HSM that
+ * holds keys matching the proxy key. Any other disagreement is refused, since the keys on the
+ * HSM cannot be used (or erased) on behalf of the proxy.
+ *
+ * Without its proxy keys the key pairs on the HSM are unusable, so the configuration can be
+ * exported as a backup bundle that is encrypted using a passphrase of its own (see the Backup
+ * class), optionally split into shares. The configuration counts the changes made to its keys
+ * ($revision), and a backup is never restored over a configuration with more changes, or over
+ * the configuration of another proxy that holds keys.
+ *
+ * The configuration records the version of the schema that it follows, and a configuration
+ * written by an earlier version of the proxy is upgraded when it is loaded (see the Migrations
+ * class). A configuration (or backup) whose keys were generated for another algorithm suite is
+ * refused. A proxy without a configuration of its own logs an olderConfiguration warning for
+ * each configuration of an earlier protocol in the same directory, since it cannot use them.
+ *
+ * Each signing request must satisfy the signing policy (deny rules, a maximum payload size, a
+ * rate limit and an approval hook) before it joins the queue of requests for the HSM, so that a
+ * request waiting for approval does not hold up any other requests. A request that does not
+ * satisfy it is rejected with a $policyViolation exception.
+ *
+ * Each signature and each change to the key pairs is also recorded in an append-only,
+ * hash-chained audit log that is stored next to the configuration, so that what was signed,
+ * and when, can be proven later. The chain is keyed using the passphrase, and the
+ * verifyAuditLog method detects any edits or truncation once the proxy has been unlocked.
+ *
+ * The proxy is an EventEmitter and emits the following events, each with an object containing
+ * the details of the event:
+ * <pre>
+ *   * scanStarted - the transport started searching for HSMs
+ *   * deviceFound - the transport found an HSM
+ *   * scanTimedOut - the transport did not find the HSM in time
+ *   * servicesDiscovered - the transport discovered the services of the HSM
+ *   * connected - a link to the HSM was established
+ *   * negotiated - the capabilities of an HSM were retrieved for the first time
+ *   * blockSent - a block of a request was sent to the HSM and the HSM responded to it
+ *   * responseReceived - the response to a request was received from the HSM
+ *   * retry - a failed attempt to process a request will be retried after a delay
+ *   * stateTransition - the state of a key slot changed
+ *   * exception - a method failed (the exception is thrown as well)
+ * </pre>
+ * Each event is also written to the logger for the proxy as a structured entry. The events that
+ * end a phase of the communication with the HSM include its duration in milliseconds, and the
+ * metrics derived from them are returned by the getMetrics method in the Prometheus text
+ * exposition format.
  */
 const crypto = require('crypto');
-const bluetooth = require('@abandonware/noble');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
 const bali = require('bali-component-framework').api();
+const BLETransport = require('./BLETransport').BLETransport;
+const AlgorithmSuite = require('./AlgorithmSuite').AlgorithmSuite;
+const AuditLog = require('./AuditLog').AuditLog;
+const Backup = require('./Backup').Backup;
+const Codec = require('./Codec').Codec;
+const Encryption = require('./Encryption').Encryption;
+const Logger = require('./Logger').Logger;
+const Metrics = require('./Metrics').Metrics;
+const Migrations = require('./Migrations').Migrations;
+const Resilience = require('./Resilience').Resilience;
+const OperationQueue = require('./OperationQueue').OperationQueue;
+const Policy = require('./Policy').Policy;
+const Session = require('./Session').Session;
+const Storage = require('./Storage').Storage;
 
 
 // PRIVATE CONSTANTS
 
-// the algorithms for this version of the protocol
-const PROTOCOL = 'v2';
-const DIGEST = 'sha512';
-const SIGNATURE = 'ed25519';
-
 // byte array sizes
 const KEY_SIZE = 32;  // bytes
-const BLOCK_SIZE = 510;  // the maximum MTU size minus the two header bytes
 
-// these are viewed from the client (mobile device) perspective
-const UART_SERVICE_ID = '6e400001b5a3f393e0a9e50e24dcca9e';
-const UART_WRITE_ID = '6e400002b5a3f393e0a9e50e24dcca9e';
-const UART_NOTIFICATION_ID = '6e400003b5a3f393e0a9e50e24dcca9e';
+// the exception types for requests that were refused before the HSM could process them
+const UNSENT = [ '$wrongDevice', '$circuitOpen', '$requestTooLong', '$invalidBlockSize',
+    '$incompatibleDevice' ];
+
+// the exception types that are not worth retrying
+const FINAL = [ '$wrongDevice', '$aborted', '$circuitOpen', '$requestTooLong', '$invalidBlockSize',
+    '$incompatibleDevice' ];
+
+// what is assumed about older firmware that does not answer a getDeviceInfo request
+const OLDER_FIRMWARE = {
+    protocols: [ 'v2' ],
+    algorithms: [ 'sha512', 'ed25519' ],
+    maximumRequest: Codec.MAXIMUM_REQUEST
+};
+
+// where digests are generated and signatures are validated
+const VERIFICATIONS = [ 'device', 'local', 'crossCheck' ];
 
 // define the finite state machine
 const REQUESTS = [  //     possible request types
@@ -53,7 +153,74 @@ const STATES = {
     $twoKeys: [  undefined,     '$loneKey',    undefined  ]
 };
 
-const moduleName = '/bali/notary/' + PROTOCOL + '/HSMProxy';
+// the events emitted by the proxy and the levels at which they are logged
+const EVENTS = {
+    scanStarted: 'debug',
+    deviceFound: 'debug',
+    scanTimedOut: 'warn',
+    servicesDiscovered: 'debug',
+    connected: 'info',
+    negotiated: 'info',
+    blockSent: 'debug',
+    responseReceived: 'debug',
+    retry: 'warn',
+    stateTransition: 'info',
+    exception: 'error'
+};
+
+// the events that are forwarded from transports that emit them
+const TRANSPORT_EVENTS = [ 'scanStarted', 'deviceFound', 'scanTimedOut', 'servicesDiscovered' ];
+
+// the methods that are serialized using the operation queue, along with their default priorities
+// (higher priorities are processed first)
+const PRIORITIES = {
+    getTag: 0,
+    unlock: 0,
+    changePassphrase: 0,
+    generateKeys: 0,
+    rotateKeys: 0,
+    eraseKeys: 1,
+    digestBytes: 0,
+    signBytes: 0,
+    signBatch: 0,
+    validSignature: 0,
+    listSlots: 0,
+    verifyAuditLog: 0,
+    getDeviceInfo: 0,
+    getPublicKey: 0,
+    getPreviousPublicKey: 0,
+    getState: 0,
+    reconcile: 0,
+    exportBackup: 0,
+    importBackup: 0,
+    migrateConfiguration: 0,
+    scanDevices: 0,
+    close: 0
+};
+
+// the methods that evaluate the signing policy before they join the operation queue themselves,
+// so that a request waiting for approval does not hold up the requests of other proxies
+const ADMITTED = [ 'signBytes', 'signBatch' ];
+
+// the exception types that are reported to the caller as is rather than as $unexpected
+const SURFACED = [ '$wrongDevice', '$aborted', '$timeout', '$circuitOpen', '$inconsistentResult',
+    '$locked', '$invalidPassphrase', '$invalidSlot', '$policyViolation', '$requestTooLong',
+    '$incompatibleDevice', '$invalidFormat', '$invalidState', '$outOfSync', '$invalidRepair',
+    '$repairRefused', '$invalidBackup', '$invalidSharing', '$newerConfiguration',
+    '$existingConfiguration', '$unsupportedSchema', '$incompatibleSuite', '$responseLost',
+    '$invalidHead' ];
+
+// the exception types with which the HSM refuses a request that does not match what it holds
+const REFUSED = [ '$invalidState', '$invalidProxyKey' ];
+
+// the repairs that the reconcile method can make to a key slot
+const REPAIRS = [ '$reset', '$rebind' ];
+
+// the states of a key slot on the HSM, indexed by the number of key pairs it holds
+const DEVICE_STATES = [ '$keyless', '$loneKey', '$twoKeys' ];
+
+// the formats in which a public key can be returned (see the AlgorithmSuite class)
+const FORMATS = [ 'binary', 'pem', 'jwk', 'ssh' ];
 
 
 // PUBLIC FUNCTIONS
@@ -67,13 +234,44 @@ const moduleName = '/bali/notary/' + PROTOCOL + '/HSMProxy';
  * debugging that occurs:
  * <pre>
  *   0 (or false): no logging
- *   1 (or true): log exceptions to console.error
- *   2: perform argument validation and log exceptions to console.error
- *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ *   1 (or true): log exceptions
+ *   2: perform argument validation and log exceptions
+ *   3: perform argument validation and log exceptions and debug info
+ * </pre>
+ * @param {Object} options An optional object containing the following configuration options:
+ * <pre>
+ *   logger: a function, or an object with error, warn, info and debug methods, that receives
+ *     each structured log entry (the default writes each entry as JSON to standard error)
+ *   logLevel: the least severe level that is logged: 'none', 'error', 'warn', 'info' or 'debug'
+ *     (the default is 'info' for a logger, and otherwise depends on the debug level)
+ *   transport: the transport used to talk to the HSM (the default is a BLE transport)
+ *   idleTimeout: the milliseconds an idle link to the HSM is kept open (the default is 10000)
+ *   device: the identifier of the HSM to use when generating keys (the default is the first found)
+ *   priorities: an object mapping method names to the priorities of their requests in the
+ *     operation queue (by default erasing keys takes priority over everything else)
+ *   passphrase: the passphrase used to unlock the proxy automatically (the default is to require
+ *     an explicit call to unlock)
+ *   resilience: the timeouts, retries and circuit breaker settings (see the Resilience class)
+ *   policy: the rules that each signing request must satisfy (see the Policy class)
+ *   verification: where digests are generated and signatures are validated, one of:
+ *     'device': on the HSM (the default)
+ *     'local': in software, so the HSM need not be present since no secrets are involved
+ *     'crossCheck': both in software and on the HSM, and the results must agree
+ *   suite: the algorithm suite (see the AlgorithmSuite class) that determines the protocol the
+ *     proxy speaks and the algorithms it uses (the default is the v2 suite, sha512/ed25519)
  * </pre>
+ * Once keys have been generated the proxy is bound to the HSM that generated them. Each method
+ * that talks to the HSM accepts an optional AbortSignal as its last argument that cancels the
+ * request.
  * @returns {Object} The new hardware security module proxy.
  */
-const HSMProxy = function(directory, debug) {
+const HSMProxy = function(directory, debug, options) {
+    EventEmitter.call(this);
+
+    // the algorithm suite determines the protocol that the proxy speaks
+    const suite = (options && options.suite instanceof AlgorithmSuite) ? options.suite : AlgorithmSuite.V2;
+    const protocol = suite.getProtocol();
+    const moduleName = moduleOf(protocol);
 
     // validate the arguments
     this.debug = debug || 0;  // default is off
@@ -82,42 +280,595 @@ const HSMProxy = function(directory, debug) {
             '/javascript/Undefined',
             '/javascript/String'
         ]);
+        bali.component.validateArgument(moduleName, '$HSMProxy', '$options', options, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+    options = options || {};
+    const proxy = this;
+    const logger = Logger.fromOptions(moduleName, this.debug, options);
+    const metrics = new Metrics();
+
+    const notify = function(event, details) {
+        details = details || {};
+        logger.log(EVENTS[event], event, details);
+        metrics.recordEvent(event, details);
+        proxy.emit(event, details);
+    };
+
+    const report = function(exception) {
+        notify('exception', {
+            procedure: exception.getAttribute('$procedure').toString(),
+            type: exception.getAttribute('$exception').toString(),
+            exception: exception
+        });
+    };
+
+    const verification = options.verification || 'device';
+    if (VERIFICATIONS.indexOf(verification) < 0) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$HSMProxy',
+            $exception: '$invalidOption',
+            $verification: bali.text(String(verification)),
+            $text: 'The verification option must be one of: ' + VERIFICATIONS.join(', ')
+        });
+        report(exception);
+        throw exception;
+    }
+    if (options.suite && options.suite !== suite && options.suite !== suite.getName()) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$HSMProxy',
+            $exception: '$invalidOption',
+            $suite: bali.text(String(options.suite)),
+            $text: 'The ' + protocol + ' protocol only supports the ' + suite.getName() + ' suite.'
+        });
+        report(exception);
+        throw exception;
     }
+    const resilience = new Resilience(options.resilience, this.debug, logger);
+    const policy = new Policy(options.policy, this.debug);
+    const transport = options.transport || new BLETransport(resilience.getScanTimeout(), this.debug);
+    if (transport.setLogger) transport.setLogger(logger);
+    const codec = new Codec(this.debug, suite, logger);
+    const session = new Session(transport, options.idleTimeout, this.debug, logger);
+    const queue = OperationQueue.shared(transport.getAdapter ? transport.getAdapter() : transport, this.debug, logger);
+    if (transport.on) TRANSPORT_EVENTS.forEach(function(event) {
+        transport.on(event, function(details) {
+            notify(event, details);
+        });
+    });
 
 
     // PRIVATE CONFIGURATION ATTRIBUTES AND METHODS
 
-    const filename = 'HSMProxy' + PROTOCOL + '.bali';
-    const configurator = bali.configurator(filename, directory, this.debug);
-    var configuration, controller;
-
-    const loadConfiguration = async function() {
+    // the names of the files include the protocol, and the algorithm suite for a protocol that
+    // offers a choice of them, so that the proxies for different suites never share a file
+    const prefix = 'HSMProxy' + protocol + (suite.getCode() ? '-' + suite.getName() : '');
+    const filename = prefix + '.bali';
+    const configurator = new Storage(filename, directory, this.debug, logger);
+    const journal = new Storage(prefix + '.journal', directory, this.debug, logger);
+    const auditLog = new AuditLog(prefix + '.audit', directory, this.debug, logger);
+    const backup = new Backup(protocol, this.debug, logger);
+    const encryption = new Encryption(this.debug);
+    const migrations = new Migrations(protocol, suite, configurator.directory, this.debug, logger);
+    var configuration;
+    var vault;  // the key derived from the passphrase along with its parameters
+    var secrets;  // the decrypted proxy keys, available only while the proxy is unlocked
+    var pending;  // the journal entry for an operation whose outcome on the HSM is unknown
+
+    const loadConfiguration = async function(plan) {
         try {
-            const source = await configurator.load();
-            if (source) {
-                configuration = bali.component(source);
-            } else {
-                configuration = bali.catalog({
-                    $tag: bali.tag(),  // new random tag
-                    $state: '$keyless'
-                });
-                await configurator.store(bali.document(configuration));
-            }
-            controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), this.debug);
+            plan = plan || await planMigration();
+            configuration = plan.configuration;
+            await applyMigration(plan);
+            const entry = await journal.load();
+            pending = entry ? bali.component(entry) : undefined;
+            await bindDevice();
         } catch (cause) {
+            if (exceptionType(cause) !== '$unexpected') throw cause;  // e.g. a later schema
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$loadConfiguration',
                 $exception: '$storageException',
                 $text: 'The attempt to load the current configuration failed.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
             throw exception;
         }
     };
 
+    const planMigration = async function() {
+        // work out how the configuration file would be migrated without changing anything
+        const source = await configurator.load();
+        const plan = {
+            exists: source ? true : false,
+            older: await migrations.detect()
+        };
+        if (source) {
+            plan.configuration = bali.component(source);
+            plan.version = migrations.versionOf(plan.configuration);
+            plan.changes = migrations.migrate(plan.configuration);
+        } else {
+            plan.configuration = bali.catalog({
+                $schemaVersion: Migrations.VERSION,
+                $tag: bali.tag(),  // new random tag
+                $protocol: protocol,
+                $suite: bali.text(suite.getName()),
+                $state: '$keyless',
+                $revision: 0
+            });
+            plan.changes = [];
+        }
+        return plan;
+    };
+
+    const applyMigration = async function(plan) {
+        if (plan.exists && plan.changes.length === 0) return;
+        await configurator.store(bali.document(plan.configuration));
+        if (!plan.exists) {
+            plan.older.forEach(function(older) {
+                logger.log('warn', 'olderConfiguration', {
+                    file: older.file,
+                    protocol: older.protocol,
+                    suite: older.suite
+                });
+            });
+        }
+        if (plan.changes.length) {
+            logger.log('info', 'migration', {
+                file: configurator.file,
+                from: plan.version,
+                to: Migrations.VERSION,
+                changes: plan.changes
+            });
+            const state = stateOf();
+            await audit('$migrateConfiguration', undefined, state, state, {
+                schemaVersion: plan.version
+            });
+        }
+    };
+
+    const bindDevice = async function() {
+        // once keys exist the proxy is bound to the HSM that holds them
+        const device = configuration && configuration.getAttribute('$device');
+        await session.bindDevice(device ? device.getValue() : options.device);
+    };
+
+    const unlockConfiguration = async function(passphrase, signal) {
+        await openVault(passphrase);
+        if (pending) await reconcileOperation(signal);
+    };
+
+    const openVault = async function(passphrase) {
+        // derive the keys from the passphrase without involving the HSM
+        const protection = configuration.getAttribute('$secrets');
+        var reason;  // why the audit log may be reset
+        if (protection) {
+            const salt = protection.getAttribute('$salt').getValue();
+            const cost = protection.getAttribute('$cost').toInteger();
+            const key = await encryption.deriveKey(passphrase, salt, cost);
+            secrets = decryptSecrets(moduleName, encryption, protection, key, configuration.getAttribute('$tag'));
+            vault = { salt: salt, cost: cost, key: key };
+        } else {
+            vault = await createVault(encryption, passphrase);
+            secrets = bali.catalog();
+            // migrate any proxy keys that were stored in plaintext by earlier versions (this
+            // needs the passphrase, so it cannot be one of the migrations applied on loading)
+            ['$proxyKey', '$previousProxyKey'].forEach(function(name) {
+                const value = configuration.getAttribute(name);
+                if (value) {
+                    secrets.setAttribute(name, value);
+                    configuration.removeAttribute(name);
+                }
+            });
+            await storeConfiguration();  // any journal entries must be encrypted using the same salt
+            reason = 'A new passphrase was chosen for a configuration without proxy keys.';
+        }
+        try {
+            await unlockAuditLog(passphrase, reason);
+        } catch (cause) {
+            // the proxy stays locked while its audit log cannot be unlocked
+            vault = undefined;
+            secrets = undefined;
+            throw cause;
+        }
+    };
+
+    const unlockAuditLog = async function(passphrase, reason) {
+        // a log keyed using another passphrase is only reset when a new passphrase is chosen
+        try {
+            await auditLog.unlock(passphrase);
+        } catch (cause) {
+            if (!reason || exceptionType(cause) !== '$invalidPassphrase') throw cause;
+            const archived = await auditLog.reset(passphrase, reason);
+            if (archived) logger.log('warn', 'auditLogArchived', { file: archived.file, entries: archived.entries });
+        }
+    };
+
+    const retrieveSecrets = async function(signal) {
+        if (!secrets && options.passphrase) await unlockConfiguration(options.passphrase, signal);
+        if (!secrets) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$retrieveSecrets',
+                $exception: '$locked',
+                $text: 'The proxy must be unlocked using its passphrase first.'
+            });
+            throw exception;
+        }
+        if (pending) await reconcileOperation(signal);
+        return secrets;
+    };
+
+    const beginOperation = async function(operation, state, after, slot) {
+        // record what is about to change before the HSM is asked to change it
+        pending = bali.catalog({
+            $operation: operation,
+            $state: state
+        });
+        if (slot !== undefined) pending.setAttribute('$slot', bali.text(slot));
+        if (after) pending.setAttribute('$secrets', encryptSecrets(encryption, after, vault, configuration.getAttribute('$tag')));
+        await journal.store(bali.document(pending));
+    };
+
+    const processOperation = async function(request, signal) {
+        try {
+            return await processRequest(session, codec, resilience, request, signal, notify);
+        } catch (cause) {
+            // a request that was refused before it was sent cannot have changed the HSM
+            if (UNSENT.indexOf(exceptionType(cause)) > -1) {
+                await journal.delete();
+                pending = undefined;
+            }
+            throw cause;
+        }
+    };
+
+    const decodeOperation = async function(type, response, slot, signal) {
+        try {
+            return codec.decodeResponse(type, response);
+        } catch (cause) {
+            const kind = cause.isComponent ? cause.getAttribute('$exception').toString() : undefined;
+            if (REFUSED.indexOf(kind) < 0) throw cause;
+            if (pending) {
+                // a request that is retried after its response was lost is refused because the
+                // first attempt was applied, so ask the HSM what it holds before giving up on it
+                const revision = revisionOf(configuration);
+                await reconcileOperation(signal);
+                if (revisionOf(configuration) > revision) {
+                    const details = {
+                        $module: moduleName,
+                        $procedure: '$decodeOperation',
+                        $exception: '$responseLost',
+                        $state: stateOf(slot),
+                        $text: 'The HSM applied the request but its response was lost.'
+                    };
+                    if (slot !== undefined) details.$slot = bali.text(slot);
+                    throw bali.exception(details, cause);
+                }
+            }
+            // the HSM did not change, but it does not hold what the configuration says it does
+            const attributes = {
+                $module: moduleName,
+                $procedure: '$decodeOperation',
+                $exception: '$outOfSync',
+                $state: stateOf(slot),
+                $text: 'The HSM does not hold the keys that the proxy expects, use reconcile to repair the proxy.'
+            };
+            if (slot !== undefined) attributes.$slot = bali.text(slot);
+            throw bali.exception(attributes, cause);
+        }
+    };
+
+    const commitOperation = async function(state, after, slot) {
+        const operation = pending.getAttribute('$operation').toString();
+        const previous = stateOf(slot);
+        retrieveSlot(configuration, slot, true).setAttribute('$state', state);
+        configuration.setAttribute('$revision', revisionOf(configuration) + 1);
+        secrets = after;
+        await storeConfiguration();
+        await journal.delete();
+        pending = undefined;
+        if (state !== previous) notify('stateTransition', { slot: slot, operation: operation, from: previous, to: state });
+    };
+
+    const eraseSlot = async function(slot) {
+        const previous = stateOf(slot);
+        removeSlot(configuration, slot);
+        removeSlot(secrets, slot);
+        // the proxy is no longer bound to the HSM once none of its slots hold keys
+        if (!holdsKeys(configuration)) configuration.removeAttribute('$device');
+        configuration.setAttribute('$revision', revisionOf(configuration) + 1);
+        await storeConfiguration();
+        await journal.delete();
+        pending = undefined;
+        await bindDevice();
+        notify('stateTransition', { slot: slot, operation: '$eraseKeys', from: previous, to: '$keyless' });
+    };
+
+    const eraseConfiguration = async function() {
+        const previous = stateOf();
+        await deleteConfiguration();
+        await journal.delete();
+        pending = undefined;
+        await bindDevice();
+        notify('stateTransition', { operation: '$eraseKeys', from: previous, to: '$keyless' });
+    };
+
+    const reconcileOperation = async function(signal) {
+        // start over from what was actually stored
+        await loadConfiguration();
+        if (!pending) return;
+        const tag = configuration.getAttribute('$tag');
+        const protection = configuration.getAttribute('$secrets');
+        secrets = protection ? decryptSecrets(moduleName, encryption, protection, vault.key, tag) : bali.catalog();
+        const operation = pending.getAttribute('$operation').toString();
+        const name = pending.getAttribute('$slot');
+        const slot = name ? name.getValue() : undefined;
+        logger.log('info', 'reconciliation', { operation: operation, slot: slot });
+        if (operation === '$eraseKeys') {
+            // erasure is completed regardless of how far it got
+            const request = codec.encodeRequest('eraseKeys', ...slotArguments(slot));
+            const response = await processRequest(session, codec, resilience, request, signal, notify);
+            codec.decodeResponse('eraseKeys', response);
+            const from = stateOf(slot);
+            if (slot !== undefined) {
+                await eraseSlot(slot);
+            } else {
+                await eraseConfiguration();
+                await loadConfiguration();  // the caller continues with a new configuration
+            }
+            await audit(operation, slot, from, '$keyless', { recovered: true });
+            return;
+        }
+        const after = decryptSecrets(moduleName, encryption, pending.getAttribute('$secrets'), vault.key, tag);
+        const applied = await probeOperation(operation, after, slot, signal);
+        if (applied) {
+            if (operation === '$generateKeys') {
+                const device = await session.getDeviceId();
+                if (device) configuration.setAttribute('$device', bali.text(device));
+                await bindDevice();
+            }
+            const from = stateOf(slot);
+            const to = pending.getAttribute('$state').toString();
+            // the response containing the new public key was lost, but the old one is still known
+            // unless the HSM had to rotate the keys a second time while probing
+            if (operation !== '$signBytes') rememberPublicKey(slot, undefined, operation === '$rotateKeys' && applied === after);
+            await commitOperation(to, applied, slot);
+            await audit(operation, slot, from, to, { recovered: true });
+        } else {
+            await journal.delete();
+            pending = undefined;
+        }
+    };
+
+    const audit = async function(operation, slot, from, to, results) {
+        // the operation has succeeded but its result is only returned once it has been recorded
+        const details = { operation: operation, slot: slot, from: from, to: to };
+        Object.keys(results || {}).forEach(function(key) {
+            const value = results[key];
+            details[key] = Buffer.isBuffer(value) ? value.toString('hex') : value;
+        });
+        await auditLog.append(details);
+    };
+
+    const signOperation = async function(bytes, slot, signal) {
+        // retrieve the proxy key (the previous one is used only once)
+        const keys = retrieveSlot(secrets, slot);
+        const previousProxyKey = keys.getAttribute('$previousProxyKey');
+        const proxyKey = previousProxyKey || keys.getAttribute('$proxyKey');
+        const state = nextState('$signBytes', slot);
+        var after;
+        if (previousProxyKey) {
+            // record that the previous key is about to be used up
+            after = bali.duplicate(secrets);
+            retrieveSlot(after, slot).removeAttribute('$previousProxyKey');
+            await beginOperation('$signBytes', state, after, slot);
+        }
+
+        // digitally sign the bytes using the private key
+        const request = codec.encodeRequest('signBytes', proxyKey.getValue(), bytes, ...slotArguments(slot));
+        const response = await processOperation(request, signal);
+        const signature = bali.binary(await decodeOperation('signBytes', response, slot, signal));
+
+        // update the configuration
+        const from = stateOf(slot);
+        if (after) await commitOperation(state, after, slot);
+        await audit('$signBytes', slot, from, state, {
+            bytesDigest: suite.digestBytes(bytes),
+            signatureDigest: suite.digestBytes(signature.getValue())
+        });
+
+        return signature;
+    };
+
+    const probeOperation = async function(operation, after, slot, signal) {
+        // determine whether or not the HSM applied the operation without changing its state
+        const proxyKey = retrieveSlot(after, slot).getAttribute('$proxyKey');
+        const request = codec.encodeRequest('getKeyStatus', proxyKey.getValue(), ...slotArguments(slot));
+        const response = await processRequest(session, codec, resilience, request, signal, notify);
+        if (isStatus(response, Codec.INVALID_REQUEST)) return await probeOlderFirmware(operation, after, slot, signal);
+        const status = codec.decodeResponse('getKeyStatus', response);
+        // only the new proxy key unlocks the new key pair, and using up the previous key pair
+        // leaves a single one
+        if (!status.matches) return;
+        if (operation === '$signBytes' && status.keys > 1) return;
+        return after;
+    };
+
+    const probeOlderFirmware = async function(operation, after, slot, signal) {
+        // older firmware cannot report what a slot holds, so the new proxy key must be used
+        const proxyKey = retrieveSlot(after, slot).getAttribute('$proxyKey');
+        try {
+            if (operation === '$rotateKeys') {
+                // the HSM refuses a second rotation (before the previous key has been used)
+                const newProxyKey = bali.binary(crypto.randomBytes(KEY_SIZE));
+                const request = codec.encodeRequest('rotateKeys', proxyKey.getValue(), newProxyKey.getValue(), ...slotArguments(slot));
+                const response = await processRequest(session, codec, resilience, request, signal, notify);
+                codec.decodeResponse('rotateKeys', response);
+                // the previous key had already been used so the HSM rotated the keys again
+                const rotated = bali.duplicate(after);
+                retrieveSlot(rotated, slot).setAttribute('$previousProxyKey', proxyKey);
+                retrieveSlot(rotated, slot).setAttribute('$proxyKey', newProxyKey);
+                return rotated;
+            }
+            // the HSM only signs using the new proxy key if the operation was applied, and the
+            // signature is audited like any other
+            const bytes = crypto.randomBytes(KEY_SIZE);
+            const request = codec.encodeRequest('signBytes', proxyKey.getValue(), bytes, ...slotArguments(slot));
+            const response = await processRequest(session, codec, resilience, request, signal, notify);
+            const signature = codec.decodeResponse('signBytes', response);
+            const state = stateOf(slot);
+            await audit('$signBytes', slot, state, state, {
+                probe: true,
+                bytesDigest: suite.digestBytes(bytes),
+                signatureDigest: suite.digestBytes(signature)
+            });
+            return after;
+        } catch (cause) {
+            const type = cause.isComponent ? cause.getAttribute('$exception').toString() : undefined;
+            if (type === '$invalidState' && operation === '$rotateKeys') return after;
+            if (type === '$invalidState' || type === '$invalidProxyKey') return;  // not applied
+            throw cause;  // the outcome is still unknown
+        }
+    };
+
+    const rememberPublicKey = function(slot, publicKey, rotated) {
+        const entry = retrieveSlot(configuration, slot, true);
+        const previous = rotated ? entry.getAttribute('$publicKey') : undefined;
+        entry.removeAttribute('$previousPublicKey');
+        if (previous) entry.setAttribute('$previousPublicKey', previous);
+        entry.removeAttribute('$publicKey');
+        if (publicKey) entry.setAttribute('$publicKey', publicKey);
+    };
+
+    const exportPublicKey = function(name, slot, format) {
+        format = format || 'binary';
+        if (FORMATS.indexOf(format) < 0) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$exportPublicKey',
+                $exception: '$invalidFormat',
+                $format: bali.text(String(format)),
+                $text: 'The format of a public key must be one of: ' + FORMATS.join(', ')
+            });
+            throw exception;
+        }
+        const entry = retrieveSlot(configuration, slot);
+        const publicKey = entry ? entry.getAttribute(name) : undefined;
+        if (!publicKey || format === 'binary') return publicKey;
+        return suite.exportPublicKey(publicKey.getValue(), format);
+    };
+
+    const diagnoseSlot = async function(slot, signal) {
+        const bound = configuration.getAttribute('$device');
+        const keys = retrieveSlot(secrets, slot);
+        const proxyKey = keys ? keys.getAttribute('$proxyKey') : undefined;
+        const previousProxyKey = keys ? keys.getAttribute('$previousProxyKey') : undefined;
+
+        // the HSM may have been replaced, so ask whichever one responds what the slot holds
+        var status, device;
+        await session.bindDevice(options.device);
+        try {
+            const key = proxyKey ? proxyKey.getValue() : Buffer.alloc(KEY_SIZE);
+            const request = codec.encodeRequest('getKeyStatus', key, ...slotArguments(slot));
+            const response = await processRequest(session, codec, resilience, request, signal, notify);
+            // older firmware cannot report what a slot holds
+            if (!isStatus(response, Codec.INVALID_REQUEST)) status = codec.decodeResponse('getKeyStatus', response);
+            device = await session.getDeviceId();
+        } finally {
+            await bindDevice();
+        }
+
+        // compare it with the configuration and work out which repairs are safe
+        const state = stateOf(slot);
+        const diagnosis = bali.catalog();
+        if (slot !== undefined) diagnosis.setAttribute('$slot', bali.text(slot));
+        diagnosis.setAttribute('$state', state);
+        if (bound) diagnosis.setAttribute('$boundDevice', bound);
+        if (device) diagnosis.setAttribute('$device', bali.text(device));
+        var consistent = false;
+        const repairs = [];
+        if (status) {
+            const actual = DEVICE_STATES[status.keys];
+            const rebound = bound && device && bound.getValue() !== device;
+            diagnosis.setAttribute('$deviceState', actual);
+            diagnosis.setAttribute('$proxyKeyMatches', status.matches);
+            consistent = (state === '$keyless') ? actual === '$keyless' : actual === state && status.matches && !rebound;
+            if (!consistent && actual === '$keyless') repairs.push('$reset');
+            // the proxy cannot use the previous key pair without the previous proxy key
+            if (!consistent && status.matches && (actual === '$loneKey' || previousProxyKey)) repairs.push('$rebind');
+        }
+        diagnosis.setAttribute('$consistent', consistent);
+        diagnosis.setAttribute('$repairs', bali.list(repairs));
+        return diagnosis;
+    };
+
+    const repairSlot = async function(slot, repair, diagnosis) {
+        const from = stateOf(slot);
+        const device = diagnosis.getAttribute('$device');
+        var to;
+        if (repair === '$reset') {
+            // the HSM no longer holds the keys so there is nothing left to use them for
+            to = '$keyless';
+            if (slot !== undefined) {
+                removeSlot(configuration, slot);
+                removeSlot(secrets, slot);
+            } else {
+                configuration.setAttribute('$state', to);
+                configuration.removeAttributes(['$publicKey', '$previousPublicKey']);
+                secrets.removeAttributes(['$proxyKey', '$previousProxyKey']);
+            }
+            if (!holdsKeys(configuration)) configuration.removeAttribute('$device');
+        } else {
+            // the responding HSM holds the keys that the proxy key unlocks
+            to = diagnosis.getAttribute('$deviceState').toString();
+            retrieveSlot(configuration, slot).setAttribute('$state', to);
+            if (to === '$loneKey') retrieveSlot(secrets, slot).removeAttribute('$previousProxyKey');
+            if (device) configuration.setAttribute('$device', device);
+        }
+        configuration.setAttribute('$revision', revisionOf(configuration) + 1);
+        await storeConfiguration();
+        await bindDevice();
+        if (to !== from) notify('stateTransition', { slot: slot, operation: '$reconcile', from: from, to: to });
+        await audit('$reconcile', slot, from, to, { repair: repair, device: device ? device.getValue() : undefined });
+    };
+
+    const stateOf = function(slot) {
+        const entry = configuration && retrieveSlot(configuration, slot);
+        const state = entry ? entry.getAttribute('$state') : undefined;  // a new slot has no state yet
+        return state ? state.toString() : '$keyless';
+    };
+
+    const validateEvent = function(event, slot) {
+        const state = stateOf(slot);
+        const events = allowedEvents(state);
+        if (events.indexOf(event) < 0) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$validateEvent',
+                $exception: '$invalidState',
+                $state: state,
+                $event: event,
+                $events: bali.list(events),
+                $text: 'The ' + event + ' request is not allowed in the ' + state + ' state.'
+            });
+            throw exception;
+        }
+    };
+
+    const nextState = function(event, slot) {
+        return bali.controller(REQUESTS, STATES, stateOf(slot), debug).transitionState(event);
+    };
+
     const storeConfiguration = async function() {
         try {
+            if (vault) {
+                const protection = encryptSecrets(encryption, secrets, vault, configuration.getAttribute('$tag'));
+                configuration.setAttribute('$secrets', protection);
+            }
             await configurator.store(bali.document(configuration));
         } catch (cause) {
             const exception = bali.exception({
@@ -126,7 +877,6 @@ const HSMProxy = function(directory, debug) {
                 $exception: '$storageException',
                 $text: 'The attempt to store the current configuration failed.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
             throw exception;
         }
     };
@@ -135,7 +885,7 @@ const HSMProxy = function(directory, debug) {
         try {
             await configurator.delete();
             configuration = undefined;
-            controller = undefined;
+            if (secrets) secrets = bali.catalog();  // the proxy remains unlocked
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
@@ -143,7 +893,6 @@ const HSMProxy = function(directory, debug) {
                 $exception: '$storageException',
                 $text: 'The attempt to delete the current configuration failed.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
             throw exception;
         }
     };
@@ -160,9 +909,9 @@ const HSMProxy = function(directory, debug) {
     this.toString = function() {
         const catalog = bali.catalog({
             $module: moduleName,
-            $protocol: PROTOCOL,
-            $digest: DIGEST,
-            $signature: SIGNATURE
+            $protocol: protocol,
+            $digest: suite.getDigest(),
+            $signature: suite.getSignature()
         });
         return catalog.toString();
     };
@@ -182,10 +931,10 @@ const HSMProxy = function(directory, debug) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$getTag',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'The tag for the security module could not be retrieved.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
             throw exception;
         }
     };
@@ -200,7 +949,7 @@ const HSMProxy = function(directory, debug) {
      */
     this.getProtocol = async function() {
         try {
-            return bali.component(PROTOCOL);
+            return bali.component(protocol);
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
@@ -208,115 +957,291 @@ const HSMProxy = function(directory, debug) {
                 $exception: '$unexpected',
                 $text: 'The protocol supported by the security module could not be retrieved.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method retrieves the information that describes the HSM from the HSM itself. Older
+     * firmware that does not support the request is described using what it is known to support.
+     *
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {Catalog} A catalog containing the firmware version ($firmware), the supported
+     * protocol versions ($protocols) and algorithms ($algorithms), the maximum number of bytes in
+     * a request ($maximumRequest), the serial number ($serialNumber) and whether or not the HSM
+     * supports the extended framing ($extendedFraming). The attributes that older firmware does
+     * not report are missing.
+     */
+    this.getDeviceInfo = async function(signal) {
+        try {
+            // validate the arguments
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$getDeviceInfo', '$signal', signal, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
+                ]);
+            }
+
+            const request = codec.encodeRequest('getDeviceInfo');
+            const response = await processRequest(session, codec, resilience, request, signal, notify);
+            const info = decodeDeviceInfo(codec, response);
+            checkDevice(moduleName, suite, info);  // the firmware may have been updated since the proxy last asked
+            return deviceCatalog(info);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$getDeviceInfo',
+                $exception: exceptionType(cause),
+                $text: 'The information about the HSM could not be retrieved.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method unlocks the proxy using the passphrase that protects its proxy keys. If the
+     * configuration does not contain any encrypted proxy keys yet, the passphrase is used to
+     * protect them from now on, and any proxy keys that were stored in plaintext by an earlier
+     * version are encrypted immediately.
+     *
+     * @param {String} passphrase The passphrase that protects the proxy keys.
+     */
+    this.unlock = async function(passphrase) {
+        try {
+            // validate the arguments
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$unlock', '$passphrase', passphrase, [
+                    '/javascript/String'
+                ]);
+            }
+
+            if (!configuration) await loadConfiguration();
+            await unlockConfiguration(passphrase);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$unlock',
+                $exception: exceptionType(cause),
+                $text: 'The proxy could not be unlocked.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method forgets the decrypted proxy keys and the key derived from the passphrase. The
+     * proxy must be unlocked again before it can be used to generate keys or sign anything.
+     */
+    this.lock = async function() {
+        vault = undefined;
+        secrets = undefined;
+        auditLog.lock();
+    };
+
+    /**
+     * This method changes the passphrase that protects the proxy keys.
+     *
+     * @param {String} oldPassphrase The current passphrase.
+     * @param {String} newPassphrase The new passphrase.
+     */
+    this.changePassphrase = async function(oldPassphrase, newPassphrase) {
+        try {
+            // validate the arguments
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$changePassphrase', '$oldPassphrase', oldPassphrase, [
+                    '/javascript/String'
+                ]);
+                bali.component.validateArgument(moduleName, '$changePassphrase', '$newPassphrase', newPassphrase, [
+                    '/javascript/String'
+                ]);
+            }
+
+            if (!configuration) await loadConfiguration();
+            await unlockConfiguration(oldPassphrase);  // proves that the old passphrase is correct
+            vault = await createVault(encryption, newPassphrase);
+            await storeConfiguration();
+            await auditLog.rekey(newPassphrase);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$changePassphrase',
+                $exception: exceptionType(cause),
+                $text: 'The passphrase could not be changed.'
+            }, cause);
+            report(exception);
             throw exception;
         }
     };
 
     /**
-     * This method generates a new public-private key pair.
+     * This method generates a new public-private key pair in the specified key slot.
      *
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {AbortSignal} signal An optional signal that cancels the request.
      * @returns {Binary} A binary string containing the new public key.
      */
-    this.generateKeys = async function() {
+    this.generateKeys = async function(slot, signal) {
         try {
+            // validate the arguments
+            if (isSignal(slot)) {
+                signal = slot;
+                slot = undefined;
+            }
+            slot = slotName(moduleName, slot, '$generateKeys');
+
             // check the current state
             if (!configuration) await loadConfiguration();
-            controller.validateEvent('$generateKeys');
+            const secrets = await retrieveSecrets(signal);
+            validateEvent('$generateKeys', slot);
 
-            // generate a new key pair
-            if (this.debug > 2) console.log("\nGenerating the initial key pair...");
+            // record the new proxy key before the HSM starts using it
             const proxyKey = bali.binary(crypto.randomBytes(KEY_SIZE));
-            const request = formatRequest('generateKeys', proxyKey.getValue());
-            const publicKey = bali.binary(await processRequest(request, this.debug));
-            configuration.setAttribute('$proxyKey', proxyKey);
+            const after = bali.duplicate(secrets);
+            retrieveSlot(after, slot, true).setAttribute('$proxyKey', proxyKey);
+            const state = nextState('$generateKeys', slot);
+            await beginOperation('$generateKeys', state, after, slot);
+
+            // generate a new key pair
+            const request = codec.encodeRequest('generateKeys', proxyKey.getValue(), ...slotArguments(slot));
+            const response = await processOperation(request, signal);
+            const publicKey = bali.binary(await decodeOperation('generateKeys', response, slot, signal));
+            const device = await session.getDeviceId();
+            if (device) configuration.setAttribute('$device', bali.text(device));
+            await bindDevice();
 
             // update the configuration
-            const state = controller.transitionState('$generateKeys');
-            configuration.setAttribute('$state', state);
-            await storeConfiguration(configurator, configuration, this.debug);
+            const from = stateOf(slot);
+            rememberPublicKey(slot, publicKey);
+            await commitOperation(state, after, slot);
+            await audit('$generateKeys', slot, from, state, { publicKey: publicKey.getValue() });
 
-            if (this.debug > 2) console.log('public key: ' + publicKey);
             return publicKey;
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$generateKeys',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'A new key pair could not be generated.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
             throw exception;
         }
     };
 
     /**
-     * This method replaces the existing public-private key pair with a new one.
+     * This method replaces the existing public-private key pair in the specified key slot with
+     * a new one.
      *
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {AbortSignal} signal An optional signal that cancels the request.
      * @returns {Binary} A binary string containing the new public key.
      */
-    this.rotateKeys = async function() {
+    this.rotateKeys = async function(slot, signal) {
         try {
+            // validate the arguments
+            if (isSignal(slot)) {
+                signal = slot;
+                slot = undefined;
+            }
+            slot = slotName(moduleName, slot, '$rotateKeys');
+
             // check the current state
             if (!configuration) await loadConfiguration();
-            controller.validateEvent('$rotateKeys');
+            const secrets = await retrieveSecrets(signal);
+            validateEvent('$rotateKeys', slot);
 
-            // save the previous proxy key
-            const previousProxyKey = configuration.getAttribute('$proxyKey');
-            configuration.setAttribute('$previousProxyKey', previousProxyKey);
+            // record both proxy keys before the HSM starts using the new one
+            const previousProxyKey = retrieveSlot(secrets, slot).getAttribute('$proxyKey');
+            const proxyKey = bali.binary(crypto.randomBytes(KEY_SIZE));
+            const after = bali.duplicate(secrets);
+            retrieveSlot(after, slot).setAttribute('$previousProxyKey', previousProxyKey);
+            retrieveSlot(after, slot).setAttribute('$proxyKey', proxyKey);
+            const state = nextState('$rotateKeys', slot);
+            await beginOperation('$rotateKeys', state, after, slot);
 
             // generate a new key pair
-            if (this.debug > 2) console.log("\nGenerating a new key pair...");
-            const proxyKey = bali.binary(crypto.randomBytes(KEY_SIZE));
-            const request = formatRequest('rotateKeys', previousProxyKey.getValue(), proxyKey.getValue());
-            const publicKey = bali.binary(await processRequest(request, this.debug));
-            configuration.setAttribute('$proxyKey', proxyKey);
+            const request = codec.encodeRequest('rotateKeys', previousProxyKey.getValue(), proxyKey.getValue(), ...slotArguments(slot));
+            const response = await processOperation(request, signal);
+            const publicKey = bali.binary(await decodeOperation('rotateKeys', response, slot, signal));
 
             // update the configuration
-            const state = controller.transitionState('$rotateKeys');
-            configuration.setAttribute('$state', state);
-            await storeConfiguration(configurator, configuration, this.debug);
+            const from = stateOf(slot);
+            rememberPublicKey(slot, publicKey, true);
+            await commitOperation(state, after, slot);
+            await audit('$rotateKeys', slot, from, state, { publicKey: publicKey.getValue() });
 
-            if (this.debug > 2) console.log('public key: ' + publicKey);
             return publicKey;
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$rotateKeys',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'The key pair could not be rotated.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
             throw exception;
         }
     };
 
     /**
-     * This method deletes any existing public-private key pairs.
+     * This method deletes any existing public-private key pairs in the specified key slot. If
+     * no slot is specified the key pairs in every slot are erased.
      *
+     * @param {String|Tag} slot The name of an optional key slot.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
      * @returns {Boolean} Whether or not the keys were successfully erased.
      */
-    this.eraseKeys = async function() {
+    this.eraseKeys = async function(slot, signal) {
         try {
+            // validate the arguments
+            if (isSignal(slot)) {
+                signal = slot;
+                slot = undefined;
+            }
+            slot = slotName(moduleName, slot, '$eraseKeys');
+
+            // make sure that the keys are erased on the bound hardware security module
+            if (!configuration) await loadConfiguration();
+            if (slot !== undefined) {
+                // the proxy keys for the other slots must be stored again without this one
+                await retrieveSecrets(signal);
+                await beginOperation('$eraseKeys', '$keyless', undefined, slot);
+                const request = codec.encodeRequest('eraseKeys', ...slotArguments(slot));
+                const response = await processOperation(request, signal);
+                const succeeded = codec.decodeResponse('eraseKeys', response);
+                const from = stateOf(slot);
+                await eraseSlot(slot);
+                await audit('$eraseKeys', slot, from, '$keyless');
+                return succeeded;
+            }
+
+            // erasure supersedes any operation that was interrupted
+            await beginOperation('$eraseKeys', '$keyless');
+
             // erase the keys on the remote hardware security module
-            if (this.debug > 2) console.log("\nErasing all key pairs...");
-            const request = formatRequest('eraseKeys');
-            const succeeded = (await processRequest(request, this.debug))[0] ? true : false;
+            const request = codec.encodeRequest('eraseKeys');
+            const response = await processOperation(request, signal);
+            const succeeded = codec.decodeResponse('eraseKeys', response);
 
             // delete the current configuration
-            await deleteConfiguration(configurator, this.debug);
-            configuration = undefined;
+            const from = stateOf();
+            await eraseConfiguration();
+            await audit('$eraseKeys', undefined, from, '$keyless');
 
-            if (this.debug > 2) console.log("succeeded: " + succeeded);
             return succeeded;
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$eraseKeys',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'The keys could not be erased.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
             throw exception;
         }
     };
@@ -326,33 +1251,54 @@ const HSMProxy = function(directory, debug) {
      * specified bytes. The generated digital digest will always be the same
      * for the same bytes.
      *
-     * @param {Buffer} bytes The bytes to be digested.
+     * A request to the HSM can carry at most 65535 bytes, so larger buffers and
+     * readable streams (e.g. large attachments) are digested incrementally in
+     * software using the same algorithm, regardless of the verification option.
+     *
+     * @param {Buffer|Readable} bytes The bytes to be digested, or a readable stream
+     * of them.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
      * @returns {Binary} A binary string containing a digital digest of the bytes.
      */
-    this.digestBytes = async function(bytes) {
+    this.digestBytes = async function(bytes, signal) {
         try {
             // validate the arguments
             if (this.debug > 1) {
                 bali.component.validateArgument(moduleName, '$digestBytes', '$bytes', bytes, [
-                    '/nodejs/Buffer'
+                    '/nodejs/Buffer',
+                    '/javascript/Object'
+                ]);
+                bali.component.validateArgument(moduleName, '$digestBytes', '$signal', signal, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
                 ]);
             }
 
+            // digest anything that the HSM cannot handle incrementally
+            if (!Buffer.isBuffer(bytes)) return bali.binary(await digestStream(moduleName, suite, bytes, signal));
+            if (bytes.length > Codec.MAXIMUM_LENGTH) return bali.binary(suite.digestBytes(bytes));
+
             // generate the digital digest of the bytes
-            if (this.debug > 2) console.log("\nDigesting the bytes...");
-            const request = formatRequest('digestBytes', bytes);
-            const digest = bali.binary(await processRequest(request, this.debug));
+            var digest;
+            if (verification !== 'device') digest = suite.digestBytes(bytes);
+            if (verification !== 'local') {
+                const request = codec.encodeRequest('digestBytes', bytes);
+                const response = await processRequest(session, codec, resilience, request, signal, notify);
+                const remote = codec.decodeResponse('digestBytes', response);
+                if (digest) checkConsistency(moduleName, '$digestBytes', digest, remote);
+                digest = remote;
+            }
+            digest = bali.binary(digest);
 
-            if (this.debug > 2) console.log('digest: ' + digest);
             return digest;
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$digestBytes',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'A digest of the bytes could not be generated.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
             throw exception;
         }
     };
@@ -365,49 +1311,145 @@ const HSMProxy = function(directory, debug) {
      * public key.
      *
      * @param {Buffer} bytes The bytes to be digitally signed.
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {AbortSignal} signal An optional signal that cancels the request.
      * @returns {Binary} A binary string containing the resulting digital signature.
      */
-    this.signBytes = async function(bytes) {
+    this.signBytes = async function(bytes, slot, signal) {
         try {
             // validate the arguments
+            if (isSignal(slot)) {
+                signal = slot;
+                slot = undefined;
+            }
+            slot = slotName(moduleName, slot, '$signBytes');
             if (this.debug > 1) {
                 bali.component.validateArgument(moduleName, '$signBytes', '$bytes', bytes, [
                     '/nodejs/Buffer'
                 ]);
+                bali.component.validateArgument(moduleName, '$signBytes', '$signal', signal, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
+                ]);
             }
 
-            // check the current state
-            if (!configuration) await loadConfiguration();
-            controller.validateEvent('$signBytes');
-            if (this.debug > 2) console.log("\nSigning the bytes...");
+            // make sure the signing policy allows the request
+            await policy.evaluate(bytes, slot, signal);
 
-            // retrieve the proxy key
-            var proxyKey = configuration.getAttribute('$previousProxyKey');
-            if (proxyKey) {
-                configuration.removeAttribute('$previousProxyKey');
-            } else {
-                proxyKey = configuration.getAttribute('$proxyKey');
-            }
-
-            // digitally sign the bytes using the private key
-            const request = formatRequest('signBytes', proxyKey.getValue(), bytes);
-            const signature = bali.binary(await processRequest(request, this.debug));
-
-            // update the configuration
-            const state = controller.transitionState('$signBytes');
-            configuration.setAttribute('$state', state);
-            await storeConfiguration(configurator, configuration, this.debug);
+            return await enqueue('signBytes', async function() {
+                // check the current state
+                if (!configuration) await loadConfiguration();
+                await retrieveSecrets(signal);
+                validateEvent('$signBytes', slot);
 
-            if (this.debug > 2) console.log('signature: ' + signature);
-            return signature;
+                // digitally sign the bytes using the private key
+                return await signOperation(bytes, slot, signal);
+            }, signal);
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$signBytes',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'A digital signature of the bytes could not be generated.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method generates a digital signature of each of the specified arrays of bytes over
+     * a single session with the HSM. The items are signed in order, so if the previous private
+     * key still exists only the first item that is signed successfully is signed using it. An
+     * item that cannot be signed (e.g. because the signing policy does not allow it) does not
+     * prevent the remaining items from being signed.
+     *
+     * @param {Array} items An array containing the buffers of bytes to be digitally signed.
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {Array} An array containing, for each item in order, either a binary string
+     * containing its digital signature or the exception explaining why it was not signed.
+     */
+    this.signBatch = async function(items, slot, signal) {
+        try {
+            // validate the arguments
+            if (isSignal(slot)) {
+                signal = slot;
+                slot = undefined;
+            }
+            slot = slotName(moduleName, slot, '$signBatch');
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$signBatch', '$items', items, [
+                    '/javascript/Array'
+                ]);
+                items.forEach(function(bytes) {
+                    bali.component.validateArgument(moduleName, '$signBatch', '$bytes', bytes, [
+                        '/nodejs/Buffer'
+                    ]);
+                });
+                bali.component.validateArgument(moduleName, '$signBatch', '$signal', signal, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
+                ]);
+            }
+
+            const failure = function(index, cause) {
+                const exception = bali.exception({
+                    $module: moduleName,
+                    $procedure: '$signBatch',
+                    $exception: exceptionType(cause),
+                    $index: index + 1,
+                    $text: 'A digital signature of the item could not be generated.'
+                }, cause);
+                report(exception);
+                return exception;
+            };
+
+            // make sure the signing policy allows each item
+            const results = [];
+            for (var index = 0; index < items.length; index++) {
+                try {
+                    await policy.evaluate(items[index], slot, signal);
+                    results.push(undefined);
+                } catch (cause) {
+                    results.push(failure(index, cause));
+                }
+            }
+
+            return await enqueue('signBatch', async function() {
+                // check the current state
+                if (!configuration) await loadConfiguration();
+                await retrieveSecrets(signal);
+                validateEvent('$signBytes', slot);
+
+                // digitally sign each allowed item over the same link
+                session.hold();
+                try {
+                    for (var index = 0; index < items.length; index++) {
+                        if (results[index]) continue;  // not allowed by the signing policy
+                        try {
+                            results[index] = await signOperation(items[index], slot, signal);
+                        } catch (cause) {
+                            // find out whether or not the previous key was used up before continuing
+                            if (pending) await reconcileOperation(signal);
+                            results[index] = failure(index, cause);
+                        }
+                    }
+                } finally {
+                    await session.unhold();
+                }
+                return results;
+            }, signal);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$signBatch',
+                $exception: exceptionType(cause),
+                $text: 'The batch of items could not be digitally signed.'
+            }, cause);
+            report(exception);
             throw exception;
         }
     };
@@ -422,9 +1464,10 @@ const HSMProxy = function(directory, debug) {
      * @param {Binary} signature A binary string containing the digital signature
      * allegedly generated using the corresponding private key.
      * @param {Buffer} bytes The digitally signed bytes.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
      * @returns {Boolean} Whether or not the digital signature is valid.
      */
-    this.validSignature = async function(aPublicKey, signature, bytes) {
+    this.validSignature = async function(aPublicKey, signature, bytes, signal) {
         try {
             // validate the arguments
             if (this.debug > 1) {
@@ -437,29 +1480,615 @@ const HSMProxy = function(directory, debug) {
                 bali.component.validateArgument(moduleName, '$validSignature', '$bytes', bytes, [
                     '/nodejs/Buffer'
                 ]);
+                bali.component.validateArgument(moduleName, '$validSignature', '$signal', signal, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
+                ]);
             }
 
             // check the signature on the bytes
-            if (this.debug > 2) console.log("\nValidating the signature...");
-            const request = formatRequest('validSignature', aPublicKey.getValue(), signature.getValue(), bytes);
-            const isValid = (await processRequest(request, this.debug))[0] ? true : false;
+            var isValid;
+            if (verification !== 'device') isValid = suite.validSignature(aPublicKey.getValue(), signature.getValue(), bytes);
+            if (verification !== 'local') {
+                const request = codec.encodeRequest('validSignature', aPublicKey.getValue(), signature.getValue(), bytes);
+                const response = await processRequest(session, codec, resilience, request, signal, notify);
+                const remote = codec.decodeResponse('validSignature', response);
+                if (isValid !== undefined) checkConsistency(moduleName, '$validSignature', isValid, remote);
+                isValid = remote;
+            }
 
-            if (this.debug > 2) console.log("is valid: " + isValid);
             return isValid;
         } catch (cause) {
             const exception = bali.exception({
                 $module: moduleName,
                 $procedure: '$validSignature',
-                $exception: '$unexpected',
+                $exception: exceptionType(cause),
                 $text: 'The digital signature of the bytes could not be validated.'
             }, cause);
-            if (this.debug > 0) console.error(exception.toString());
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method checks that no entry in the audit log has been edited, removed or reordered
+     * and that the log has not been truncated. The proxy must be unlocked (or have been created
+     * with the passphrase) since the audit log is keyed using the passphrase.
+     *
+     * @returns {Catalog} A catalog containing whether or not the audit log is valid ($valid), the
+     * number of entries ($entries) and the hash of the last entry ($head), or a description of
+     * the first problem that was found ($problem) and the sequence number of the entry where it
+     * was found ($sequence).
+     */
+    this.verifyAuditLog = async function() {
+        try {
+            // the audit log can be verified without reconciling an interrupted operation with the HSM
+            if (!configuration) await loadConfiguration();
+            if (!vault && options.passphrase) await openVault(options.passphrase);
+            return await auditLog.verify();
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$verifyAuditLog',
+                $exception: exceptionType(cause),
+                $text: 'The audit log could not be verified.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method lists the named key slots that currently hold keys, along with the state of
+     * each slot. The default slot is not included.
+     *
+     * @returns {Catalog} A catalog mapping the name of each slot to its state.
+     */
+    this.listSlots = async function() {
+        try {
+            if (!configuration) await loadConfiguration();
+            const slots = bali.catalog();
+            const named = configuration.getAttribute('$slots');
+            if (named) named.getKeys().toArray().forEach(function(name) {
+                slots.setAttribute(name, named.getAttribute(name).getAttribute('$state'));
+            });
+            return slots;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$listSlots',
+                $exception: exceptionType(cause),
+                $text: 'The key slots could not be listed.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns the current public key for the specified key slot. Since the public
+     * key is remembered by the proxy the HSM is not involved. The key is returned in one of the
+     * following formats:
+     * <pre>
+     *   * binary - a Bali binary string containing the raw public key (the default)
+     *   * pem - a PEM encoded SubjectPublicKeyInfo (SPKI) structure
+     *   * jwk - a JSON web key
+     *   * ssh - a single line in the format of an OpenSSH authorized_keys file
+     * </pre>
+     *
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {String} format The name of an optional format (the default is 'binary').
+     * @returns {Binary|String|Object} The public key, or nothing if the slot does not hold keys
+     * or the public key was lost while recovering from a crash.
+     */
+    this.getPublicKey = async function(slot, format) {
+        try {
+            slot = slotName(moduleName, slot, '$getPublicKey');
+            if (!configuration) await loadConfiguration();
+            return exportPublicKey('$publicKey', slot, format);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$getPublicKey',
+                $exception: exceptionType(cause),
+                $text: 'The public key could not be retrieved.'
+            }, cause);
+            report(exception);
             throw exception;
         }
     };
 
+    /**
+     * This method returns the public key that the specified key slot held before its keys
+     * were last rotated. The HSM uses the corresponding private key for the first signature
+     * after a rotation so that the new public key can be certified using the previous one.
+     *
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {String} format The name of an optional format (see getPublicKey).
+     * @returns {Binary|String|Object} The previous public key, or nothing if the keys for the
+     * slot have not been rotated.
+     */
+    this.getPreviousPublicKey = async function(slot, format) {
+        try {
+            slot = slotName(moduleName, slot, '$getPreviousPublicKey');
+            if (!configuration) await loadConfiguration();
+            return exportPublicKey('$previousPublicKey', slot, format);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$getPreviousPublicKey',
+                $exception: exceptionType(cause),
+                $text: 'The previous public key could not be retrieved.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns the state of the specified key slot in the configuration, the
+     * requests that are allowed in that state and the transitions that led to it, as recorded
+     * in the audit log. The HSM is not involved. Keys may be erased in any state, so the
+     * $eraseKeys request is not included in the allowed requests.
+     *
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @returns {Catalog} A catalog containing the state ($state), the requests that are allowed
+     * next ($events) and a list of the transitions ($history). Each transition contains when it
+     * happened ($timestamp), the operation that caused it ($operation), the states before and
+     * after it ($from and $to), and whether it was recovered after a crash ($recovered) or made
+     * by the reconcile method ($repair).
+     */
+    this.getState = async function(slot) {
+        try {
+            slot = slotName(moduleName, slot, '$getState');
+            if (!configuration) await loadConfiguration();
+            const state = stateOf(slot);
+
+            // replay the entries in the audit log that changed the state of the slot
+            const history = [];
+            var current = '$keyless';
+            const entries = await auditLog.read();
+            entries.forEach(function(entry) {
+                // erasing every slot is recorded without a slot
+                const erased = entry.slot === undefined && entry.operation === '$eraseKeys';
+                if (entry.slot !== slot && !erased) return;
+                const to = erased ? '$keyless' : entry.to;
+                if (to === current) return;
+                const transition = bali.catalog({
+                    $timestamp: bali.moment(Date.parse(entry.timestamp)),
+                    $operation: entry.operation,
+                    $from: current,
+                    $to: to
+                });
+                if (entry.recovered) transition.setAttribute('$recovered', true);
+                if (entry.repair) transition.setAttribute('$repair', entry.repair);
+                history.push(transition);
+                current = to;
+            });
+
+            return bali.catalog({
+                $state: state,
+                $events: bali.list(allowedEvents(state)),
+                $history: bali.list(history)
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$getState',
+                $exception: exceptionType(cause),
+                $text: 'The state of the key slot could not be retrieved.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method asks the HSM what the specified key slot actually holds and compares it with
+     * the configuration. If they disagree one of the following repairs may be requested:
+     * <pre>
+     *   * $reset - forget the keys for the slot, which is only allowed when the HSM no longer
+     *     holds any keys in the slot
+     *   * $rebind - bind the proxy to the responding HSM and adopt the state of its slot, which
+     *     is only allowed when the HSM holds keys that the proxy key unlocks
+     * </pre>
+     * Any repair that is not allowed is refused with a $repairRefused exception, and a slot that
+     * is consistent is left alone. Since the HSM may have been replaced, the request is sent to
+     * the HSM identified by the device option (or the first one found) rather than to the HSM
+     * to which the proxy is bound. Older firmware that cannot report what a slot holds is never
+     * considered consistent and cannot be repaired.
+     *
+     * @param {String|Tag} slot The name of an optional key slot (the default slot is used if it
+     * is omitted).
+     * @param {String} repair The name of an optional repair (without one the slot is only
+     * compared with the HSM).
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {Catalog} A catalog describing the slot (after any repair) containing its name
+     * ($slot), its state in the configuration ($state) and on the HSM ($deviceState), the HSM to
+     * which the proxy is bound ($boundDevice) and the HSM that responded ($device), whether or
+     * not the proxy key unlocks the keys on the HSM ($proxyKeyMatches), whether or not the
+     * configuration and the HSM agree ($consistent) and the repairs that are allowed
+     * ($repairs).
+     */
+    this.reconcile = async function(slot, repair, signal) {
+        try {
+            // validate the arguments
+            if (isSignal(repair)) {
+                signal = repair;
+                repair = undefined;
+            }
+            if (isSignal(slot)) {
+                signal = slot;
+                slot = undefined;
+            }
+            slot = slotName(moduleName, slot, '$reconcile');
+            if (repair !== undefined && REPAIRS.indexOf(repair) < 0) {
+                const exception = bali.exception({
+                    $module: moduleName,
+                    $procedure: '$reconcile',
+                    $exception: '$invalidRepair',
+                    $repair: bali.text(String(repair)),
+                    $text: 'The repair must be one of: ' + REPAIRS.join(', ')
+                });
+                throw exception;
+            }
+
+            // compare the configuration with what the HSM actually holds
+            if (!configuration) await loadConfiguration();
+            await retrieveSecrets(signal);
+            const diagnosis = await diagnoseSlot(slot, signal);
+            if (repair === undefined || diagnosis.getAttribute('$consistent').isSignificant()) return diagnosis;
+
+            // make the repair only if it is safe
+            const repairs = diagnosis.getAttribute('$repairs').toArray().map(String);
+            if (repairs.indexOf(repair) < 0) {
+                const exception = bali.exception({
+                    $module: moduleName,
+                    $procedure: '$reconcile',
+                    $exception: '$repairRefused',
+                    $repair: repair,
+                    $diagnosis: diagnosis,
+                    $text: 'The ' + repair + ' repair is not safe for the key slot' +
+                        (repairs.length ? ', only: ' + repairs.join(', ') : '.')
+                });
+                throw exception;
+            }
+            await repairSlot(slot, repair, diagnosis);
+
+            return await diagnoseSlot(slot, signal);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$reconcile',
+                $exception: exceptionType(cause),
+                $text: 'The key slot could not be reconciled with the HSM.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method exports the configuration, including the proxy keys and public keys for
+     * every slot, as a backup bundle that is encrypted using the specified passphrase (which
+     * need not be the passphrase of the proxy). The bundle may be split into shares, any
+     * threshold of which (along with the passphrase) are needed to restore it. The HSM is not
+     * involved, but the proxy must be unlocked.
+     *
+     * @param {String} passphrase The passphrase that protects the backup.
+     * @param {Object} sharing An optional object containing the number of shares to create
+     * (shares) and the number of them that are needed to restore the backup (threshold).
+     * @returns {Catalog|List} The backup bundle, or a list of its shares.
+     */
+    this.exportBackup = async function(passphrase, sharing) {
+        try {
+            // validate the arguments
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$exportBackup', '$passphrase', passphrase, [
+                    '/javascript/String'
+                ]);
+                bali.component.validateArgument(moduleName, '$exportBackup', '$sharing', sharing, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
+                ]);
+            }
+
+            // any interrupted operation must be completed before the keys are backed up
+            if (!configuration) await loadConfiguration();
+            const secrets = await retrieveSecrets();
+            const stored = bali.duplicate(configuration);
+            stored.removeAttribute('$secrets');
+            const revision = revisionOf(configuration);
+            const bundle = await backup.seal(bali.catalog({
+                $tag: configuration.getAttribute('$tag'),
+                $revision: revision,
+                $configuration: stored,
+                $secrets: secrets
+            }), passphrase, sharing);
+
+            const state = stateOf();
+            await audit('$exportBackup', undefined, state, state, {
+                revision: revision,
+                shares: sharing ? sharing.shares : undefined
+            });
+            return bundle;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$exportBackup',
+                $exception: exceptionType(cause),
+                $text: 'The configuration could not be backed up.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method restores the configuration, including its proxy keys, from a backup bundle
+     * (or enough of its shares). The proxy keys are protected by the passphrase of the backup
+     * from now on and the proxy is left unlocked. The backup is refused if the current
+     * configuration has the same tag but more changes to its keys ($newerConfiguration), or is
+     * the configuration of another proxy that still holds keys ($existingConfiguration). A
+     * backup whose keys were generated for another algorithm suite is refused as well
+     * ($incompatibleSuite). An operation that was interrupted is reconciled with the HSM first, so that the outcome of
+     * the operation is known before it is compared with the backup. This requires the proxy to
+     * be unlocked ($locked).
+     *
+     * @param {Catalog|List|Array|String} bundle The backup bundle, or a list (or array) of its
+     * shares, either as components or as their source strings.
+     * @param {String} passphrase The passphrase that protects the backup.
+     * @returns {Catalog} A catalog containing the tag ($tag) and revision ($revision) of the
+     * restored configuration.
+     */
+    this.importBackup = async function(bundle, passphrase) {
+        try {
+            // validate the arguments
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$importBackup', '$passphrase', passphrase, [
+                    '/javascript/String'
+                ]);
+            }
+
+            // open the backup
+            if (!configuration) await loadConfiguration();
+            if (pending) await retrieveSecrets();  // reconciles the interrupted operation
+            const contents = await backup.open(bundle, passphrase);
+            const restored = contents.getAttribute('$configuration');
+            migrations.migrate(restored);  // the backup may predate the current schema
+            const tag = restored.getAttribute('$tag');
+            const revision = revisionOf(restored);
+
+            // never overwrite a configuration that knows more than the backup
+            if (configuration.getAttribute('$tag').toString() === tag.toString()) {
+                if (revisionOf(configuration) > revision) {
+                    const exception = bali.exception({
+                        $module: moduleName,
+                        $procedure: '$importBackup',
+                        $exception: '$newerConfiguration',
+                        $revision: revisionOf(configuration),
+                        $backup: revision,
+                        $text: 'The configuration has changed since the backup was made.'
+                    });
+                    throw exception;
+                }
+            } else if (holdsKeys(configuration)) {
+                const exception = bali.exception({
+                    $module: moduleName,
+                    $procedure: '$importBackup',
+                    $exception: '$existingConfiguration',
+                    $tag: configuration.getAttribute('$tag'),
+                    $backup: tag,
+                    $text: 'The configuration of another proxy that still holds keys cannot be replaced.'
+                });
+                throw exception;
+            }
+
+            // the restored proxy keys are protected by the passphrase of the backup from now on
+            const from = stateOf();
+            const unlocked = vault !== undefined;
+            vault = await createVault(encryption, passphrase);
+            secrets = contents.getAttribute('$secrets');
+            configuration = restored;
+            await storeConfiguration();
+            if (unlocked) {
+                await auditLog.rekey(passphrase);  // the audit log is keyed using the same passphrase
+            } else {
+                await unlockAuditLog(passphrase, 'The configuration was restored from a backup.');
+            }
+            await bindDevice();
+            const to = stateOf();
+            if (to !== from) notify('stateTransition', { operation: '$importBackup', from: from, to: to });
+            await audit('$importBackup', undefined, from, to, { revision: revision });
+
+            return bali.catalog({
+                $tag: tag,
+                $revision: revision
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$importBackup',
+                $exception: exceptionType(cause),
+                $text: 'The configuration could not be restored from the backup.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method upgrades the configuration file to the current version of its schema (see
+     * the Migrations class). The configuration is upgraded automatically when it is first
+     * loaded, so a dry run is the way to find out beforehand what would change. The HSM is not
+     * involved.
+     *
+     * @param {Boolean} dryRun Whether or not to only report what would change, without changing
+     * anything (the default is false).
+     * @returns {Catalog} A catalog containing the name of the configuration file ($file),
+     * whether or not it exists ($exists), the version of its schema ($schemaVersion) and the
+     * current version ($currentVersion), a list of the changes ($changes) and a list describing the configuration files of earlier protocols in
+     * the same directory ($olderConfigurations).
+     */
+    this.migrateConfiguration = async function(dryRun) {
+        try {
+            // validate the arguments
+            if (this.debug > 1) {
+                bali.component.validateArgument(moduleName, '$migrateConfiguration', '$dryRun', dryRun, [
+                    '/javascript/Undefined',
+                    '/javascript/Boolean'
+                ]);
+            }
+
+            // a configuration that has been loaded has already been migrated
+            const plan = await planMigration();
+            if (!dryRun && (!configuration || plan.changes.length > 0)) await loadConfiguration(plan);
+
+            const summary = bali.catalog({
+                $file: bali.text(filename),
+                $exists: plan.exists
+            });
+            if (plan.version) summary.setAttribute('$schemaVersion', plan.version);
+            summary.setAttribute('$currentVersion', Migrations.VERSION);
+            summary.setAttribute('$changes', bali.list(plan.changes.map(function(change) {
+                return bali.text(change);
+            })));
+            summary.setAttribute('$olderConfigurations', bali.list(plan.older.map(function(older) {
+                return migrations.describe(older);
+            })));
+            summary.setAttribute('$dryRun', dryRun ? true : false);
+            return summary;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$migrateConfiguration',
+                $exception: exceptionType(cause),
+                $text: 'The configuration could not be migrated.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method scans for all hardware security modules that are within reach of the
+     * transport. Only transports that support scanning (e.g. BLE) can scan for devices.
+     *
+     * @param {Number} duration An optional number of milliseconds to scan (the default is 1000).
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {List} A list of catalogs describing each device, containing its id, address,
+     * name and rssi (received signal strength).
+     */
+    this.scanDevices = async function(duration, signal) {
+        try {
+            if (!transport.scanDevices) throw Error('The transport does not support scanning for devices.');
+            resilience.checkSignal(signal);
+            const devices = await transport.scanDevices(duration);
+            return bali.list(devices.map(function(device) {
+                return bali.catalog({
+                    $id: bali.text(String(device.id)),
+                    $address: bali.text(String(device.address)),
+                    $name: bali.text(String(device.name)),
+                    $rssi: device.rssi
+                });
+            }));
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$scanDevices',
+                $exception: '$unexpected',
+                $text: 'The scan for hardware security modules failed.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method closes the link to the HSM immediately rather than waiting for it to become
+     * idle. The link is reestablished automatically by the next request.
+     */
+    this.close = async function() {
+        try {
+            await session.close();
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$close',
+                $exception: '$unexpected',
+                $text: 'The link to the HSM could not be closed.'
+            }, cause);
+            report(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns statistics describing the queue of requests waiting for the HSM. The
+     * queue is shared by every proxy that uses the same adapter.
+     *
+     * @returns {Catalog} A catalog containing the depth of the queue, whether or not a request is
+     * active, the number of requests processed, and the average and maximum number of
+     * milliseconds that they waited.
+     */
+    this.getQueueStatistics = function() {
+        const statistics = queue.getStatistics();
+        return bali.catalog({
+            $depth: statistics.depth,
+            $active: statistics.active,
+            $processed: statistics.processed,
+            $averageWait: statistics.averageWait,
+            $maximumWait: statistics.maximumWait
+        });
+    };
+
+    /**
+     * This method returns the operational metrics for the proxy in the Prometheus text
+     * exposition format, so that they can be scraped by the service that hosts the proxy.
+     *
+     * @returns {String} The rendered metrics.
+     */
+    this.getMetrics = function() {
+        return metrics.render();
+    };
+
+    // serialize the methods that use the HSM or the configuration so that concurrent calls
+    // (even from other proxies sharing the same adapter) cannot interleave, and measure how
+    // long each of them takes once it is running
+    const priorities = options.priorities || {};
+    const enqueue = function(name, operation, signal) {
+        const priority = (priorities[name] === undefined) ? PRIORITIES[name] : priorities[name];
+        return queue.process(async function() {
+            const started = Date.now();
+            try {
+                const result = await operation();
+                metrics.recordOperation(name, Date.now() - started);
+                return result;
+            } catch (cause) {
+                metrics.recordOperation(name, Date.now() - started, errorKind(cause));
+                throw cause;
+            }
+        }, priority, signal);
+    };
+    Object.keys(PRIORITIES).forEach(function(name) {
+        if (ADMITTED.indexOf(name) > -1) return;  // these join the queue themselves
+        const method = proxy[name];
+        proxy[name] = function() {
+            const args = arguments;
+            const last = args[args.length - 1];
+            const signal = isSignal(last) ? last : undefined;
+            return enqueue(name, function() {
+                return method.apply(proxy, args);
+            }, signal);
+        };
+    });
+
     return this;
 };
+util.inherits(HSMProxy, EventEmitter);
 HSMProxy.prototype.constructor = HSMProxy;
 exports.HSMProxy = HSMProxy;
 
@@ -467,262 +2096,505 @@ exports.HSMProxy = HSMProxy;
 // PRIVATE FUNCTIONS
 
 /**
- * This function causes the current thread to sleep for the specified number of milliseconds.
+ * This function returns the name of the module for a proxy that speaks the specified protocol.
  *
- * @param {Number} milliseconds The number of milliseconds to sleep.
- * @returns {Promise} A promise to return after the specified time has gone by.
+ * @param {String} protocol The protocol of the proxy (e.g. 'v2').
+ * @returns {String} The name of the module.
  */
-const sleep = function(milliseconds) {
-    return new Promise(function(resolve) {
-        setTimeout(resolve, milliseconds);
-    });
+const moduleOf = function(protocol) {
+    return '/bali/notary/' + protocol + '/HSMProxy';
 };
 
 
 /**
- * This function formats a request into a binary format prior to sending it via bluetooth.
- * Each request has the following byte format:
- *   Request Type (1 byte) [0..255]
- *   Number of Arguments (1 byte) [0..255]
- *   Length of Argument 1 (2 bytes) [0..65535]
- *   Argument 1 ([0..65535] bytes)
- *   Length of Argument 2 (2 bytes) [0..65535]
- *   Argument 2 ([0..65535] bytes)
- *      ...
- *   Length of Argument N (2 bytes) [0..65535]
- *   Argument N ([0..65535] bytes)
- *
- * @param {String} type The type of the request.
- * @param {Buffer} args Zero or more buffers containing the bytes for each argument.
- * @returns {Buffer} A buffer containing the bytes for the entire request.
+ * This function creates a new vault containing a key derived from the specified passphrase
+ * using a new random salt.
+ *
+ * @param {Encryption} encryption The object that derives the key.
+ * @param {String} passphrase The passphrase.
+ * @returns {Object} The new vault.
  */
-const formatRequest = function(type, ...args) {
-    switch (type) {
-        case 'generateKeys':
-            type = 1;
-            break;
-        case 'rotateKeys':
-            type = 2;
-            break;
-        case 'eraseKeys':
-            type = 3;
-            break;
-        case 'digestBytes':
-            type = 4;
-            break;
-        case 'signBytes':
-            type = 5;
-            break;
-        case 'validSignature':
-            type = 6;
-            break;
-    }
-    var request = Buffer.from([type & 0xFF, args.length & 0xFF]);
-    args.forEach(arg => {
-        var length = arg.length;
-        request = Buffer.concat([
-            request,                                               // the request thus far
-            Buffer.from([(length & 0xFF00) >> 8, length & 0xFF]),  // the length of this argument
-            arg],                                                  // the argument bytes
-            request.length + length + 2                            // the length of the new buffer
-        );
-    });
-    return request;
+const createVault = async function(encryption, passphrase) {
+    const salt = crypto.randomBytes(Encryption.SALT_SIZE);
+    const key = await encryption.deriveKey(passphrase, salt, Encryption.KDF_COST);
+    return { salt: salt, cost: Encryption.KDF_COST, key: key };
 };
 
 
 /**
- * This function sends a request to a BLEUart service for processing. The response is
- * returned from the service.  The function is asynchronous and returns a promise to
- * attempt to process the request.
+ * This function encrypts the specified secrets using the key in the specified vault. The tag
+ * for the configuration is authenticated along with the secrets so that encrypted secrets
+ * cannot be moved from one configuration to another.
  *
- * Note: A BLEUart service can only handle requests up to 512 bytes in length. If the
- * specified request is longer than this limit, it is broken up into separate 512 byte
- * blocks and each block is sent as a separate BLE request.
- *
- * @param {Buffer} request The request to be processed.
- * @param {Boolean} debug An optional flag that determines whether or not exceptions
- * will be logged to the error console.
- * @returns {Promise} A promise to return the response from the service.
+ * @param {Encryption} encryption The object that encrypts the secrets.
+ * @param {Catalog} secrets The secrets to be encrypted.
+ * @param {Object} vault The vault containing the encryption key and its parameters.
+ * @param {Tag} tag The tag for the configuration.
+ * @returns {Catalog} A catalog containing the encrypted secrets and how they were encrypted.
  */
-const processRequest = async function(request, debug) {
-    var attempts = 5;  // retry five times at 0, 1, 2, 3, 4 second intervals
-    var count = 0;
-    while (count < attempts) {
-        var peripheral;
-        try {
-            peripheral = await findPeripheral(debug);
-            await connect(peripheral, debug);
-            const service = await discoverService(peripheral, debug);
-            const characteristics = await retrieveCharacteristics(service, debug);
-            var input, output;
-            characteristics.forEach (function(characteristic) {
-                // TODO: make it more robust by checking properties instead of Ids
-                if (characteristic.uuid === UART_NOTIFICATION_ID) input = characteristic;
-                if (characteristic.uuid === UART_WRITE_ID) output = characteristic;
-            });
-            if (input && output) {
-                if (debug > 2) console.log('Sending the request to the HSM...');
-                // process any extra blocks in reverse order
-                var buffer, offset, blockSize;
-                var block = Math.ceil((request.length - 2) / BLOCK_SIZE) - 1;
-                while (block > 0) {
-                    // the offset includes the header bytes
-                    offset = block * BLOCK_SIZE + 2;
-
-                    // calculate the current block size
-                    blockSize = Math.min(request.length - offset, BLOCK_SIZE);
-
-                    // copy the request block into the buffer
-                    buffer = request.slice(offset, offset + blockSize);
-
-                    // prepend the header to the buffer
-                    buffer = Buffer.concat([Buffer.from([0x00, block & 0xFF]), buffer], blockSize + 2);
-
-                    await processBlock(input, output, buffer, debug);
-                    if (debug > 2) console.log('A block was successfully sent to the HSM.');
-                    block--;
-                }
+const encryptSecrets = function(encryption, secrets, vault, tag) {
+    const plaintext = Buffer.from(secrets.toString(), 'utf8');
+    const encrypted = encryption.encrypt(plaintext, vault.key, Buffer.from(tag.toString(), 'utf8'));
+    return bali.catalog({
+        $kdf: Encryption.KDF,
+        $cost: vault.cost,
+        $salt: bali.binary(vault.salt),
+        $cipher: Encryption.CIPHER,
+        $iv: bali.binary(encrypted.iv),
+        $ciphertext: bali.binary(encrypted.ciphertext),
+        $authentication: bali.binary(encrypted.authentication)
+    });
+};
 
-                // process the actual request
-                blockSize = Math.min(request.length, BLOCK_SIZE + 2);
-                buffer = request.slice(0, blockSize);
-                const response = await processBlock(input, output, buffer, debug);
-                if (debug > 2) console.log('A response was received from the HSM.');
-                await disconnect(peripheral, debug);
-                return response;
-            } else {
-                await disconnect(peripheral, debug);
-                throw Error("The UART service doesn't support the right characteristics.");
-            }
-        } catch (cause) {
-            if (count++ < attempts) {
-                const seconds = count - 1;
-                if (debug > 0) console.error('Request failed, trying again in ' + seconds + ' seconds: ' + cause);
-                if (peripheral) await disconnect(peripheral, debug);
-                await sleep(seconds * 1000);  // convert to milliseconds
-                continue;
-            }
-            throw Error('Request failed too many times: ' + cause);
-        }
+
+/**
+ * This function decrypts the specified secrets using the specified key.
+ *
+ * @param {String} moduleName The name of the module of the proxy, which depends on its protocol.
+ * @param {Encryption} encryption The object that decrypts the secrets.
+ * @param {Catalog} protection A catalog containing the encrypted secrets and how they were
+ * encrypted.
+ * @param {Buffer} key The key derived from the passphrase.
+ * @param {Tag} tag The tag for the configuration.
+ * @returns {Catalog} The decrypted secrets.
+ */
+const decryptSecrets = function(moduleName, encryption, protection, key, tag) {
+    try {
+        const plaintext = encryption.decrypt({
+            iv: protection.getAttribute('$iv').getValue(),
+            ciphertext: protection.getAttribute('$ciphertext').getValue(),
+            authentication: protection.getAttribute('$authentication').getValue()
+        }, key, Buffer.from(tag.toString(), 'utf8'));
+        return bali.component(plaintext.toString('utf8'));
+    } catch (cause) {
+        // an authentication failure means the passphrase (or the file) is wrong
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$decryptSecrets',
+            $exception: '$invalidPassphrase',
+            $text: 'The passphrase does not unlock the proxy keys.'
+        }, cause);
+        throw exception;
     }
 };
 
 
 /**
- * This function searches for a bluetooth peripheral that implements the hardware security
- * module (HSM). Once one is found it stops searching. The function is asynchronous and
- * returns a promise to attempt to find the peripheral.
+ * This function generates a digest of the bytes read from the specified stream in software,
+ * one chunk at a time, so that the stream may be larger than the available memory.
  *
- * @param {Boolean} debug An optional flag that determines whether or not exceptions
- * will be logged to the error console.
- * @returns {Promise} A promise to return a matching peripheral.
+ * @param {String} moduleName The name of the module of the proxy, which depends on its protocol.
+ * @param {AlgorithmSuite} suite The algorithm suite that determines the digest algorithm.
+ * @param {Readable} stream A readable stream of the bytes to be digested.
+ * @param {AbortSignal} signal An optional signal that cancels the digest.
+ * @returns {Promise} A promise to return a buffer containing the digest of the bytes.
  */
-const findPeripheral = function(debug) {
+const digestStream = function(moduleName, suite, stream, signal) {
     return new Promise(function(resolve, reject) {
-        bluetooth.once('discover', function(peripheral) {
-            const advertisement = peripheral.advertisement;
-            if (debug > 2) console.log('Found ' + advertisement.localName + '.');
-            if (advertisement.localName === 'ArmorD') {
-                bluetooth.stopScanning();
-                resolve(peripheral);
-            }
+        const hash = suite.createHash();
+        const update = function(chunk) {
+            hash.update(chunk);
+        };
+        const settle = function(callback, value) {
+            if (signal) signal.removeEventListener('abort', aborted);
+            stream.removeListener('data', update);
+            callback(value);
+        };
+        const aborted = function() {
+            stream.destroy();
+            settle(reject, bali.exception({
+                $module: moduleName,
+                $procedure: '$digestStream',
+                $exception: '$aborted',
+                $text: 'The request was aborted by the caller.'
+            }));
+        };
+        if (signal && signal.aborted) return aborted();
+        if (signal) signal.addEventListener('abort', aborted);
+        stream.on('data', update);
+        stream.once('end', function() {
+            settle(resolve, hash.digest());
+        });
+        stream.once('error', function(cause) {
+            settle(reject, cause);
         });
-        setTimeout(function() {
-            bluetooth.stopScanning();
-            reject('No HSM found.');
-        }, 1000);
-        if (debug > 2) console.log('Searching for an HSM...');
-        bluetooth.startScanning([UART_SERVICE_ID]);  // start searching (asynchronously)
     });
 };
 
 
-const connect = function(peripheral, debug) {
-    return new Promise(function(resolve, reject) {
-        if (debug > 2) console.log('Attempting to connect to the HSM...');
-        peripheral.connect(function(cause) {
-            if (cause) {
-                if (debug > 0) console.error('Failed to connect: ' + cause);
-                reject(cause);
-            } else {
-                if (debug > 2) console.log('Successfully connected.');
-                resolve();
-            }
+/**
+ * This function throws an exception if the result generated in software does not match the
+ * result returned by the HSM.
+ *
+ * @param {String} moduleName The name of the module of the proxy, which depends on its protocol.
+ * @param {String} procedure The name of the procedure that generated the results.
+ * @param {Buffer|Boolean} local The result generated in software.
+ * @param {Buffer|Boolean} remote The result returned by the HSM.
+ */
+const checkConsistency = function(moduleName, procedure, local, remote) {
+    const consistent = Buffer.isBuffer(local) ? local.equals(remote) : local === remote;
+    if (!consistent) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: procedure,
+            $exception: '$inconsistentResult',
+            $local: Buffer.isBuffer(local) ? bali.binary(local) : local,
+            $remote: Buffer.isBuffer(remote) ? bali.binary(remote) : remote,
+            $text: 'The result returned by the HSM does not match the one generated in software.'
         });
-    });
+        throw exception;
+    }
 };
 
 
-const disconnect = function(peripheral, debug) {
-    return new Promise(function(resolve, reject) {
-        if (debug > 2) console.log('Attempting to disconnect from the HSM...');
-        peripheral.disconnect(function() {
-            if (debug > 2) console.log('Disconnected from the HSM.');
-            resolve();
-        });
-    });
+/**
+ * This function determines whether or not the specified argument is an AbortSignal, so that a
+ * method can be called with the signal in place of an optional argument that precedes it.
+ *
+ * @param {Object} value The argument.
+ * @returns {Boolean} Whether or not the argument is an AbortSignal.
+ */
+const isSignal = function(value) {
+    return value ? typeof value.aborted === 'boolean' : false;
 };
 
 
-const discoverService = function(peripheral, debug) {
-    return new Promise(function(resolve, reject) {
-        if (debug > 2) console.log('Attempting to discover the UART service...');
-        peripheral.discoverServices([UART_SERVICE_ID], function(cause, services) {
-            if (cause || services.length !== 1) {
-                cause = cause || Error('Wrong number of UART services found: ' + services.length);
-                reject(cause);
-            } else {
-                resolve(services[0]);
-            }
+/**
+ * This function checks the name of a key slot and returns it as a string. A tag (e.g. the tag
+ * for an account) may be used as the name of a slot.
+ *
+ * @param {String} moduleName The name of the module of the proxy, which depends on its protocol.
+ * @param {String|Tag} slot The name of the key slot, or undefined for the default slot.
+ * @param {String} procedure The name of the procedure that was passed the slot.
+ * @returns {String} The name of the key slot, or undefined for the default slot.
+ */
+const slotName = function(moduleName, slot, procedure) {
+    if (slot === undefined) return;
+    const name = (slot && slot.isComponent) ? slot.toString() : slot;
+    if (typeof name !== 'string' || name.length === 0 || Buffer.byteLength(name, 'utf8') > Codec.SLOT_SIZE) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: procedure,
+            $exception: '$invalidSlot',
+            $slot: bali.text(String(name)),
+            $text: 'The name of a key slot must be a non-empty string of at most ' + Codec.SLOT_SIZE + ' bytes.'
         });
-    });
+        throw exception;
+    }
+    return name;
 };
 
 
-const retrieveCharacteristics = function(service, debug) {
-    return new Promise(function(resolve, reject) {
-        if (debug > 2) console.log('Attempting to retrieve the UART characteristics...');
-        service.discoverCharacteristics([], function(cause, characteristics) {
-            if (cause) {
-                reject(cause);
-            } else {
-                resolve(characteristics);
-            }
-        });
+/**
+ * This function returns the extra arguments that identify a key slot in a request to the HSM.
+ *
+ * @param {String} slot The name of the key slot, or undefined for the default slot.
+ * @returns {Array} An array containing a buffer with the name of the slot, or no buffers for
+ * the default slot.
+ */
+const slotArguments = function(slot) {
+    return (slot === undefined) ? [] : [Buffer.from(slot, 'utf8')];
+};
+
+
+/**
+ * This function returns the catalog containing the attributes of a key slot within the
+ * configuration (or the secrets). The attributes of the default slot are kept at the top level
+ * so that configurations written by earlier versions remain valid, while the named slots are
+ * kept in a $slots catalog.
+ *
+ * @param {Catalog} catalog The configuration or secrets.
+ * @param {String} slot The name of the key slot, or undefined for the default slot.
+ * @param {Boolean} create Whether or not a missing slot should be created.
+ * @returns {Catalog} The attributes of the slot, or undefined if it does not exist.
+ */
+const retrieveSlot = function(catalog, slot, create) {
+    if (slot === undefined) return catalog;
+    var slots = catalog.getAttribute('$slots');
+    if (!slots) {
+        if (!create) return;
+        slots = bali.catalog();
+        catalog.setAttribute('$slots', slots);
+    }
+    var attributes = slots.getAttribute(bali.text(slot));
+    if (!attributes && create) {
+        attributes = bali.catalog();
+        slots.setAttribute(bali.text(slot), attributes);
+    }
+    return attributes;
+};
+
+
+/**
+ * This function removes a named key slot from the configuration (or the secrets).
+ *
+ * @param {Catalog} catalog The configuration or secrets.
+ * @param {String} slot The name of the key slot.
+ */
+const removeSlot = function(catalog, slot) {
+    const slots = catalog.getAttribute('$slots');
+    if (!slots) return;
+    slots.removeAttribute(bali.text(slot));
+    if (slots.isEmpty()) catalog.removeAttribute('$slots');
+};
+
+
+/**
+ * This function determines whether or not any of the key slots in the configuration hold keys.
+ *
+ * @param {Catalog} configuration The configuration.
+ * @returns {Boolean} Whether or not any slot holds keys.
+ */
+const holdsKeys = function(configuration) {
+    if (configuration.getAttribute('$state').toString() !== '$keyless') return true;
+    return configuration.getAttribute('$slots') ? true : false;
+};
+
+
+/**
+ * This function returns the number of changes that have been made to the keys held by a
+ * configuration. Configurations written by earlier versions do not count them.
+ *
+ * @param {Catalog} configuration The configuration.
+ * @returns {Number} The number of changes.
+ */
+const revisionOf = function(configuration) {
+    const revision = configuration.getAttribute('$revision');
+    return revision ? revision.toInteger() : 0;
+};
+
+
+/**
+ * This function returns the requests that the finite state machine allows in the specified
+ * state of a key slot.
+ *
+ * @param {String} state The state of the key slot.
+ * @returns {Array} An array containing the names of the allowed requests.
+ */
+const allowedEvents = function(state) {
+    return REQUESTS.filter(function(event, index) {
+        return STATES[state][index] !== undefined;
     });
 };
 
 
 /**
- * This function writes a block of bytes to the input characteristic of a BLEUart service
- * and reads the response from the output characteristic.  The function is asynchronous and
- * returns a promise to attempt to process the block of bytes.
- *
- * @param {Characteristic} input The input characteristic for the BLEUart service.
- * @param {Characteristic} output The output characteristic for the BLEUart service.
- * @param {Buffer} block The block of bytes to be written.
- * @param {Boolean} debug An optional flag that determines whether or not exceptions
- * will be logged to the error console.
- * @returns {Promise} A promise to return a buffer containing the bytes for the response from
- * the service.
+ * This function returns the type of exception that should be reported to the caller for
+ * the specified cause. Only the types in the SURFACED list are reported as is.
+ *
+ * @param {Object} cause The exception (or javascript error) that caused the failure.
+ * @returns {String} The type of exception to be reported.
  */
-const processBlock = function(input, output, block, debug) {
-    return new Promise(function(resolve, reject) {
-        input.once('read', function(response, isNotification) {  // isNotification should always be true
-            if (debug > 2) console.log('Read completed, ' + response.length + ' bytes read.');
-            if (response.length === 1 && response.readUInt8(0) > 1) {
-                if (debug > 2) console.log("response: " + response.readUInt8(0));
-                reject('Processing of the block failed.');
-            }
-            resolve(response);
-        });
-        input.subscribe(function() {
-            output.write(block, false, function() {
-                if (debug > 2) console.log('Write completed, ' + block.length + ' bytes written.');
-                // can't resolve it until the response is read
-            });
-        });
+const exceptionType = function(cause) {
+    const type = (cause && cause.isComponent) ? cause.getAttribute('$exception') : undefined;
+    if (type && SURFACED.indexOf(type.toString()) > -1) return type.toString();
+    return '$unexpected';
+};
+
+
+/**
+ * This function returns the most specific kind of error for the specified cause, looking
+ * through any unexpected exceptions that wrap a more specific one.
+ *
+ * @param {Object} cause The exception (or javascript error) that caused the failure.
+ * @returns {String} The kind of error.
+ */
+const errorKind = function(cause) {
+    var kind = '$unexpected';
+    while (isException(cause)) {
+        kind = cause.getAttribute('$exception').toString();
+        if (kind !== '$unexpected') break;
+        cause = cause.getAttribute('$cause');  // a javascript error is wrapped in a list
+    }
+    return kind;
+};
+
+
+const isException = function(cause) {
+    return cause && cause.isComponent && cause.getType() === '/bali/abstractions/Exception';
+};
+
+
+/**
+ * This function determines whether or not a response consists of the specified status byte.
+ *
+ * @param {Buffer} response A buffer containing the bytes for the response.
+ * @param {Number} status The status byte.
+ * @returns {Boolean} Whether or not the response is the status.
+ */
+const isStatus = function(response, status) {
+    return response.length === 1 && response[0] === status;
+};
+
+
+/**
+ * This function converts the response to a getDeviceInfo request into the device information.
+ * Older firmware rejects the request as malformed, so what it is known to support is used
+ * instead.
+ *
+ * @param {Codec} codec The codec that defines the wire format of the response.
+ * @param {Buffer} response A buffer containing the bytes for the response.
+ * @returns {Object} An object containing the device information.
+ */
+const decodeDeviceInfo = function(codec, response) {
+    if (isStatus(response, Codec.INVALID_REQUEST)) return Object.assign({}, OLDER_FIRMWARE);
+    return codec.decodeResponse('getDeviceInfo', response);
+};
+
+
+/**
+ * This function checks that a device supports the protocol and algorithms of the proxy.
+ *
+ * @param {String} moduleName The name of the module of the proxy, which depends on its protocol.
+ * @param {AlgorithmSuite} suite The algorithm suite used by the proxy.
+ * @param {Object} info The device information.
+ * @throws {Exception} An $incompatibleDevice exception if the device is not supported.
+ */
+const checkDevice = function(moduleName, suite, info) {
+    const required = [ suite.getProtocol(), suite.getDigest(), suite.getSignature() ];
+    const missing = required.filter(function(name) {
+        return info.protocols.indexOf(name) < 0 && info.algorithms.indexOf(name) < 0;
     });
+    if (missing.length) {
+        throw bali.exception({
+            $module: moduleName,
+            $procedure: '$checkDevice',
+            $exception: '$incompatibleDevice',
+            $device: deviceCatalog(info),
+            $missing: bali.list(missing.map(function(required) {
+                return bali.text(required);
+            })),
+            $text: 'The HSM does not support the ' + missing.join(', ') + ' required by the proxy.'
+        });
+    }
+};
+
+
+/**
+ * This function converts the device information into a catalog.
+ *
+ * @param {Object} info The device information.
+ * @returns {Catalog} A catalog containing the device information.
+ */
+const deviceCatalog = function(info) {
+    const catalog = bali.catalog();
+    if (info.firmware !== undefined) catalog.setAttribute('$firmware', bali.text(info.firmware));
+    catalog.setAttribute('$protocols', bali.list(info.protocols.map(function(protocol) {
+        return bali.component(protocol);
+    })));
+    catalog.setAttribute('$algorithms', bali.list(info.algorithms.map(function(algorithm) {
+        return bali.symbol(algorithm);
+    })));
+    catalog.setAttribute('$maximumRequest', info.maximumRequest);
+    if (info.serialNumber !== undefined) catalog.setAttribute('$serialNumber', bali.text(info.serialNumber));
+    if (info.extendedFraming !== undefined) catalog.setAttribute('$extendedFraming', info.extendedFraming);
+    return catalog;
 };
 
+
+/**
+ * This function retrieves the capabilities of the device at the other end of the link the
+ * first time the session is established with it, and refuses the device if it does not
+ * support the protocol and algorithms of the proxy.
+ *
+ * @param {Session} session The session used to communicate with the HSM.
+ * @param {Codec} codec The codec that defines the wire format of the blocks.
+ * @param {Resilience} resilience The resilience policy that governs the attempts.
+ * @param {AbortSignal} signal An optional signal that cancels the request.
+ * @param {Function} notify A function that is called with the name and details of each event.
+ */
+const negotiateDevice = async function(session, codec, resilience, signal, notify) {
+    const request = codec.encodeRequest('getDeviceInfo');  // always fits in a single block
+    const response = await resilience.respond(session.processBlock(request), signal);
+    const info = decodeDeviceInfo(codec, response);
+    checkDevice(moduleOf(codec.suite.getProtocol()), codec.suite, info);
+    await session.setDeviceInfo(info);
+    notify('negotiated', Object.assign({ device: await session.getDeviceId() }, info));
+};
+
+
+/**
+ * This function sends a request to the HSM for processing using the specified session. The
+ * response is returned from the HSM.  The function is asynchronous and returns a promise to
+ * attempt to process the request. The session keeps the link to the HSM open between requests
+ * and reestablishes it if it has dropped. The resilience policy limits how long each step may
+ * take, how often and when a failed attempt is retried, and whether the HSM should be tried
+ * at all.
+ *
+ * Note: A BLEUart service can only handle writes up to the MTU that was negotiated for the
+ * link (at most 512 bytes). If the specified request is longer than this limit, the codec
+ * breaks it up into separate blocks that fit, and each block is sent as a separate request,
+ * regardless of the transport. A request that needs the extended framing fails with a
+ * $requestTooLong exception if the HSM rejects it.
+ *
+ * @param {Session} session The session used to communicate with the HSM.
+ * @param {Codec} codec The codec that defines the wire format of the blocks.
+ * @param {Resilience} resilience The resilience policy that governs the attempts.
+ * @param {Buffer} request The request to be processed.
+ * @param {AbortSignal} signal An optional signal that cancels the request.
+ * @param {Function} notify A function that is called with the name and details of each event
+ * that occurs while the request is processed.
+ * @returns {Promise} A promise to return the (undecoded) response from the HSM.
+ */
+const processRequest = async function(session, codec, resilience, request, signal, notify) {
+    var attempt = 1;
+    while (true) {
+        try {
+            resilience.checkSignal(signal);
+            resilience.checkCircuit();
+            var started = Date.now();
+            var opened;
+            try {
+                opened = await resilience.connect(session.open(), signal);
+                resilience.recordPresence();
+            } catch (cause) {
+                const type = exceptionType(cause);
+                if (type === '$wrongDevice' || type === '$aborted') {
+                    resilience.recordInconclusive();
+                } else {
+                    resilience.recordAbsence();
+                }
+                throw cause;
+            }
+            if (opened) notify('connected', { device: await session.getDeviceId(), duration: Date.now() - started });
+            // find out what the device supports before sending it anything else
+            if (!(await session.getDeviceInfo())) await negotiateDevice(session, codec, resilience, signal, notify);
+            // split the request into blocks that fit in the MTU of the link
+            const extended = await session.supportsExtendedFraming();
+            const blocks = codec.encodeBlocks(request, session.getBlockSize(), extended);
+            // process any extra blocks (in reverse order) followed by the actual request
+            const transfer = Date.now();
+            var response;
+            for (var index = 0; index < blocks.length; index++) {
+                started = Date.now();
+                response = await resilience.respond(session.processBlock(blocks[index]), signal);
+                notify('blockSent', {
+                    block: index + 1,
+                    blocks: blocks.length,
+                    length: blocks[index].length,
+                    duration: Date.now() - started
+                });
+                if (index === 0 && codec.isExtended(blocks[0]) && isStatus(response, Codec.INVALID_REQUEST)) {
+                    // older firmware rejects the extended framing outright, so the request is too long for it
+                    await session.rejectExtendedFraming();
+                    throw codec.exception('$processRequest', '$requestTooLong', 'The HSM does not support the extended framing that the request requires.');
+                }
+                if (index < blocks.length - 1) {
+                    codec.decodeStatus(response);  // the extra block must have been accepted
+                }
+            }
+            notify('responseReceived', { length: response.length, duration: Date.now() - transfer });
+            await session.release();
+            return response;
+        } catch (cause) {
+            await session.close();  // start over with a fresh link
+            const type = exceptionType(cause);
+            if (FINAL.indexOf(type) > -1) throw cause;
+            if (attempt >= resilience.getAttempts()) throw cause;  // give up
+            const delay = resilience.getDelay(attempt);
+            notify('retry', { attempt: attempt, delay: delay, kind: errorKind(cause), cause: cause });
+            await resilience.wait(delay, signal);
+            attempt++;
+        }
+    }
+};
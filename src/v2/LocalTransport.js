@@ -0,0 +1,112 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements an in-process transport that hands each block directly to a local
+ * object implementing the device side of the protocol. This allows the proxy to be exercised
+ * without any hardware attached.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+const moduleName = '/bali/notary/v2/LocalTransport';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new transport that passes blocks to the specified device.
+ *
+ * @param {Object} device An object with an asynchronous processBlock(block) method that returns
+ * a buffer containing the bytes for the response.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Object} options An optional object containing the following options:
+ * <pre>
+ *   blockSize: the maximum number of bytes in each block, as if it had been determined by the
+ *     MTU of a BLE link (the default is 512)
+ * </pre>
+ * @returns {Object} The new local transport.
+ */
+const LocalTransport = function(device, debug, options) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$LocalTransport', '$device', device, [
+            '/javascript/Object'
+        ]);
+        bali.component.validateArgument(moduleName, '$LocalTransport', '$options', options, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+    options = options || {};
+
+    var connected = false;
+
+    /**
+     * This method marks the transport as connected to the device.
+     */
+    this.connect = async function() {
+        connected = true;
+    };
+
+    /**
+     * This method returns whether or not the link to the hardware security module is still
+     * established.
+     *
+     * @returns {Boolean} Whether or not the transport is connected.
+     */
+    this.isConnected = function() {
+        return connected;
+    };
+
+    /**
+     * This method returns the identifier of the device (if it has one).
+     *
+     * @returns {String} The identifier of the device.
+     */
+    this.getDeviceId = async function() {
+        return device.getDeviceId ? await device.getDeviceId() : 'local';
+    };
+
+    /**
+     * This method returns the maximum number of bytes in each block.
+     *
+     * @returns {Number} The maximum number of bytes in a block, or undefined for the default.
+     */
+    this.getBlockSize = function() {
+        return options.blockSize;
+    };
+
+    /**
+     * This method passes a block of bytes to the device and returns the bytes of the response.
+     *
+     * @param {Buffer} block The block of bytes to be processed.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = async function(block) {
+        if (!connected) throw Error('The transport is not connected to an HSM.');
+        return Buffer.from(await device.processBlock(Buffer.from(block)));
+    };
+
+    /**
+     * This method marks the transport as disconnected from the device.
+     */
+    this.disconnect = async function() {
+        connected = false;
+    };
+
+    return this;
+};
+LocalTransport.prototype.constructor = LocalTransport;
+exports.LocalTransport = LocalTransport;
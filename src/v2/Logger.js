@@ -0,0 +1,187 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a structured logger. Each entry is a flat object containing the time,
+ * the level, the module and the event that occurred, along with the details of the event, and
+ * every value in it can be serialized as JSON. The entries are passed to a pluggable sink:
+ * <pre>
+ *   * a function - the function is called with each entry
+ *   * an object - the method named after the level of the entry (error, warn, info or debug)
+ *       is called with the entry, so most logging libraries (and the console) can be used as is
+ *   * undefined - each entry is written to the standard error stream as a single line of JSON
+ * </pre>
+ * The components of a proxy log through loggers that share the sink and level of the logger
+ * for the proxy, so every diagnostic reaches the same place.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the levels in order of decreasing severity
+const LEVELS = [ 'none', 'error', 'warn', 'info', 'debug' ];
+
+const moduleName = '/bali/notary/v2/Logger';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new structured logger.
+ *
+ * @param {String} source The name of the module whose events are logged.
+ * @param {Function|Object} sink An optional sink that receives the entries (the default is
+ * the standard error stream).
+ * @param {String} level An optional level, one of 'none', 'error', 'warn', 'info' or 'debug',
+ * below which entries are ignored (the default is 'info').
+ * @returns {Object} The new logger.
+ */
+const Logger = function(source, sink, level) {
+    level = level || 'info';
+    if (LEVELS.indexOf(level) < 0) {
+        throw bali.exception({
+            $module: moduleName,
+            $procedure: '$Logger',
+            $exception: '$invalidOption',
+            $level: bali.text(String(level)),
+            $text: 'The log level must be one of: ' + LEVELS.join(', ')
+        });
+    }
+    const threshold = LEVELS.indexOf(level);
+
+    /**
+     * This method returns whether or not entries with the specified level are logged.
+     *
+     * @param {String} level The level of the entries.
+     * @returns {Boolean} Whether or not the entries are logged.
+     */
+    this.isEnabled = function(level) {
+        const index = LEVELS.indexOf(level);
+        return index > 0 && index <= threshold;
+    };
+
+    /**
+     * This method logs an event with the specified level and details.
+     *
+     * @param {String} level The level of the entry.
+     * @param {String} event The name of the event.
+     * @param {Object} details An optional object containing the details of the event.
+     */
+    this.log = function(level, event, details) {
+        if (!this.isEnabled(level)) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            module: source,
+            event: event
+        };
+        Object.keys(details || {}).forEach(function(key) {
+            entry[key] = serialize(details[key]);
+        });
+        if (typeof sink === 'function') {
+            sink(entry);
+        } else if (sink) {
+            sink[level](entry);
+        } else {
+            process.stderr.write(JSON.stringify(entry) + '\n');
+        }
+    };
+
+    /**
+     * This method logs an exception that is about to be thrown.
+     *
+     * @param {Exception} exception The exception.
+     */
+    this.exception = function(exception) {
+        this.log('error', 'exception', {
+            procedure: exception.getAttribute('$procedure').toString(),
+            type: exception.getAttribute('$exception').toString(),
+            exception: exception
+        });
+    };
+
+    /**
+     * This method returns a logger for another module that shares the sink and level of this
+     * logger.
+     *
+     * @param {String} name The name of the other module.
+     * @returns {Logger} The logger for the other module.
+     */
+    this.forModule = function(name) {
+        return new Logger(name, sink, level);
+    };
+
+    return this;
+};
+Logger.prototype.constructor = Logger;
+exports.Logger = Logger;
+
+
+/**
+ * This function returns the level that corresponds to a debug level, so that the loggers of
+ * components that are only given a debug level behave the way they always have.
+ *
+ * @param {Boolean|Number} debug A number in the range [0..3].
+ * @returns {String} The corresponding log level.
+ */
+Logger.levelOf = function(debug) {
+    if (debug > 2) return 'debug';
+    if (debug > 0) return 'error';
+    return 'none';
+};
+
+
+/**
+ * This function returns the logger for a module that is configured using the logger and
+ * logLevel options of a proxy.
+ *
+ * @param {String} source The name of the module.
+ * @param {Boolean|Number} debug A number in the range [0..3].
+ * @param {Object} options An object that may contain the logger and logLevel options.
+ * @returns {Logger} The logger for the module.
+ */
+Logger.fromOptions = function(source, debug, options) {
+    options = options || {};
+    return new Logger(source, options.logger, options.logLevel || (options.logger ? 'info' : Logger.levelOf(debug)));
+};
+
+
+/**
+ * This function returns the logger for a component of a proxy. The component uses the logger
+ * of the proxy if it was given one, and otherwise a logger that behaves the way its debug
+ * level always has.
+ *
+ * @param {String} source The name of the module of the component.
+ * @param {Boolean|Number} debug A number in the range [0..3].
+ * @param {Logger} logger An optional logger whose sink and level are shared.
+ * @returns {Logger} The logger for the component.
+ */
+Logger.forComponent = function(source, debug, logger) {
+    return logger ? logger.forModule(source) : new Logger(source, undefined, Logger.levelOf(debug));
+};
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function converts a value into one that can be serialized as JSON. Bali components
+ * are converted into their Bali Document Notation™ and buffers into hexadecimal strings.
+ *
+ * @param {Any} value The value.
+ * @returns {Any} A value that can be serialized as JSON.
+ */
+const serialize = function(value) {
+    if (value && value.isComponent) return value.toString();
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    if (value instanceof Error) return value.toString();
+    return value;
+};
@@ -0,0 +1,186 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class collects the operational metrics for a proxy and renders them in the Prometheus
+ * text exposition format (version 0.0.4) so that they can be scraped by existing monitoring.
+ * The following metrics are collected:
+ * <pre>
+ *   * bali_hsm_operations_total - the number of operations by operation and outcome
+ *   * bali_hsm_operation_duration_seconds - the total duration of each operation
+ *   * bali_hsm_phase_duration_seconds - the duration of each scan, connect, service discovery
+ *       and block transfer
+ *   * bali_hsm_retries_total - the number of retries by the kind of error that caused them
+ *   * bali_hsm_failures_total - the number of failed operations by operation and kind of error
+ *   * bali_hsm_scan_timeouts_total - the number of scans that did not find the HSM in time
+ * </pre>
+ * Most of the metrics are derived from the events that are emitted by the proxy.
+ */
+
+
+// PRIVATE CONSTANTS
+
+// the upper bounds of the histogram buckets (BLE operations can take several seconds)
+const BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30 ];  // seconds
+
+// the definitions of the metrics in the order in which they are rendered
+const DEFINITIONS = {
+    bali_hsm_operations_total: {
+        type: 'counter',
+        help: 'The number of operations processed by the proxy.'
+    },
+    bali_hsm_operation_duration_seconds: {
+        type: 'histogram',
+        help: 'The total duration of each operation, excluding the time spent waiting in the queue.'
+    },
+    bali_hsm_phase_duration_seconds: {
+        type: 'histogram',
+        help: 'The duration of each phase of the communication with the HSM.'
+    },
+    bali_hsm_retries_total: {
+        type: 'counter',
+        help: 'The number of times a request to the HSM was retried.'
+    },
+    bali_hsm_failures_total: {
+        type: 'counter',
+        help: 'The number of operations that failed.'
+    },
+    bali_hsm_scan_timeouts_total: {
+        type: 'counter',
+        help: 'The number of scans that did not find the HSM in time.'
+    }
+};
+
+// the events that mark the end of each phase (the duration is in their details)
+const PHASES = {
+    deviceFound: 'scan',
+    servicesDiscovered: 'discovery',
+    connected: 'connect',
+    blockSent: 'block'
+};
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new collection of metrics.
+ *
+ * @returns {Object} The new collection of metrics.
+ */
+const Metrics = function() {
+
+    const series = {};  // the samples for each metric, keyed by their rendered labels
+    Object.keys(DEFINITIONS).forEach(function(name) {
+        series[name] = {};
+    });
+
+    const increment = function(name, labels) {
+        const key = renderLabels(labels);
+        series[name][key] = (series[name][key] || 0) + 1;
+    };
+
+    const observe = function(name, labels, seconds) {
+        const key = renderLabels(labels);
+        var histogram = series[name][key];
+        if (!histogram) {
+            histogram = { labels: labels, counts: BUCKETS.map(function() { return 0; }), sum: 0, count: 0 };
+            series[name][key] = histogram;
+        }
+        BUCKETS.forEach(function(bound, index) {
+            if (seconds <= bound) histogram.counts[index]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    };
+
+    /**
+     * This method updates the metrics using an event that was emitted by the proxy.
+     *
+     * @param {String} event The name of the event.
+     * @param {Object} details The details of the event.
+     */
+    this.recordEvent = function(event, details) {
+        const phase = PHASES[event];
+        if (phase && details.duration !== undefined) {
+            observe('bali_hsm_phase_duration_seconds', { phase: phase }, details.duration / 1000);
+        }
+        if (event === 'retry') increment('bali_hsm_retries_total', { kind: details.kind });
+        if (event === 'scanTimedOut') increment('bali_hsm_scan_timeouts_total', {});
+    };
+
+    /**
+     * This method records the outcome of an operation.
+     *
+     * @param {String} operation The name of the operation.
+     * @param {Number} duration The number of milliseconds the operation took.
+     * @param {String} kind The kind of error that caused the operation to fail, or undefined
+     * if it succeeded.
+     */
+    this.recordOperation = function(operation, duration, kind) {
+        increment('bali_hsm_operations_total', { operation: operation, outcome: kind ? 'failure' : 'success' });
+        observe('bali_hsm_operation_duration_seconds', { operation: operation }, duration / 1000);
+        if (kind) increment('bali_hsm_failures_total', { operation: operation, kind: kind });
+    };
+
+    /**
+     * This method renders the metrics in the Prometheus text exposition format.
+     *
+     * @returns {String} The rendered metrics.
+     */
+    this.render = function() {
+        const lines = [];
+        Object.keys(DEFINITIONS).forEach(function(name) {
+            const definition = DEFINITIONS[name];
+            lines.push('# HELP ' + name + ' ' + definition.help);
+            lines.push('# TYPE ' + name + ' ' + definition.type);
+            const samples = series[name];
+            Object.keys(samples).sort().forEach(function(key) {
+                if (definition.type === 'counter') {
+                    lines.push(name + key + ' ' + samples[key]);
+                    return;
+                }
+                const histogram = samples[key];
+                BUCKETS.forEach(function(bound, index) {
+                    const labels = Object.assign({}, histogram.labels, { le: String(bound) });
+                    lines.push(name + '_bucket' + renderLabels(labels) + ' ' + histogram.counts[index]);
+                });
+                const labels = Object.assign({}, histogram.labels, { le: '+Inf' });
+                lines.push(name + '_bucket' + renderLabels(labels) + ' ' + histogram.count);
+                lines.push(name + '_sum' + key + ' ' + histogram.sum);
+                lines.push(name + '_count' + key + ' ' + histogram.count);
+            });
+        });
+        return lines.join('\n') + '\n';
+    };
+
+    return this;
+};
+Metrics.prototype.constructor = Metrics;
+exports.Metrics = Metrics;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function renders a set of labels, escaping their values as required by the exposition
+ * format.
+ *
+ * @param {Object} labels An object mapping the names of the labels to their values.
+ * @returns {String} The rendered labels (an empty string if there are none).
+ */
+const renderLabels = function(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return '{' + names.map(function(name) {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return name + '="' + value + '"';
+    }).join(',') + '}';
+};
@@ -0,0 +1,262 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class upgrades the configuration files of a proxy. Each configuration catalog records
+ * the version of the schema that it follows ($schemaVersion). A catalog without one was written
+ * before the schema was versioned and follows version 1. The registry contains a migration for
+ * each version of the schema that upgrades a catalog to the next version, and the migrations
+ * are applied in order until the catalog follows the current version. Each migration returns a
+ * description of each change that it made, so running the migrations against a copy of the
+ * catalog reports what would change without changing anything (a dry run).
+ *
+ * A configuration records the algorithm suite that its keys were generated for ($suite), and
+ * one for another algorithm suite is refused with an $incompatibleSuite exception, since its
+ * keys cannot be used by the proxy.
+ *
+ * The name of the configuration file includes the protocol of the proxy (e.g. HSMProxyv2.bali),
+ * so a proxy that speaks a later protocol does not find the configuration of an earlier one.
+ * The configuration files of earlier protocols in the same directory are detected and reported
+ * instead.
+ */
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api();
+const AlgorithmSuite = require('./AlgorithmSuite').AlgorithmSuite;
+const Logger = require('./Logger').Logger;
+const Storage = require('./Storage').Storage;
+
+
+// PRIVATE CONSTANTS
+
+// the registry of migrations, where the migration at index n upgrades a catalog from version
+// n + 1 of the schema to version n + 2, and returns a description of each change that it made
+const MIGRATIONS = [
+
+    // version 2 records the protocol and algorithm suite that the keys belong to, and counts
+    // the changes made to the keys
+    function(configuration, context) {
+        const changes = [];
+        if (!configuration.getAttribute('$protocol')) {
+            configuration.setAttribute('$protocol', context.protocol);
+            changes.push('Record the protocol (' + context.protocol + ').');
+        }
+        if (!configuration.getAttribute('$suite') && context.suite) {
+            configuration.setAttribute('$suite', bali.text(context.suite));
+            changes.push('Record the algorithm suite (' + context.suite + ').');
+        }
+        if (!configuration.getAttribute('$revision')) {
+            configuration.setAttribute('$revision', 0);
+            changes.push('Start counting the changes made to the keys ($revision).');
+        }
+        return changes;
+    }
+
+];
+
+// the current version of the schema
+const VERSION = MIGRATIONS.length + 1;
+
+// the protocols that offer a single algorithm suite, which their configurations need not record
+const IMPLIED_SUITES = {
+    v2: AlgorithmSuite.V2.getName()
+};
+
+const FILENAME = /^HSMProxyv([0-9]+)\.bali$/;
+
+const moduleName = '/bali/notary/v2/Migrations';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates an object that upgrades the configurations of a proxy.
+ *
+ * @param {String} protocol The protocol of the proxy (e.g. 'v2').
+ * @param {AlgorithmSuite} suite The algorithm suite of the proxy.
+ * @param {String} directory The directory containing the configuration files.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the migrations object logs its events
+ * (the default is a logger for the debug level).
+ * @returns {Migrations} The new migrations object.
+ */
+const Migrations = function(protocol, suite, directory, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    this.protocol = protocol;
+    this.suite = suite.getName();
+    this.directory = directory;
+    this.logger = Logger.forComponent(moduleName, this.debug, logger);
+    return this;
+};
+Migrations.prototype.constructor = Migrations;
+exports.Migrations = Migrations;
+
+Migrations.VERSION = VERSION;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method returns the version of the schema that the specified configuration follows.
+ *
+ * @param {Catalog} configuration The configuration.
+ * @returns {Number} The version of the schema.
+ */
+Migrations.prototype.versionOf = function(configuration) {
+    const version = configuration.getAttribute('$schemaVersion');
+    return version ? version.toInteger() : 1;
+};
+
+
+/**
+ * This method upgrades the specified configuration, in place, to the current version of the
+ * schema. A configuration that follows a later version of the schema (i.e. it was written by a
+ * later version of the proxy) is refused with an $unsupportedSchema exception rather than being
+ * misread, and a configuration whose keys were generated for another algorithm suite is refused
+ * with an $incompatibleSuite exception.
+ *
+ * @param {Catalog} configuration The configuration.
+ * @returns {Array} An array containing a description of each change that was made.
+ */
+Migrations.prototype.migrate = function(configuration) {
+    var version = this.versionOf(configuration);
+    if (version > VERSION) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$migrate',
+            $exception: '$unsupportedSchema',
+            $schemaVersion: version,
+            $supported: VERSION,
+            $text: 'The configuration was written by a later version of the proxy.'
+        });
+        this.logger.exception(exception);
+        throw exception;
+    }
+    const suite = this.suiteOf(configuration, this.protocol);
+    if (suite && suite !== this.suite) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$migrate',
+            $exception: '$incompatibleSuite',
+            $suite: bali.text(suite),
+            $expected: bali.text(this.suite),
+            $text: 'The keys in the configuration were generated for another algorithm suite.'
+        });
+        this.logger.exception(exception);
+        throw exception;
+    }
+    const context = {
+        protocol: this.protocol,
+        suite: this.suite
+    };
+    var changes = [];
+    while (version < VERSION) {
+        changes = changes.concat(MIGRATIONS[version - 1](configuration, context));
+        changes.push('Upgrade the schema from version ' + version + ' to version ' + (version + 1) + '.');
+        version++;
+        configuration.setAttribute('$schemaVersion', version);
+    }
+    return changes;
+};
+
+
+/**
+ * This method returns the algorithm suite that the keys in the specified configuration were
+ * generated for, if it is known.
+ *
+ * @param {Catalog} configuration The configuration.
+ * @param {String} protocol The protocol of the file that the configuration was read from.
+ * @returns {String} The name of the algorithm suite, or nothing if it is not known.
+ */
+Migrations.prototype.suiteOf = function(configuration, protocol) {
+    const suite = configuration.getAttribute('$suite');
+    return suite ? suite.getValue() : IMPLIED_SUITES[protocol];
+};
+
+
+/**
+ * This method finds the configuration files of the protocols that are earlier than the
+ * protocol of the proxy in the directory, latest protocol first. Each one is compatible if its
+ * keys were generated using the algorithm suite of the proxy (so they could be restored from a
+ * backup of it).
+ *
+ * @returns {Array} An array containing an object for each file, containing its name (filename),
+ * path (file), protocol, configuration (unless it could not be read), schema version (version),
+ * algorithm suite (suite) and whether or not it is compatible.
+ */
+Migrations.prototype.detect = async function() {
+    try {
+        var names;
+        try {
+            names = await pfs.readdir(this.directory);
+        } catch (cause) {
+            if (cause.code === 'ENOENT') return [];
+            throw cause;
+        }
+        const current = Number(this.protocol.slice(1));
+        const older = [];
+        for (var index = 0; index < names.length; index++) {
+            const match = FILENAME.exec(names[index]);
+            if (!match || Number(match[1]) >= current) continue;
+            const protocol = 'v' + match[1];
+            const found = {
+                filename: names[index],
+                file: this.directory + names[index],
+                protocol: protocol,
+                compatible: false
+            };
+            try {
+                const source = await new Storage(names[index], this.directory, this.debug, this.logger).load();
+                found.configuration = bali.component(source);
+                found.version = this.versionOf(found.configuration);
+                found.suite = this.suiteOf(found.configuration, protocol);
+                found.compatible = found.suite === this.suite && found.version <= VERSION;
+            } catch (cause) {
+                this.logger.log('warn', 'unreadableConfiguration', { file: found.file, cause: cause });
+            }
+            older.push(found);
+        }
+        return older.sort(function(first, second) {
+            return Number(second.protocol.slice(1)) - Number(first.protocol.slice(1));
+        });
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$detect',
+            $exception: '$storageException',
+            $directory: bali.text(this.directory),
+            $text: 'The directory could not be searched for older configurations.'
+        }, cause);
+        this.logger.exception(exception);
+        throw exception;
+    }
+};
+
+
+/**
+ * This method returns a catalog describing a configuration file found by the detect method.
+ *
+ * @param {Object} older The configuration file.
+ * @returns {Catalog} A catalog containing the name of the file ($file), its protocol
+ * ($protocol), its schema version ($schemaVersion) and algorithm suite ($suite) if they are
+ * known, and whether or not its keys use the algorithm suite of the proxy ($compatible).
+ */
+Migrations.prototype.describe = function(older) {
+    const description = bali.catalog({
+        $file: bali.text(older.filename),
+        $protocol: older.protocol
+    });
+    if (older.version) description.setAttribute('$schemaVersion', older.version);
+    if (older.suite) description.setAttribute('$suite', bali.text(older.suite));
+    description.setAttribute('$compatible', older.compatible);
+    return description;
+};
+
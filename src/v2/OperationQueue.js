@@ -0,0 +1,161 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a queue that runs asynchronous operations one at a time. Operations
+ * with a higher priority are run first, and operations with the same priority are run in the
+ * order in which they were queued. An operation that is aborted while it is waiting is removed
+ * from the queue without being run.
+ *
+ * Every proxy that talks to an HSM using the same adapter (e.g. the single bluetooth adapter
+ * on a host) must share a queue, so the queues are kept in a registry keyed by the adapter.
+ */
+const bali = require('bali-component-framework').api();
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const QUEUES = new WeakMap();  // the shared queue for each adapter
+
+const moduleName = '/bali/notary/v2/OperationQueue';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new operation queue.
+ *
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the queue logs its events (the
+ * default is a logger for the debug level).
+ * @returns {Object} The new operation queue.
+ */
+const OperationQueue = function(debug, logger) {
+    this.debug = debug || 0;  // default is off
+    logger = Logger.forComponent(moduleName, this.debug, logger);
+
+    const waiting = [];  // the operations that have not been started yet, in the order they will run
+    var active = false;  // whether or not an operation is currently running
+    var processed = 0;  // the number of operations that have been started
+    var totalWait = 0;  // milliseconds
+    var maximumWait = 0;  // milliseconds
+
+    const next = function() {
+        if (active || waiting.length === 0) return;
+        const entry = waiting.shift();
+        active = true;
+        const wait = Date.now() - entry.queued;
+        processed++;
+        totalWait += wait;
+        maximumWait = Math.max(maximumWait, wait);
+        entry.start();
+    };
+
+    /**
+     * This method runs the specified operation once every operation ahead of it in the queue
+     * has completed.
+     *
+     * @param {Function} operation An asynchronous function that performs the operation.
+     * @param {Number} priority An optional priority for the operation (the default is zero).
+     * @param {AbortSignal} signal An optional signal that removes the operation from the queue.
+     * @returns {Promise} A promise to return the result of the operation.
+     */
+    this.process = function(operation, priority, signal) {
+        const queue = this;
+        priority = priority || 0;
+        return new Promise(function(resolve, reject) {
+            const entry = {
+                priority: priority,
+                queued: Date.now()
+            };
+            const aborted = function() {
+                const index = waiting.indexOf(entry);
+                if (index < 0) return;  // already started
+                waiting.splice(index, 1);
+                const exception = abortedException();
+                logger.exception(exception);
+                reject(exception);
+            };
+            entry.start = function() {
+                if (signal) signal.removeEventListener('abort', aborted);
+                Promise.resolve().then(operation).then(resolve, reject).then(function() {
+                    active = false;
+                    next();
+                });
+            };
+            if (signal && signal.aborted) return reject(abortedException());
+            if (signal) signal.addEventListener('abort', aborted);
+
+            // insert the entry after every entry with the same or a higher priority
+            var index = waiting.length;
+            while (index > 0 && waiting[index - 1].priority < priority) index--;
+            waiting.splice(index, 0, entry);
+            if (active) logger.log('debug', 'waitingInQueue', { ahead: index });
+            next();
+        });
+    };
+
+    /**
+     * This method returns statistics describing the queue.
+     *
+     * @returns {Object} An object containing the depth of the queue (the number of operations
+     * waiting), whether or not an operation is active, the number of operations that have been
+     * processed, and the average and maximum number of milliseconds that they waited.
+     */
+    this.getStatistics = function() {
+        return {
+            depth: waiting.length,
+            active: active,
+            processed: processed,
+            averageWait: processed ? Math.round(totalWait / processed) : 0,
+            maximumWait: maximumWait
+        };
+    };
+
+    return this;
+};
+OperationQueue.prototype.constructor = OperationQueue;
+exports.OperationQueue = OperationQueue;
+
+
+/**
+ * This function returns the queue that is shared by everything that uses the specified
+ * adapter, creating it if necessary.
+ *
+ * @param {Object} adapter The object representing the adapter.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which a new queue logs its events (the
+ * queue keeps the logger of whatever created it).
+ * @returns {Object} The shared operation queue.
+ */
+OperationQueue.shared = function(adapter, debug, logger) {
+    var queue = QUEUES.get(adapter);
+    if (!queue) {
+        queue = new OperationQueue(debug, logger);
+        QUEUES.set(adapter, queue);
+    }
+    return queue;
+};
+
+
+// PRIVATE FUNCTIONS
+
+const abortedException = function() {
+    return bali.exception({
+        $module: moduleName,
+        $procedure: '$process',
+        $exception: '$aborted',
+        $text: 'The operation was aborted while it was waiting in the queue.'
+    });
+};
@@ -0,0 +1,157 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements the signing policy that is evaluated before each signing request is
+ * sent to the hardware security module. It limits the damage that a compromised process on the
+ * host can do by mass-signing. The policy consists of the following rules, which are evaluated
+ * in order:
+ * <pre>
+ *   * deny rules - functions that reject any request matching them
+ *   * payload size - a limit on the number of bytes in each request
+ *   * rate limit - a limit on the number of signatures in a sliding time window
+ *   * approval - an asynchronous hook (e.g. a prompt for a human) that must approve each request
+ * </pre>
+ * A request that breaks a rule is rejected with a $policyViolation exception and never reaches
+ * the HSM. Each rule is optional and a policy without any rules allows every request.
+ */
+const crypto = require('crypto');
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+const DIGEST = 'sha512';
+const WINDOW = 60000;  // milliseconds
+
+const moduleName = '/bali/notary/v2/Policy';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new signing policy.
+ *
+ * @param {Object} policy An optional object containing any of the following attributes:
+ * <pre>
+ *   maximumSignatures: the maximum number of signatures in each window (the default is no limit)
+ *   window: the milliseconds in the sliding window for the rate limit (the default is 60000)
+ *   maximumBytes: the maximum number of bytes that may be signed (the default is no limit)
+ *   approve: an async function that is passed a summary of each request and an optional
+ *     AbortSignal, and returns whether or not the request is approved
+ *   deny: an array of functions that are passed a summary of each request and return a reason
+ *     (or true) if the request must be denied
+ * </pre>
+ * The summary of a request contains the name of the slot (if any), the length of the bytes,
+ * their hexadecimal SHA-512 digest and the bytes themselves.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @returns {Object} The new signing policy.
+ */
+const Policy = function(policy, debug) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$Policy', '$policy', policy, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+    policy = policy || {};
+    const maximumSignatures = policy.maximumSignatures;
+    const window = (policy.window === undefined) ? WINDOW : policy.window;
+    const maximumBytes = policy.maximumBytes;
+    const approve = policy.approve;
+    const rules = policy.deny || [];
+
+    const signatures = [];  // the times of the signatures in the current window
+
+    /**
+     * This method evaluates the policy for a signing request. The request is counted against the
+     * rate limit before it is approved, so that concurrent requests waiting for approval cannot
+     * exceed it, and is no longer counted if it is not approved.
+     *
+     * @param {Buffer} bytes The bytes to be signed.
+     * @param {String} slot The name of the key slot, or undefined for the default slot.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @throws {Exception} A $policyViolation exception if the request is not allowed.
+     */
+    this.evaluate = async function(bytes, slot, signal) {
+        const summary = {
+            slot: slot,
+            length: bytes.length,
+            digest: crypto.createHash(DIGEST).update(bytes).digest('hex'),
+            bytes: bytes
+        };
+
+        // check the deny rules
+        rules.forEach(function(rule) {
+            const reason = rule(summary);
+            if (reason) {
+                throw violation('$denied', typeof reason === 'string' ? reason : 'The request matched a deny rule.');
+            }
+        });
+
+        // check the payload size
+        if (maximumBytes !== undefined && bytes.length > maximumBytes) {
+            throw violation('$payloadSize', 'The request contains more than ' + maximumBytes + ' bytes.');
+        }
+
+        // check the rate limit
+        const now = Date.now();
+        while (signatures.length && signatures[0] <= now - window) signatures.shift();
+        if (maximumSignatures !== undefined && signatures.length >= maximumSignatures) {
+            throw violation('$rateLimit', 'More than ' + maximumSignatures + ' signatures were requested within ' + window + ' milliseconds.');
+        }
+
+        signatures.push(now);  // reserve a signature in the window
+
+        // ask for approval (a failed approval hook is treated as a refusal)
+        if (approve) {
+            var approved, exception;
+            try {
+                approved = await approve(summary, signal);
+                if (!approved) exception = violation('$notApproved', 'The request was not approved.');
+            } catch (cause) {
+                exception = violation('$notApproved', 'The approval of the request failed.', cause);
+            }
+            if (exception) {
+                const index = signatures.indexOf(now);
+                if (index > -1) signatures.splice(index, 1);  // release the reservation
+                throw exception;
+            }
+        }
+    };
+
+    return this;
+};
+Policy.prototype.constructor = Policy;
+exports.Policy = Policy;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function creates an exception for a request that breaks the specified rule.
+ *
+ * @param {String} rule The rule that was broken.
+ * @param {String} text A description of the violation.
+ * @param {Error} cause An optional cause of the violation.
+ * @returns {Exception} The new exception.
+ */
+const violation = function(rule, text, cause) {
+    return bali.exception({
+        $module: moduleName,
+        $procedure: '$evaluate',
+        $exception: '$policyViolation',
+        $rule: rule,
+        $text: text
+    }, cause);
+};
@@ -0,0 +1,295 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements the resilience policy that governs how a proxy talks to a hardware
+ * security module that may be slow, out of range or unplugged. The policy consists of:
+ * <pre>
+ *   * timeouts - a limit on how long to wait for the link and for each response
+ *   * backoff - retries separated by exponentially increasing delays with random jitter
+ *   * cancellation - an optional AbortSignal that abandons a request at any point
+ *   * circuit breaker - requests fail fast once the HSM has been absent repeatedly
+ * </pre>
+ * The circuit breaker opens after a number of consecutive attempts to reach the HSM have
+ * failed. While it is open every request fails immediately. Once the reset timeout has passed
+ * the next request is allowed through, and it either closes the circuit again or reopens it.
+ */
+const bali = require('bali-component-framework').api();
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const ATTEMPTS = 5;  // including the initial attempt
+const BASE_DELAY = 250;  // milliseconds
+const MAXIMUM_DELAY = 8000;  // milliseconds
+const SCAN_TIMEOUT = 1000;  // milliseconds
+const CONNECT_TIMEOUT = 10000;  // milliseconds
+const BLOCK_TIMEOUT = 5000;  // milliseconds
+const FAILURE_THRESHOLD = 3;  // consecutive failures to reach the HSM
+const RESET_TIMEOUT = 30000;  // milliseconds
+
+const moduleName = '/bali/notary/v2/Resilience';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new resilience policy.
+ *
+ * @param {Object} policy An optional object containing any of the following attributes:
+ * <pre>
+ *   attempts: the maximum number of attempts made for each request (the default is 5)
+ *   baseDelay: the milliseconds to wait before the first retry (the default is 250)
+ *   maximumDelay: the maximum milliseconds to wait between retries (the default is 8000)
+ *   scanTimeout: the milliseconds to search for the HSM (the default is 1000)
+ *   connectTimeout: the milliseconds to wait for the link to be established (the default is 10000)
+ *   blockTimeout: the milliseconds to wait for the response to each block (the default is 5000)
+ *   failureThreshold: the consecutive failures to reach the HSM that open the circuit (the default is 3)
+ *   resetTimeout: the milliseconds the circuit stays open before it is retried (the default is 30000)
+ * </pre>
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the policy logs its events (the
+ * default is a logger for the debug level).
+ * @returns {Object} The new resilience policy.
+ */
+const Resilience = function(policy, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$Resilience', '$policy', policy, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+    policy = policy || {};
+    logger = Logger.forComponent(moduleName, this.debug, logger);
+    const attempts = valueOf(policy.attempts, ATTEMPTS);
+    const baseDelay = valueOf(policy.baseDelay, BASE_DELAY);
+    const maximumDelay = valueOf(policy.maximumDelay, MAXIMUM_DELAY);
+    const scanTimeout = valueOf(policy.scanTimeout, SCAN_TIMEOUT);
+    const connectTimeout = valueOf(policy.connectTimeout, CONNECT_TIMEOUT);
+    const blockTimeout = valueOf(policy.blockTimeout, BLOCK_TIMEOUT);
+    const failureThreshold = valueOf(policy.failureThreshold, FAILURE_THRESHOLD);
+    const resetTimeout = valueOf(policy.resetTimeout, RESET_TIMEOUT);
+
+    var failures = 0;  // the number of consecutive failures to reach the HSM
+    var opened;  // the time at which the circuit was last opened
+    var trial = false;  // whether or not a request is trying the HSM while the circuit is half open
+
+    /**
+     * This method returns the maximum number of attempts made for each request.
+     *
+     * @returns {Number} The maximum number of attempts.
+     */
+    this.getAttempts = function() {
+        return attempts;
+    };
+
+    /**
+     * This method returns the number of milliseconds to search for the HSM.
+     *
+     * @returns {Number} The scan timeout.
+     */
+    this.getScanTimeout = function() {
+        return scanTimeout;
+    };
+
+    /**
+     * This method returns the current state of the circuit breaker.
+     *
+     * @returns {String} The state of the circuit: '$closed', '$open' or '$halfOpen'.
+     */
+    this.getCircuitState = function() {
+        if (failures < failureThreshold) return '$closed';
+        if (Date.now() - opened < resetTimeout) return '$open';
+        return '$halfOpen';
+    };
+
+    /**
+     * This method throws an exception if the specified signal has been aborted.
+     *
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     */
+    this.checkSignal = function(signal) {
+        if (signal && signal.aborted) {
+            const exception = abortedException();
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method throws an exception if the circuit is open so that the request fails fast.
+     * While the circuit is half open only a single request may try the HSM, and the others fail
+     * fast until that trial request has either reached the HSM or failed to.
+     */
+    this.checkCircuit = function() {
+        const state = this.getCircuitState();
+        if (state === '$open' || (state === '$halfOpen' && trial)) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$checkCircuit',
+                $exception: '$circuitOpen',
+                $failures: failures,
+                $text: 'The HSM has been unreachable too many times, try again later.'
+            });
+            logger.exception(exception);
+            throw exception;
+        }
+        if (state === '$halfOpen') trial = true;  // this request is the trial
+    };
+
+    /**
+     * This method records that the HSM was reached successfully, closing the circuit.
+     */
+    this.recordPresence = function() {
+        failures = 0;
+        opened = undefined;
+        trial = false;
+    };
+
+    /**
+     * This method records that an attempt to reach the HSM ended without showing whether or not
+     * the HSM is reachable (e.g. it was aborted), so another request may try the HSM.
+     */
+    this.recordInconclusive = function() {
+        trial = false;
+    };
+
+    /**
+     * This method records that the HSM could not be reached, opening the circuit once the
+     * failure threshold has been reached.
+     */
+    this.recordAbsence = function() {
+        failures++;
+        trial = false;
+        if (failures >= failureThreshold) {
+            logger.log('debug', 'circuitOpened', { failures: failures });
+            opened = Date.now();
+        }
+    };
+
+    /**
+     * This method waits for the link to the HSM to be established.
+     *
+     * @param {Promise} promise A promise to establish the link.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {Promise} A promise that is rejected if the link is not established in time.
+     */
+    this.connect = function(promise, signal) {
+        return withTimeout(promise, connectTimeout, '$connect', signal, logger);
+    };
+
+    /**
+     * This method waits for the response to a block from the HSM.
+     *
+     * @param {Promise} promise A promise to return the response.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {Promise} A promise that is rejected if the response does not arrive in time.
+     */
+    this.respond = function(promise, signal) {
+        return withTimeout(promise, blockTimeout, '$processBlock', signal, logger);
+    };
+
+    /**
+     * This method returns the number of milliseconds to wait before the specified retry. The
+     * delay doubles with each retry, up to the maximum delay, and a random jitter of up to half
+     * the delay is subtracted so that proxies sharing an HSM do not retry in lock step.
+     *
+     * @param {Number} retry The number of the retry (starting with one).
+     * @returns {Number} The number of milliseconds to wait.
+     */
+    this.getDelay = function(retry) {
+        const delay = Math.min(maximumDelay, baseDelay * Math.pow(2, retry - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    };
+
+    /**
+     * This method waits for the specified delay before a retry.
+     *
+     * @param {Number} delay The number of milliseconds to wait.
+     * @param {AbortSignal} signal An optional signal that cancels the request.
+     * @returns {Promise} A promise that resolves once the delay has passed.
+     */
+    this.wait = async function(delay, signal) {
+        await withTimeout(new Promise(function() {}), delay, undefined, signal, logger);
+    };
+
+    return this;
+};
+Resilience.prototype.constructor = Resilience;
+exports.Resilience = Resilience;
+
+
+// PRIVATE FUNCTIONS
+
+const valueOf = function(value, defaultValue) {
+    return (value === undefined) ? defaultValue : value;
+};
+
+
+const abortedException = function() {
+    return bali.exception({
+        $module: moduleName,
+        $procedure: '$checkSignal',
+        $exception: '$aborted',
+        $text: 'The request was aborted by the caller.'
+    });
+};
+
+
+/**
+ * This function waits for the specified promise to settle, for the specified timeout to
+ * expire, or for the specified signal to be aborted, whichever happens first. If no procedure
+ * is specified the expiration of the timeout is not treated as a failure.
+ *
+ * @param {Promise} promise The promise to wait for.
+ * @param {Number} timeout The number of milliseconds to wait.
+ * @param {String} procedure The name of the procedure that timed out.
+ * @param {AbortSignal} signal An optional signal that cancels the wait.
+ * @param {Logger} logger The logger through which exceptions are logged.
+ * @returns {Promise} A promise that settles as described above.
+ */
+const withTimeout = function(promise, timeout, procedure, signal, logger) {
+    return new Promise(function(resolve, reject) {
+        var timer;
+        const settle = function(callback, value) {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', aborted);
+            callback(value);
+        };
+        const aborted = function() {
+            const exception = abortedException();
+            logger.exception(exception);
+            settle(reject, exception);
+        };
+        if (signal && signal.aborted) return aborted();
+        if (signal) signal.addEventListener('abort', aborted);
+        timer = setTimeout(function() {
+            if (!procedure) return settle(resolve);
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: procedure,
+                $exception: '$timeout',
+                $timeout: timeout,
+                $text: 'The HSM did not respond in time.'
+            });
+            logger.exception(exception);
+            settle(reject, exception);
+        }, timeout);
+        promise.then(function(value) {
+            settle(resolve, value);
+        }, function(cause) {
+            settle(reject, cause);
+        });
+    });
+};
@@ -0,0 +1,148 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a transport that communicates with a hardware security module that is
+ * attached as a USB-CDC (virtual serial port) device, e.g. '/dev/ttyACM0'. A USB-CDC device
+ * ignores the baud rate so the device file is read and written directly. Each block and
+ * response is framed as described in the FramedStream class.
+ *
+ * The terminal driver would otherwise echo the bytes, translate carriage returns and line
+ * feeds, and treat some bytes as control characters, so the device is switched to raw mode
+ * (using the stty command) before it is used, and a device that is not a terminal is refused.
+ * The device is read through a non-blocking terminal stream so that closing the transport
+ * cancels a read that is still waiting for a response.
+ */
+const fs = require('fs');
+const tty = require('tty');
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const bali = require('bali-component-framework').api();
+const FramedStream = require('./FramedStream').FramedStream;
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+// the stty option naming the device differs between GNU and BSD (e.g. macOS)
+const DEVICE_OPTION = (process.platform === 'linux') ? '-F' : '-f';
+
+const moduleName = '/bali/notary/v2/SerialTransport';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new transport that talks to a hardware security module attached
+ * to the specified serial device.
+ *
+ * @param {String} path The path to the serial device file.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @returns {Object} The new serial transport.
+ */
+const SerialTransport = function(path, debug) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$SerialTransport', '$path', path, [
+            '/javascript/String'
+        ]);
+    }
+
+    var port, stream;
+    var logger = Logger.forComponent(moduleName, this.debug);
+
+    /**
+     * This method logs the events of the transport through a logger that shares the sink and
+     * level of the specified logger (e.g. the logger of the proxy that uses the transport).
+     *
+     * @param {Logger} shared The logger to be shared.
+     */
+    this.setLogger = function(shared) {
+        logger = shared.forModule(moduleName);
+    };
+
+    /**
+     * This method switches the serial device to raw mode and opens it for reading and writing.
+     */
+    this.connect = async function() {
+        var descriptor;
+        try {
+            logger.log('debug', 'connecting', { path: path });
+            descriptor = await new Promise(function(resolve, reject) {
+                fs.open(path, 'r+', function(cause, fd) {
+                    if (cause) return reject(cause);
+                    resolve(fd);
+                });
+            });
+            if (!tty.isatty(descriptor)) throw Error('The serial device is not a terminal device: ' + path);
+            await execFile('stty', [DEVICE_OPTION, path, 'raw', '-echo']);
+            port = new tty.ReadStream(descriptor, { writable: true });  // the stream owns the descriptor
+            descriptor = undefined;
+            stream = new FramedStream(port, port, this.debug, logger);
+        } catch (cause) {
+            if (descriptor !== undefined) fs.close(descriptor, function() {});
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$connect',
+                $exception: '$noConnection',
+                $text: 'The attempt to open the serial device failed.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns whether or not the link to the hardware security module is still
+     * established.
+     *
+     * @returns {Boolean} Whether or not the transport is connected.
+     */
+    this.isConnected = function() {
+        return (port && !port.destroyed) ? true : false;
+    };
+
+    /**
+     * This method returns the identifier of the hardware security module, which is
+     * the URL of the serial device.
+     *
+     * @returns {String} The identifier of the device.
+     */
+    this.getDeviceId = async function() {
+        return 'serial://' + path;
+    };
+
+    /**
+     * This method writes a block of bytes to the hardware security module and returns the
+     * bytes of the response.
+     *
+     * @param {Buffer} block The block of bytes to be written.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = async function(block) {
+        if (!stream) throw Error('The transport is not connected to an HSM.');
+        return await stream.processBlock(block);
+    };
+
+    /**
+     * This method closes the serial device if it is open.
+     */
+    this.disconnect = async function() {
+        if (port) port.destroy();  // also closes the device
+        port = undefined;
+        stream = undefined;
+    };
+
+    return this;
+};
+SerialTransport.prototype.constructor = SerialTransport;
+exports.SerialTransport = SerialTransport;
@@ -0,0 +1,257 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class manages a persistent session with a hardware security module over a transport.
+ * The link is established on demand, kept open across requests, re-established transparently
+ * if it drops, and released after it has been idle for a configurable period or when the
+ * session is explicitly closed. A sequence of requests (e.g. a batch of signatures) can hold
+ * the link open until the last of them has been processed.
+ */
+const bali = require('bali-component-framework').api();
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const IDLE_TIMEOUT = 10000;  // milliseconds
+
+const moduleName = '/bali/notary/v2/Session';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new session that uses the specified transport.
+ *
+ * @param {Object} transport The transport used to communicate with the HSM.
+ * @param {Number} idleTimeout An optional number of milliseconds after which an idle link is
+ * released (the default is ten seconds). A value of zero releases the link after each request.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the session logs its events (the
+ * default is a logger for the debug level).
+ * @returns {Object} The new session.
+ */
+const Session = function(transport, idleTimeout, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$Session', '$transport', transport, [
+            '/javascript/Object'
+        ]);
+        bali.component.validateArgument(moduleName, '$Session', '$idleTimeout', idleTimeout, [
+            '/javascript/Undefined',
+            '/javascript/Number'
+        ]);
+    }
+    idleTimeout = (idleTimeout === undefined) ? IDLE_TIMEOUT : idleTimeout;
+    logger = Logger.forComponent(moduleName, this.debug, logger);
+
+    var connected = false;
+    var closings = 0;  // the number of times the session has been closed
+    var expected;  // the identifier of the device to which the session is bound
+    var holds = 0;  // the number of sequences of requests that are holding the link open
+    const legacy = {};  // the devices that do not support the extended framing
+    const capabilities = {};  // the information that was retrieved from each device
+    var timer;
+
+    const stopTimer = function() {
+        if (timer) clearTimeout(timer);
+        timer = undefined;
+    };
+
+    /**
+     * This method returns whether or not the link to the HSM is currently established.
+     *
+     * @returns {Boolean} Whether or not the session is connected.
+     */
+    this.isConnected = function() {
+        // the transport knows whether or not the link has dropped since it was established
+        if (connected && transport.isConnected && !transport.isConnected()) connected = false;
+        return connected;
+    };
+
+    /**
+     * This method establishes the link to the HSM unless it is already established.
+     *
+     * @returns {Boolean} Whether or not a new link was established.
+     */
+    this.open = async function() {
+        stopTimer();
+        if (this.isConnected()) return false;
+        logger.log('debug', 'sessionOpening');
+        const closing = closings;
+        await transport.connect();
+        if (closing !== closings) {
+            // the session was closed (e.g. timed out) while the link was being established
+            await transport.disconnect();
+            throw Error('The session was closed while the link was being established.');
+        }
+        connected = true;
+        if (expected) {
+            const actual = await this.getDeviceId();
+            if (actual !== expected) {
+                await this.close();
+                const exception = bali.exception({
+                    $module: moduleName,
+                    $procedure: '$open',
+                    $exception: '$wrongDevice',
+                    $expected: bali.text(expected),
+                    $actual: bali.text(String(actual)),
+                    $text: 'The responding HSM is not the one to which the proxy is bound.'
+                });
+                logger.exception(exception);
+                throw exception;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * This method binds the session to the device with the specified identifier. Only that
+     * device will be selected by the transport and a session with any other device is refused.
+     *
+     * @param {String} deviceId The identifier of the device, or undefined to remove the binding.
+     */
+    this.bindDevice = async function(deviceId) {
+        if (deviceId === expected) return;
+        expected = deviceId;
+        if (transport.selectDevice) transport.selectDevice(deviceId);
+        if (this.isConnected() && deviceId && deviceId !== await this.getDeviceId()) {
+            await this.close();  // the next request will look for the bound device
+        }
+    };
+
+    /**
+     * This method returns the identifier of the device at the other end of the link.
+     *
+     * @returns {String} The identifier of the connected device.
+     */
+    this.getDeviceId = async function() {
+        if (!transport.getDeviceId) return;
+        return await transport.getDeviceId();
+    };
+
+    /**
+     * This method returns the maximum number of bytes in each block that is sent over the link,
+     * which is determined by the MTU that was negotiated for the link.
+     *
+     * @returns {Number} The maximum number of bytes in a block, or undefined if the transport
+     * does not know it.
+     */
+    this.getBlockSize = function() {
+        if (!transport.getBlockSize) return;
+        return transport.getBlockSize();
+    };
+
+    /**
+     * This method returns whether or not the device at the other end of the link may support
+     * the extended framing (i.e. it has not rejected it yet).
+     *
+     * @returns {Boolean} Whether or not the extended framing may be used.
+     */
+    this.supportsExtendedFraming = async function() {
+        return !legacy[await this.getDeviceId()];
+    };
+
+    /**
+     * This method records that the device at the other end of the link does not support the
+     * extended framing.
+     */
+    this.rejectExtendedFraming = async function() {
+        legacy[await this.getDeviceId()] = true;
+    };
+
+    /**
+     * This method returns the information (firmware version, capabilities, etc.) that was
+     * retrieved from the device at the other end of the link.
+     *
+     * @returns {Object} The device information, or undefined if it has not been retrieved yet.
+     */
+    this.getDeviceInfo = async function() {
+        return capabilities[await this.getDeviceId()];
+    };
+
+    /**
+     * This method records the information that was retrieved from the device at the other end
+     * of the link, including whether or not it supports the extended framing.
+     *
+     * @param {Object} info The device information.
+     */
+    this.setDeviceInfo = async function(info) {
+        const deviceId = await this.getDeviceId();
+        capabilities[deviceId] = info;
+        if (info.extendedFraming === false) legacy[deviceId] = true;
+    };
+
+    /**
+     * This method sends a block of bytes to the HSM over the link and returns the response.
+     *
+     * @param {Buffer} block The block of bytes to be sent.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = async function(block) {
+        await this.open();
+        return await transport.processBlock(block);
+    };
+
+    /**
+     * This method marks the end of a request. The link is released once it has been idle for
+     * the idle timeout period.
+     */
+    this.release = async function() {
+        stopTimer();
+        if (holds > 0) return;  // the link is released at the end of the sequence
+        if (idleTimeout === 0) return await this.close();
+        const session = this;
+        timer = setTimeout(function() {
+            timer = undefined;
+            logger.log('debug', 'sessionIdle', { timeout: idleTimeout });
+            session.close().catch(function(cause) {
+                logger.log('error', 'sessionCloseFailed', { cause: cause });
+            });
+        }, idleTimeout);
+        if (timer.unref) timer.unref();  // an idle session must not keep the process alive
+    };
+
+    /**
+     * This method marks the start of a sequence of requests that should be processed over the
+     * same link. The link is not released between the requests.
+     */
+    this.hold = function() {
+        holds++;
+        stopTimer();
+    };
+
+    /**
+     * This method marks the end of a sequence of requests. The link is then released as if a
+     * single request had ended.
+     */
+    this.unhold = async function() {
+        holds--;
+        if (holds === 0 && this.isConnected()) await this.release();
+    };
+
+    /**
+     * This method releases the link to the HSM immediately.
+     */
+    this.close = async function() {
+        stopTimer();
+        if (connected) logger.log('debug', 'sessionClosing');
+        connected = false;
+        closings++;
+        await transport.disconnect();
+    };
+
+    return this;
+};
+Session.prototype.constructor = Session;
+exports.Session = Session;
@@ -0,0 +1,164 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class stores a document in a file the same way a bali configurator does, except that
+ * the file is replaced atomically. The new contents are written to a temporary file that is
+ * flushed to disk and then renamed over the original file, so a crash leaves either the old
+ * or the new contents in place, never a partially written file.
+ */
+const os = require('os');
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api();
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const EOL = '\n';  // the POSIX end of line character
+
+const moduleName = '/bali/notary/v2/Storage';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new storage object for the specified file.
+ *
+ * @param {String} filename The name of the file.
+ * @param {String} directory An optional directory containing the file (the default is '~/.bali/').
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Logger} logger An optional logger through which the storage logs its exceptions (the
+ * default is a logger for the debug level).
+ * @returns {Object} The new storage object.
+ */
+const Storage = function(filename, directory, debug, logger) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$Storage', '$filename', filename, [
+            '/javascript/String'
+        ]);
+        bali.component.validateArgument(moduleName, '$Storage', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+    if (directory && !directory.endsWith('/')) directory += '/';
+    this.directory = directory || os.homedir() + '/.bali/';
+    this.file = this.directory + filename;
+    this.logger = Logger.forComponent(moduleName, this.debug, logger);
+    return this;
+};
+Storage.prototype.constructor = Storage;
+exports.Storage = Storage;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method atomically replaces the contents of the file with the specified document.
+ *
+ * @param {String} document The document to be stored.
+ */
+Storage.prototype.store = async function(document) {
+    const temporary = this.file + '.tmp';
+    try {
+        await pfs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        const handle = await pfs.open(temporary, 'w', 0o600);
+        try {
+            await handle.writeFile(document + EOL, 'utf8');
+            await handle.sync();  // the contents must be on disk before the rename
+        } finally {
+            await handle.close();
+        }
+        await pfs.rename(temporary, this.file);
+        await syncDirectory(this.directory);  // make the rename itself durable
+    } catch (cause) {
+        await pfs.unlink(temporary).catch(function() {});
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$store',
+            $exception: '$storageException',
+            $file: bali.text(this.file),
+            $text: 'The file could not be stored.'
+        }, cause);
+        this.logger.exception(exception);
+        throw exception;
+    }
+};
+
+
+/**
+ * This method loads the document from the file.
+ *
+ * @returns {String} The document, or undefined if the file does not exist.
+ */
+Storage.prototype.load = async function() {
+    try {
+        const document = await pfs.readFile(this.file, 'utf8');
+        return document.slice(0, -1);  // remove the POSIX EOL
+    } catch (cause) {
+        if (cause.code === 'ENOENT') return;
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$load',
+            $exception: '$storageException',
+            $file: bali.text(this.file),
+            $text: 'The file could not be loaded.'
+        }, cause);
+        this.logger.exception(exception);
+        throw exception;
+    }
+};
+
+
+/**
+ * This method deletes the file if it exists.
+ */
+Storage.prototype.delete = async function() {
+    try {
+        await pfs.unlink(this.file);
+        await syncDirectory(this.directory);
+    } catch (cause) {
+        if (cause.code === 'ENOENT') return;
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$delete',
+            $exception: '$storageException',
+            $file: bali.text(this.file),
+            $text: 'The file could not be deleted.'
+        }, cause);
+        this.logger.exception(exception);
+        throw exception;
+    }
+};
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function flushes the entries of the specified directory to disk. Not every platform
+ * allows a directory to be flushed, in which case the request is ignored.
+ *
+ * @param {String} directory The directory to be flushed.
+ */
+const syncDirectory = async function(directory) {
+    var handle;
+    try {
+        handle = await pfs.open(directory, 'r');
+        await handle.sync();
+    } catch (ignore) {
+        // e.g. Windows does not allow directories to be opened
+    } finally {
+        if (handle) await handle.close();
+    }
+};
@@ -0,0 +1,151 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a transport that communicates with a remote hardware security module
+ * (or a stand-in for one) over a TCP socket. Each block and response is framed as described
+ * in the FramedStream class.
+ */
+const net = require('net');
+const bali = require('bali-component-framework').api();
+const FramedStream = require('./FramedStream').FramedStream;
+const Logger = require('./Logger').Logger;
+
+
+// PRIVATE CONSTANTS
+
+const CLOSE_TIMEOUT = 1000;  // milliseconds to wait for the HSM to close its end of the connection
+
+const moduleName = '/bali/notary/v2/TCPTransport';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new transport that talks to a hardware security module listening
+ * on the specified TCP host and port.
+ *
+ * @param {String} host The name or address of the host.
+ * @param {Number} port The TCP port on which the hardware security module is listening.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @returns {Object} The new TCP transport.
+ */
+const TCPTransport = function(host, port, debug) {
+    this.debug = debug || 0;  // default is off
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$TCPTransport', '$host', host, [
+            '/javascript/String'
+        ]);
+        bali.component.validateArgument(moduleName, '$TCPTransport', '$port', port, [
+            '/javascript/Number'
+        ]);
+    }
+
+    var socket, stream;
+    var logger = Logger.forComponent(moduleName, this.debug);
+
+    /**
+     * This method logs the events of the transport through a logger that shares the sink and
+     * level of the specified logger (e.g. the logger of the proxy that uses the transport).
+     *
+     * @param {Logger} shared The logger to be shared.
+     */
+    this.setLogger = function(shared) {
+        logger = shared.forModule(moduleName);
+    };
+
+    /**
+     * This method opens a TCP connection to the hardware security module.
+     */
+    this.connect = async function() {
+        try {
+            logger.log('debug', 'connecting', { host: host, port: port });
+            socket = await new Promise(function(resolve, reject) {
+                const connection = net.connect(port, host);
+                connection.once('connect', function() {
+                    connection.removeListener('error', reject);
+                    resolve(connection);
+                });
+                connection.once('error', reject);
+            });
+            stream = new FramedStream(socket, socket, this.debug, logger);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$connect',
+                $exception: '$noConnection',
+                $text: 'The attempt to connect to the HSM failed.'
+            }, cause);
+            logger.exception(exception);
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns whether or not the link to the hardware security module is still
+     * established.
+     *
+     * @returns {Boolean} Whether or not the transport is connected.
+     */
+    this.isConnected = function() {
+        return (socket && !socket.destroyed) ? true : false;
+    };
+
+    /**
+     * This method returns the identifier of the hardware security module, which is
+     * the URL of the TCP endpoint.
+     *
+     * @returns {String} The identifier of the device.
+     */
+    this.getDeviceId = async function() {
+        return 'tcp://' + host + ':' + port;
+    };
+
+    /**
+     * This method writes a block of bytes to the hardware security module and returns the
+     * bytes of the response.
+     *
+     * @param {Buffer} block The block of bytes to be written.
+     * @returns {Buffer} A buffer containing the bytes for the response.
+     */
+    this.processBlock = async function(block) {
+        if (!stream) throw Error('The transport is not connected to an HSM.');
+        return await stream.processBlock(block);
+    };
+
+    /**
+     * This method closes the TCP connection if it is open. The HSM is given a moment to close
+     * its end of the connection before the socket is destroyed.
+     */
+    this.disconnect = async function() {
+        if (socket) {
+            const connection = socket;
+            if (!connection.destroyed) {
+                await new Promise(function(resolve) {
+                    const timer = setTimeout(resolve, CLOSE_TIMEOUT);
+                    connection.once('close', function() {
+                        clearTimeout(timer);
+                        resolve();
+                    });
+                    connection.end();
+                });
+            }
+            connection.destroy();
+        }
+        socket = undefined;
+        stream = undefined;
+    };
+
+    return this;
+};
+TCPTransport.prototype.constructor = TCPTransport;
+exports.TCPTransport = TCPTransport;
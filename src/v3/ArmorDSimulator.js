@@ -0,0 +1,50 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////////////
+// This module should only be used for LOCAL TESTING.  It CANNOT guarantee the       //
+// protection of the private keys from people and other processes that have access  //
+// to the RAM and storage devices for the host it runs on.                           //
+//                             YOU HAVE BEEN WARNED!!!                               //
+///////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * This class implements a software simulation of an ArmorD™ hardware security module whose
+ * firmware speaks the v3 protocol. It supports the v2 algorithm suite along with every v3
+ * algorithm suite, and otherwise behaves exactly like the v2 simulator.
+ */
+const util = require('util');
+const AlgorithmSuite = require('../v2/AlgorithmSuite').AlgorithmSuite;
+const HSMProxy = require('./HSMProxy').HSMProxy;
+const v2 = require('../v2/ArmorDSimulator');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new software simulation of an ArmorD™ hardware security module that
+ * speaks the v3 protocol.
+ *
+ * @param {String} directory An optional directory to be used for storing the state of the
+ * simulated device.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Object} options An optional object containing the same options as the v2 simulator.
+ * @returns {Object} The new simulated hardware security module.
+ */
+const ArmorDSimulator = function(directory, debug, options) {
+    options = Object.assign({}, options);
+    options.suites = [AlgorithmSuite.V2].concat(Object.values(HSMProxy.SUITES));
+    return v2.ArmorDSimulator.call(this, directory, debug, options);
+};
+util.inherits(ArmorDSimulator, v2.ArmorDSimulator);
+ArmorDSimulator.prototype.constructor = ArmorDSimulator;
+exports.ArmorDSimulator = ArmorDSimulator;
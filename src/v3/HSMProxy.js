@@ -0,0 +1,85 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a proxy to a remote hardware security module that speaks the v3
+ * protocol. The v3 protocol is the v2 protocol with a choice of algorithm suites, for partners
+ * whose verifiers require algorithms other than sha512/ed25519:
+ * <pre>
+ *   * sha256-p256 - SHA-256 digests and ECDSA signatures over the NIST P-256 curve
+ *   * sha3-512-ed448 - SHA3-512 digests and ed448 signatures
+ * </pre>
+ * The code of the suite is carried in the type of each request that depends on the algorithms
+ * (see the Codec class), so the proxy is the v2 proxy configured with a v3 suite. A device
+ * must report that it supports the v3 protocol and the algorithms of the suite before the proxy
+ * will use it.
+ */
+const util = require('util');
+const bali = require('bali-component-framework').api();
+const AlgorithmSuite = require('../v2/AlgorithmSuite').AlgorithmSuite;
+const Logger = require('../v2/Logger').Logger;
+const v2 = require('../v2/HSMProxy');
+
+
+// PRIVATE CONSTANTS
+
+const PROTOCOL = 'v3';
+
+// the algorithm suites offered by this version of the protocol (the code zero is the v2 suite)
+const SUITES = {};
+[
+    new AlgorithmSuite(PROTOCOL, 1, 'sha256', 'p256'),
+    new AlgorithmSuite(PROTOCOL, 2, 'sha3-512', 'ed448')
+].forEach(function(suite) {
+    SUITES[suite.getName()] = suite;
+});
+const DEFAULT_SUITE = 'sha256-p256';
+
+const moduleName = '/bali/notary/' + PROTOCOL + '/HSMProxy';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new instance of a remote hardware security module (HSM) proxy that
+ * speaks the v3 protocol.
+ *
+ * @param {String} directory An optional directory to be used for local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs.
+ * @param {Object} options An optional object containing the same configuration options as the
+ * v2 proxy, where the suite option is the name of a v3 algorithm suite (the default is
+ * 'sha256-p256').
+ * @returns {Object} The new hardware security module proxy.
+ */
+const HSMProxy = function(directory, debug, options) {
+    options = Object.assign({}, options);
+    const name = options.suite || DEFAULT_SUITE;
+    if (!SUITES[name]) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$HSMProxy',
+            $exception: '$invalidOption',
+            $suite: bali.text(String(name)),
+            $text: 'The suite option must be one of: ' + Object.keys(SUITES).join(', ')
+        });
+        Logger.fromOptions(moduleName, debug, options).exception(exception);
+        throw exception;
+    }
+    options.suite = SUITES[name];
+    return v2.HSMProxy.call(this, directory, debug, options);
+};
+util.inherits(HSMProxy, v2.HSMProxy);
+HSMProxy.prototype.constructor = HSMProxy;
+exports.HSMProxy = HSMProxy;
+
+// the algorithm suites are shared with the simulated devices that speak this protocol
+HSMProxy.SUITES = SUITES;
@@ -0,0 +1,112 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const directory = 'test/config/simulator/';
+const device = require('../').simulator(directory, debug);
+
+// formats a request the same way the HSMProxy does
+const request = function(type, ...args) {
+    var bytes = Buffer.from([type, args.length]);
+    args.forEach(function(arg) {
+        bytes = Buffer.concat([bytes, Buffer.from([arg.length >> 8, arg.length & 0xFF]), arg]);
+    });
+    return bytes;
+};
+
+describe('Bali Nebula™ ArmorD Simulator', function() {
+
+    const proxyKey = crypto.randomBytes(32);
+    const newProxyKey = crypto.randomBytes(32);
+    const bytes = Buffer.from('This is a test...');
+    var publicKey, previousPublicKey;
+
+    describe('Test Key Lifecycle', function() {
+
+        it('should erase any existing keys', async function() {
+            const response = await device.processBlock(request(3));
+            expect(response[0]).to.equal(1);
+        });
+
+        it('should generate a new key pair', async function() {
+            publicKey = await device.processBlock(request(1, proxyKey));
+            expect(publicKey.length).to.equal(32);
+        });
+
+        it('should refuse to generate a second key pair', async function() {
+            const response = await device.processBlock(request(1, proxyKey));
+            expect(response.length).to.equal(1);
+            expect(response[0]).to.be.above(1);
+        });
+
+        it('should refuse to sign with the wrong proxy key', async function() {
+            const response = await device.processBlock(request(5, newProxyKey, bytes));
+            expect(response.length).to.equal(1);
+            expect(response[0]).to.be.above(1);
+        });
+
+        it('should sign and validate the bytes', async function() {
+            const signature = await device.processBlock(request(5, proxyKey, bytes));
+            expect(signature.length).to.equal(64);
+            const response = await device.processBlock(request(6, publicKey, signature, bytes));
+            expect(response[0]).to.equal(1);
+        });
+
+        it('should sign with the previous key exactly once after rotation', async function() {
+            previousPublicKey = publicKey;
+            publicKey = await device.processBlock(request(2, proxyKey, newProxyKey));
+            expect(publicKey.equals(previousPublicKey)).to.equal(false);
+            var signature = await device.processBlock(request(5, proxyKey, bytes));
+            var response = await device.processBlock(request(6, previousPublicKey, signature, bytes));
+            expect(response[0]).to.equal(1);
+            signature = await device.processBlock(request(5, newProxyKey, bytes));
+            response = await device.processBlock(request(6, publicKey, signature, bytes));
+            expect(response[0]).to.equal(1);
+        });
+
+        it('should persist its state across instances', async function() {
+            const copy = require('../').simulator(directory, debug);
+            const signature = await copy.processBlock(request(5, newProxyKey, bytes));
+            const response = await copy.processBlock(request(6, publicKey, signature, bytes));
+            expect(response[0]).to.equal(1);
+        });
+
+    });
+
+    describe('Test Multiple Blocks', function() {
+
+        it('should reassemble a request sent in reverse order', async function() {
+            const large = crypto.randomBytes(1500);
+            const whole = request(4, large);
+            const blocks = [];
+            for (var offset = 512, index = 1; offset < whole.length; offset += 510, index++) {
+                blocks.push(Buffer.concat([Buffer.from([0x00, index]), whole.slice(offset, offset + 510)]));
+            }
+            for (var block = blocks.length - 1; block >= 0; block--) {
+                const response = await device.processBlock(blocks[block]);
+                expect(response[0]).to.equal(1);
+            }
+            const digest = await device.processBlock(whole.slice(0, 512));
+            expect(digest.equals(crypto.createHash('sha512').update(large).digest())).to.equal(true);
+        });
+
+        it('should reject a malformed request', async function() {
+            const response = await device.processBlock(Buffer.from([4, 1, 0xFF, 0xFF, 0x00]));
+            expect(response.length).to.equal(1);
+            expect(response[0]).to.be.above(1);
+        });
+
+    });
+
+});
@@ -0,0 +1,220 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api();
+const hsm = require('../');
+const directory = 'test/config/audit/';
+const device = hsm.simulator(directory + 'device/', debug);
+const transport = hsm.localTransport(device, debug);
+const file = directory + 'proxy/HSMProxyv2.audit';
+
+// start each run with a new audit log
+fs.rmSync(directory + 'proxy/', { recursive: true, force: true });
+
+// returns the entries in the audit log
+const readEntries = function() {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(function(line) {
+        return JSON.parse(line);
+    });
+};
+
+// replaces the entries in the audit log
+const writeEntries = function(entries) {
+    fs.writeFileSync(file, entries.map(function(entry) {
+        return JSON.stringify(entry) + '\n';
+    }).join(''));
+};
+
+describe('Bali Nebula™ HSM Audit Log', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport, passphrase: 'secret' });
+    var publicKey, signature, original;
+
+    describe('Test Recording', function() {
+
+        it('should record each key lifecycle operation and signature', async function() {
+            await proxy.unlock('secret');
+            await proxy.eraseKeys();
+            const start = readEntries().length;  // the erasure itself is recorded
+            publicKey = await proxy.generateKeys();
+            signature = await proxy.signBytes(bytes);
+            await proxy.generateKeys('personal');
+            await proxy.rotateKeys('personal');
+            const entries = readEntries().slice(start);
+            expect(entries.length).to.equal(4);
+            expect(entries[0]).to.deep.include({ operation: '$generateKeys', from: '$keyless', to: '$loneKey' });
+            expect(entries[0].publicKey).to.equal(publicKey.getValue().toString('hex'));
+            expect(entries[1].operation).to.equal('$signBytes');
+            expect(entries[1].bytesDigest).to.equal(crypto.createHash('sha512').update(bytes).digest('hex'));
+            expect(entries[1].signatureDigest).to.equal(crypto.createHash('sha512').update(signature.getValue()).digest('hex'));
+            expect(entries[3]).to.deep.include({ operation: '$rotateKeys', slot: 'personal', from: '$loneKey', to: '$twoKeys' });
+            entries.forEach(function(entry, index) {
+                expect(Date.parse(entry.timestamp)).to.be.above(0);
+                if (index > 0) expect(entry.previous).to.equal(entries[index - 1].hash);
+            });
+        });
+
+        it('should verify an untouched audit log', async function() {
+            await proxy.eraseKeys();
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(true);
+            expect(result.getAttribute('$entries').toInteger()).to.equal(readEntries().length);
+            original = readEntries();
+        });
+
+    });
+
+    describe('Test Tampering', function() {
+
+        it('should detect an edited entry', async function() {
+            const entries = readEntries();
+            entries[2].bytesDigest = entries[2].bytesDigest.replace(/^./, 'x');  // the signature
+            writeEntries(entries);
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(false);
+            expect(result.getAttribute('$sequence').toInteger()).to.equal(3);
+            writeEntries(original);
+        });
+
+        it('should detect a removed entry', async function() {
+            writeEntries(original.slice(0, 1).concat(original.slice(2)));
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(false);
+            expect(result.getAttribute('$sequence').toInteger()).to.equal(2);
+            writeEntries(original);
+        });
+
+        it('should detect a truncated audit log', async function() {
+            writeEntries(original.slice(0, original.length - 1));
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(false);
+            expect(result.getAttribute('$problem').getValue()).to.include('truncated');
+            writeEntries(original);
+        });
+
+        it('should detect a truncated audit log whose head was rewritten', async function() {
+            const head = file + '.head';
+            const saved = fs.readFileSync(head, 'utf8');
+            const kept = original.slice(0, original.length - 2);
+            writeEntries(kept);
+            const anchor = bali.component(saved.slice(0, -1));  // remove the POSIX EOL
+            anchor.setAttribute('$entries', kept.length);
+            anchor.setAttribute('$head', bali.binary(Buffer.from(kept[kept.length - 1].hash, 'hex')));
+            fs.writeFileSync(head, bali.document(anchor) + '\n');
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(false);
+            expect(result.getAttribute('$problem').getValue()).to.include('head');
+            writeEntries(original);
+            fs.writeFileSync(head, saved);
+        });
+
+        it('should detect a missing head', async function() {
+            const head = file + '.head';
+            const saved = fs.readFileSync(head);
+            fs.unlinkSync(head);
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(false);
+            fs.writeFileSync(head, saved);
+            const restored = await proxy.verifyAuditLog();
+            expect(restored.getAttribute('$valid').isSignificant()).to.equal(true);
+        });
+
+        it('should detect an entry whose hashes were recalculated without the key', async function() {
+            const entries = readEntries();
+            entries[2].bytesDigest = entries[2].bytesDigest.replace(/^./, 'x');
+            for (var index = 2; index < entries.length; index++) {
+                const entry = entries[index];
+                entry.previous = entries[index - 1].hash;
+                delete entry.hash;
+                entry.hash = crypto.createHash('sha512').update(JSON.stringify(entry)).digest('hex');
+            }
+            writeEntries(entries);
+            const result = await proxy.verifyAuditLog();
+            expect(result.getAttribute('$valid').isSignificant()).to.equal(false);
+            expect(result.getAttribute('$sequence').toInteger()).to.equal(3);
+            writeEntries(original);
+        });
+
+    });
+
+    describe('Test Keying', function() {
+
+        it('should refuse to verify the audit log without the passphrase', async function() {
+            const locked = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await assert.rejects(async function() {
+                await locked.verifyAuditLog();
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$locked';
+            });
+        });
+
+        it('should refuse to unlock an audit log whose head is missing', async function() {
+            const head = file + '.head';
+            const saved = fs.readFileSync(head);
+            fs.unlinkSync(head);
+            const locked = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await assert.rejects(async function() {
+                await locked.unlock('secret');
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$invalidHead';
+            });
+            expect(readEntries()).to.deep.equal(original);  // nothing was archived
+            fs.writeFileSync(head, saved);
+        });
+
+        it('should add the operations performed while locked once it is unlocked', async function() {
+            const locked = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await locked.eraseKeys();
+            expect(readEntries().length).to.equal(original.length);
+            await locked.unlock('secret');
+            const entries = readEntries();
+            expect(entries.length).to.equal(original.length + 1);
+            expect(entries[entries.length - 1]).to.deep.include({ operation: '$eraseKeys', deferred: true });
+            expect((await locked.verifyAuditLog()).getAttribute('$valid').isSignificant()).to.equal(true);
+        });
+
+        it('should keep the audit log when the passphrase changes', async function() {
+            const before = readEntries();
+            await proxy.changePassphrase('secret', 'other');
+            const entries = readEntries();
+            expect(entries.length).to.equal(before.length);
+            expect(entries[0].hash).to.not.equal(before[0].hash);
+            const restarted = hsm.proxy(directory + 'proxy/', debug, { transport: transport, passphrase: 'other' });
+            expect((await restarted.verifyAuditLog()).getAttribute('$valid').isSignificant()).to.equal(true);
+            await restarted.changePassphrase('other', 'secret');
+        });
+
+        it('should archive an audit log that was keyed using another passphrase', async function() {
+            const entries = readEntries().length;
+            const other = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await other.eraseKeys();
+            await other.unlock('another passphrase');  // there are no keys, so any passphrase is accepted
+            const archived = fs.readdirSync(directory + 'proxy/').filter(function(name) {
+                return /^HSMProxyv2\.audit\.[0-9]+$/.test(name);
+            });
+            expect(archived.length).to.equal(1);
+            expect(readEntries()[0]).to.deep.include({ archived: archived[0], entries: entries });
+            expect(readEntries()[1]).to.deep.include({ operation: '$eraseKeys', deferred: true });
+            expect((await other.verifyAuditLog()).getAttribute('$valid').isSignificant()).to.equal(true);
+            await other.close();
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,167 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api();
+const hsm = require('../');
+const directory = 'test/config/backup/';
+fs.rmSync(directory, { recursive: true, force: true });  // each laptop starts out empty
+const device = hsm.simulator(directory + 'device/', debug);
+
+// each proxy runs on a different laptop (or on the same one after a restart)
+const laptop = function(name, passphrase) {
+    return hsm.proxy(directory + name + '/', debug, {
+        transport: hsm.localTransport(device, debug),
+        passphrase: passphrase || 'secret'
+    });
+};
+
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Backup and Restore', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    var publicKey, bundle;
+
+    describe('Test a Single Bundle', function() {
+
+        it('should export a versioned and encrypted bundle', async function() {
+            const proxy = laptop('original');
+            await proxy.eraseKeys();
+            publicKey = await proxy.generateKeys();
+            await proxy.generateKeys('organization');
+            bundle = await proxy.exportBackup('backup passphrase');
+            expect(bundle.getAttribute('$version').toInteger()).to.equal(1);
+            expect(bundle.getAttribute('$tag').toString()).to.equal((await proxy.getTag()).toString());
+            expect(bundle.getAttribute('$revision').toInteger()).to.equal(2);
+            expect(bundle.toString()).to.not.contain(publicKey.toString());  // everything is encrypted
+        });
+
+        it('should restore the configuration on another laptop', async function() {
+            var proxy = laptop('replacement', 'backup passphrase');
+            const restored = await proxy.importBackup(bundle.toString(), 'backup passphrase');
+            expect(restored.getAttribute('$revision').toInteger()).to.equal(2);
+            proxy = laptop('replacement', 'backup passphrase');  // the proxy keys are protected by the backup passphrase
+            expect((await proxy.getTag()).toString()).to.equal(bundle.getAttribute('$tag').toString());
+            expect((await proxy.getPublicKey()).toString()).to.equal(publicKey.toString());
+            expect((await proxy.getState('organization')).getAttribute('$state').toString()).to.equal('$loneKey');
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            expect(await proxy.signBytes(bytes, 'organization')).to.exist;
+        });
+
+        it('should refuse the wrong passphrase or a modified bundle', async function() {
+            const proxy = laptop('refused');
+            await assert.rejects(async function() {
+                await proxy.importBackup(bundle, 'wrong passphrase');
+            }, isType('$invalidPassphrase'));
+            const modified = bali.duplicate(bundle);
+            modified.setAttribute('$revision', 99);
+            await assert.rejects(async function() {
+                await proxy.importBackup(modified, 'backup passphrase');
+            }, isType('$invalidPassphrase'));
+            const later = bali.duplicate(bundle);
+            later.setAttribute('$version', 2);
+            await assert.rejects(async function() {
+                await proxy.importBackup(later, 'backup passphrase');
+            }, isType('$invalidBackup'));
+            await assert.rejects(async function() {
+                await proxy.importBackup('[$version: 1]', 'backup passphrase');
+            }, isType('$invalidBackup'));
+            expect(await proxy.getPublicKey()).to.not.exist;
+        });
+
+    });
+
+    describe('Test Restore Protection', function() {
+
+        it('should refuse to overwrite a newer configuration', async function() {
+            const proxy = laptop('replacement', 'backup passphrase');
+            await proxy.rotateKeys();
+            await assert.rejects(async function() {
+                await proxy.importBackup(bundle, 'backup passphrase');
+            }, isType('$newerConfiguration'));
+            const newer = await proxy.exportBackup('backup passphrase');
+            const restored = await proxy.importBackup(newer, 'backup passphrase');  // nothing has changed since
+            expect(restored.getAttribute('$revision').toInteger()).to.equal(3);
+        });
+
+        it('should refuse to overwrite another proxy that holds keys', async function() {
+            const proxy = laptop('other');
+            await proxy.generateKeys('other');
+            await assert.rejects(async function() {
+                await proxy.importBackup(bundle, 'backup passphrase');
+            }, isType('$existingConfiguration'));
+            await proxy.eraseKeys('other');
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Secret Shares', function() {
+
+        var shares;
+
+        it('should split the bundle into shares', async function() {
+            const proxy = laptop('replacement', 'backup passphrase');
+            shares = (await proxy.exportBackup('backup passphrase', { threshold: 3, shares: 5 })).toArray();
+            expect(shares.length).to.equal(5);
+            shares.forEach(function(share, index) {
+                expect(share.getAttribute('$threshold').toInteger()).to.equal(3);
+                expect(share.getAttribute('$share').getAttribute('$index').toInteger()).to.equal(index + 1);
+            });
+            await assert.rejects(async function() {
+                await proxy.exportBackup('backup passphrase', { threshold: 1, shares: 5 });
+            }, isType('$invalidSharing'));
+            await assert.rejects(async function() {
+                await proxy.exportBackup('backup passphrase', { threshold: 4, shares: 3 });
+            }, isType('$invalidSharing'));
+        });
+
+        it('should restore the bundle from any three of the shares', async function() {
+            const combinations = [[0, 1, 2], [0, 2, 4], [1, 3, 4], [4, 3, 2, 1]];
+            for (var index = 0; index < combinations.length; index++) {
+                const proxy = laptop('shared' + index, 'backup passphrase');
+                const selected = combinations[index].map(function(share) {
+                    return shares[share].toString();
+                });
+                await proxy.importBackup(selected, 'backup passphrase');
+                expect(await proxy.signBytes(bytes, 'organization')).to.exist;
+                await proxy.close();
+            }
+        });
+
+        it('should refuse too few shares or a share of another backup', async function() {
+            const proxy = laptop('shared');
+            await assert.rejects(async function() {
+                await proxy.importBackup([shares[0], shares[1], shares[1]], 'backup passphrase');
+            }, isType('$invalidBackup'));
+            const other = (await laptop('replacement', 'backup passphrase').exportBackup('backup passphrase', { threshold: 2, shares: 2 })).toArray();
+            await assert.rejects(async function() {
+                await proxy.importBackup([shares[0], other[1], shares[2]], 'backup passphrase');
+            }, isType('$invalidBackup'));
+            await assert.rejects(async function() {
+                await proxy.importBackup(shares.slice(0, 3), 'wrong passphrase');
+            }, isType('$invalidPassphrase'));
+            await proxy.close();
+        });
+
+    });
+
+});
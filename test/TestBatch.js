@@ -0,0 +1,98 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const hsm = require('../');
+const directory = 'test/config/batch/';
+const device = hsm.simulator(directory + 'device/', debug);
+const transport = hsm.localTransport(device, debug);
+
+// records the events of the specified type that are emitted by the proxy
+const record = function(proxy, type) {
+    const events = [];
+    proxy.on(type, function(details) {
+        events.push(details);
+    });
+    return events;
+};
+
+describe('Bali Nebula™ HSM Batch Signing', function() {
+
+    const items = [ 'first', 'second', 'third', 'fourth' ].map(function(text) {
+        return Buffer.from('This is the ' + text + ' document...');
+    });
+    const proxy = hsm.proxy(directory + 'proxy/', debug, {
+        transport: transport,
+        passphrase: 'secret',
+        idleTimeout: 0,  // each request would otherwise establish a new link
+        policy: { maximumBytes: 64 }
+    });
+    var publicKey;
+
+    describe('Test Single Session', function() {
+
+        it('should sign every item in order over a single link', async function() {
+            await proxy.eraseKeys();
+            publicKey = await proxy.generateKeys();
+            const connections = record(proxy, 'connected');
+            const signatures = await proxy.signBatch(items);
+            expect(connections.length).to.equal(1);
+            expect(signatures.length).to.equal(items.length);
+            for (var index = 0; index < items.length; index++) {
+                expect(await proxy.validSignature(publicKey, signatures[index], items[index])).to.equal(true);
+            }
+            proxy.removeAllListeners();
+        });
+
+        it('should report the items that could not be signed', async function() {
+            const batch = [ items[0], Buffer.alloc(65), items[1] ];
+            const results = await proxy.signBatch(batch);
+            expect(await proxy.validSignature(publicKey, results[0], batch[0])).to.equal(true);
+            expect(results[1].getAttribute('$exception').toString()).to.equal('$policyViolation');
+            expect(results[1].getAttribute('$index').toInteger()).to.equal(2);
+            expect(await proxy.validSignature(publicKey, results[2], batch[2])).to.equal(true);
+        });
+
+    });
+
+    describe('Test Rotated Keys', function() {
+
+        it('should only sign the first item using the previous key', async function() {
+            const previousKey = publicKey;
+            publicKey = await proxy.rotateKeys();
+            const transitions = record(proxy, 'stateTransition');
+            const signatures = await proxy.signBatch(items);
+            expect(await proxy.validSignature(previousKey, signatures[0], items[0])).to.equal(true);
+            for (var index = 1; index < items.length; index++) {
+                expect(await proxy.validSignature(publicKey, signatures[index], items[index])).to.equal(true);
+            }
+            expect(transitions.length).to.equal(1);
+            expect(transitions[0]).to.deep.include({ from: '$twoKeys', to: '$loneKey' });
+            proxy.removeAllListeners();
+        });
+
+        it('should use the previous key for the first item that is actually signed', async function() {
+            const previousKey = publicKey;
+            publicKey = await proxy.rotateKeys();
+            const batch = [ Buffer.alloc(65), items[0], items[1] ];
+            const results = await proxy.signBatch(batch);
+            expect(results[0].getAttribute('$exception').toString()).to.equal('$policyViolation');
+            expect(await proxy.validSignature(previousKey, results[1], batch[1])).to.equal(true);
+            expect(await proxy.validSignature(publicKey, results[2], batch[2])).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+});
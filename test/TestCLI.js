@@ -0,0 +1,199 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const fs = require('fs');
+const crypto = require('crypto');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const hsm = require('../');
+const cli = require('../cli');
+const directory = 'test/config/cli/';
+const device = hsm.simulator(directory + 'device/', debug);
+const transport = hsm.localTransport(device, debug);
+
+// a transport for an HSM that cannot be reached
+const unreachable = hsm.tcpTransport('127.0.0.1', 1, debug);
+
+// runs the tool against the simulated device (or another transport) and captures what it writes
+const run = async function(args, env, other) {
+    const output = { stdout: '', stderr: '' };
+    const capture = function(name) {
+        return {
+            write: function(chunk) {
+                output[name] += chunk;
+            }
+        };
+    };
+    output.code = await cli.run(args.concat('--directory', directory), {
+        stdin: { isTTY: false },
+        stdout: capture('stdout'),
+        stderr: capture('stderr'),
+        env: env || { BALI_HSM_PASSPHRASE: 'secret' },
+        transport: other || transport
+    });
+    return output;
+};
+
+describe('Bali Nebula™ HSM Command-Line Tool', function() {
+
+    const file = directory + 'document.txt';
+    const bytes = Buffer.from('This is a test...');
+
+    before(function() {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(file, bytes);
+    });
+
+    describe('Test Usage', function() {
+
+        it('should print the usage', async function() {
+            const result = await run(['help']);
+            expect(result.code).to.equal(cli.EXIT.SUCCESS);
+            expect(result.stdout).to.contain('export-key');
+        });
+
+        it('should reject a command line that is not valid', async function() {
+            expect((await run([])).code).to.equal(cli.EXIT.USAGE);
+            expect((await run(['launch'])).code).to.equal(cli.EXIT.USAGE);
+            expect((await run(['status', '--verbose'])).code).to.equal(cli.EXIT.USAGE);
+            expect((await run(['sign'])).code).to.equal(cli.EXIT.USAGE);
+            const result = await run(['digest', file, 'extra']);
+            expect(result.code).to.equal(cli.EXIT.USAGE);
+            expect(result.stderr).to.contain('<file>');
+        });
+
+        it('should fail when the transport cannot scan for devices', async function() {
+            const result = await run(['scan']);
+            expect(result.code).to.equal(cli.EXIT.FAILURE);
+            expect(result.stderr).to.contain('scan');
+        });
+
+    });
+
+    describe('Test Key Management', function() {
+
+        var publicKey, signature;
+
+        it('should generate keys and export the public key', async function() {
+            await run(['erase']);
+            const generated = await run(['generate', '--json']);
+            expect(generated.code).to.equal(cli.EXIT.SUCCESS);
+            publicKey = JSON.parse(generated.stdout);
+            expect(Buffer.from(publicKey, 'hex').length).to.equal(32);
+            const exported = await run(['export-key', '--json']);
+            expect(JSON.parse(exported.stdout)).to.equal(publicKey);
+        });
+
+        it('should refuse to generate keys without the passphrase', async function() {
+            const result = await run(['generate', '--slot', 'other'], {});
+            expect(result.code).to.equal(cli.EXIT.FAILURE);
+            expect(result.stderr).to.contain('passphrase');
+        });
+
+        it('should digest and sign a file', async function() {
+            const digest = await run(['digest', file, '--json']);
+            expect(JSON.parse(digest.stdout)).to.equal(crypto.createHash('sha512').update(bytes).digest('hex'));
+            const signed = await run(['sign', file]);
+            expect(signed.code).to.equal(cli.EXIT.SUCCESS);
+            signature = signed.stdout;
+        });
+
+        it('should verify signatures given as files or arguments', async function() {
+            const key = (await run(['export-key'])).stdout;
+            fs.writeFileSync(directory + 'document.sig', signature);
+            expect((await run(['verify', file, directory + 'document.sig', key])).code).to.equal(cli.EXIT.SUCCESS);
+            fs.writeFileSync(directory + 'other.txt', 'This is another test...');
+            const result = await run(['verify', directory + 'other.txt', signature, key]);
+            expect(result.code).to.equal(cli.EXIT.INVALID);
+            expect(result.stdout.trim()).to.equal('false');
+            expect((await run(['verify', file, 'garbage!', key])).code).to.equal(cli.EXIT.USAGE);
+        });
+
+        it('should verify signatures locally without the HSM', async function() {
+            const key = (await run(['export-key'])).stdout;
+            const result = await run(['verify', file, signature, key, '--verification', 'local'], undefined, unreachable);
+            expect(result.code).to.equal(cli.EXIT.SUCCESS);
+            expect(result.stdout.trim()).to.equal('true');
+            expect((await run(['verify', file, signature, key, '--verification', 'remote'])).code).to.equal(cli.EXIT.USAGE);
+        });
+
+        it('should rotate keys and report the status', async function() {
+            const rotated = await run(['rotate', '--json']);
+            expect(rotated.code).to.equal(cli.EXIT.SUCCESS);
+            expect(JSON.parse(rotated.stdout)).to.not.equal(publicKey);
+            expect(JSON.parse((await run(['export-key', '--json'])).stdout)).to.equal(JSON.parse(rotated.stdout));
+            expect(JSON.parse((await run(['export-key', '--previous', '--json'])).stdout)).to.equal(publicKey);
+            const status = await run(['status', '--json']);
+            expect(status.code).to.equal(cli.EXIT.SUCCESS);
+            const description = JSON.parse(status.stdout);
+            expect(description.protocol).to.equal('v2');
+            expect(description.device.serialNumber).to.equal(await device.getDeviceId());
+            expect(description.audit.valid).to.equal(true);
+        });
+
+        it('should export the public key in other formats', async function() {
+            const ssh = await run(['export-key', '--format', 'ssh']);
+            expect(ssh.code).to.equal(cli.EXIT.SUCCESS);
+            expect(ssh.stdout.startsWith('ssh-ed25519 ')).to.equal(true);
+            const jwk = JSON.parse((await run(['export-key', '--format=jwk'])).stdout);
+            expect(jwk.crv).to.equal('Ed25519');
+            expect((await run(['export-key', '--format', 'der'])).code).to.equal(cli.EXIT.USAGE);
+        });
+
+        it('should describe and reconcile the state of the slot', async function() {
+            const state = JSON.parse((await run(['state', '--json'])).stdout);
+            expect(state.state).to.equal('twoKeys');
+            expect(state.events).to.deep.equal(['signBytes']);
+            const reconciled = await run(['reconcile', '--json']);
+            expect(reconciled.code).to.equal(cli.EXIT.SUCCESS);
+            expect(JSON.parse(reconciled.stdout).consistent).to.equal(true);
+            expect((await run(['reconcile', '--repair', 'erase'])).code).to.equal(cli.EXIT.USAGE);
+        });
+
+        it('should report that the configuration needs no migration', async function() {
+            const result = await run(['migrate', '--dry-run', '--json']);
+            expect(result.code).to.equal(cli.EXIT.SUCCESS);
+            const summary = JSON.parse(result.stdout);
+            expect(summary.schemaVersion).to.equal(summary.currentVersion);
+            expect(summary.changes).to.deep.equal([]);
+            expect(summary.dryRun).to.equal(true);
+        });
+
+        it('should manage a named slot', async function() {
+            const generated = await run(['generate', '--slot=organization']);
+            expect(generated.code).to.equal(cli.EXIT.SUCCESS);
+            expect((await run(['export-key', '--slot', 'organization'])).stdout).to.equal(generated.stdout);
+            const status = JSON.parse((await run(['status', '--json'])).stdout);
+            expect(status.slots.organization).to.exist;
+        });
+
+        it('should describe the stored configuration when the HSM cannot be reached', async function() {
+            const result = await run(['status', '--json'], undefined, unreachable);
+            expect(result.code).to.equal(cli.EXIT.SUCCESS);
+            const status = JSON.parse(result.stdout);
+            expect(status.device).to.equal(null);
+            expect(status.slots.organization).to.exist;
+            expect(status.audit.valid).to.equal(true);
+        });
+
+        it('should forget the public keys that were erased', async function() {
+            const erased = await run(['erase', '--json']);
+            expect(erased.code).to.equal(cli.EXIT.SUCCESS);
+            const result = await run(['export-key', '--json']);
+            expect(result.code).to.equal(cli.EXIT.FAILURE);
+            expect(JSON.parse(result.stderr).error).to.equal('noPublicKey');
+            expect((await run(['export-key', '--slot', 'organization'])).code).to.equal(cli.EXIT.FAILURE);
+        });
+
+    });
+
+});
@@ -0,0 +1,265 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const codec = require('../').codec(debug);
+
+const iterations = 200;  // the number of random cases generated for each property
+
+// returns a random integer in the range [minimum..maximum]
+const random = function(minimum, maximum) {
+    return minimum + crypto.randomInt(maximum - minimum + 1);
+};
+
+// generates the arguments for a random request
+const randomRequest = function() {
+    const type = ['generateKeys', 'rotateKeys', 'eraseKeys', 'digestBytes', 'signBytes', 'validSignature'][random(0, 5)];
+    switch (type) {
+        case 'generateKeys':
+            return [type, crypto.randomBytes(32)];
+        case 'rotateKeys':
+            return [type, crypto.randomBytes(32), crypto.randomBytes(32)];
+        case 'eraseKeys':
+            return [type];
+        case 'digestBytes':
+            return [type, crypto.randomBytes(random(0, 4000))];
+        case 'signBytes':
+            return [type, crypto.randomBytes(32), crypto.randomBytes(random(0, 4000))];
+        case 'validSignature':
+            return [type, crypto.randomBytes(32), crypto.randomBytes(64), crypto.randomBytes(random(0, 4000))];
+    }
+};
+
+// expects the function to throw a Bali exception of the specified type
+const expectException = function(type, procedure) {
+    try {
+        procedure();
+    } catch (exception) {
+        expect(exception.getAttribute('$exception').toString()).to.equal(type);
+        return;
+    }
+    expect.fail('No exception of type ' + type + ' was thrown.');
+};
+
+describe('Bali Nebula™ HSM Codec', function() {
+
+    describe('Test Round Trips', function() {
+
+        it('should decode every encoded request', function() {
+            for (var i = 0; i < iterations; i++) {
+                const input = randomRequest();
+                const decoded = codec.decodeRequest(codec.encodeRequest(...input));
+                expect(decoded.type).to.equal(input[0]);
+                expect(decoded.args.length).to.equal(input.length - 1);
+                decoded.args.forEach(function(arg, index) {
+                    expect(arg.equals(input[index + 1])).to.equal(true);
+                });
+            }
+        });
+
+        it('should reassemble every request split into blocks', function() {
+            for (var i = 0; i < iterations; i++) {
+                const request = codec.encodeRequest(...randomRequest());
+                const blocks = codec.encodeBlocks(request).map(function(block) {
+                    expect(block.length).to.be.at.most(512);
+                    return codec.decodeBlock(block);
+                });
+                const header = blocks.pop();
+                expect(header.index).to.equal(0);
+                const extra = blocks.reverse().map(function(block, index) {
+                    expect(block.index).to.equal(index + 1);  // sent in reverse order
+                    return block.bytes;
+                });
+                expect(Buffer.concat([header.bytes].concat(extra)).equals(request)).to.equal(true);
+            }
+        });
+
+        it('should split requests into blocks that fit in the MTU', function() {
+            [ 20, 23, 100, 182, 244, 512 ].forEach(function(blockSize) {
+                const request = codec.encodeRequest(...randomRequest());
+                const blocks = codec.encodeBlocks(request, blockSize).map(function(block) {
+                    expect(block.length).to.be.at.most(blockSize);
+                    return codec.decodeBlock(block);
+                });
+                const header = blocks.pop();
+                const extra = blocks.reverse().map(function(block) {
+                    return block.bytes;
+                });
+                expect(Buffer.concat([header.bytes].concat(extra)).equals(request)).to.equal(true);
+            });
+        });
+
+        it('should use the extended framing only for requests that need it', function() {
+            const short = codec.encodeRequest('digestBytes', crypto.randomBytes(1000));
+            expect(codec.encodeBlocks(short, 20, true).some(codec.isExtended)).to.equal(false);
+            const long = codec.encodeRequest('digestBytes', crypto.randomBytes(5000));
+            const blocks = codec.encodeBlocks(long, 20, true);
+            expect(blocks.length).to.be.above(256);
+            expect(blocks.every(codec.isExtended)).to.equal(true);
+            const decoded = blocks.map(function(block) {
+                expect(block.length).to.be.at.most(20);
+                return codec.decodeBlock(block);
+            });
+            const header = decoded.pop();
+            const extra = decoded.reverse().map(function(block, index) {
+                expect(block.index).to.equal(index + 1);
+                return block.bytes;
+            });
+            const request = codec.decodeRequest(Buffer.concat([header.bytes].concat(extra)));
+            expect(request.extended).to.equal(true);
+            expect(request.args[0].equals(codec.decodeRequest(long).args[0])).to.equal(true);
+        });
+
+        it('should encode long arguments using the extended framing', function() {
+            const bytes = crypto.randomBytes(70000);
+            const request = codec.encodeRequest('signBytes', crypto.randomBytes(32), bytes, Buffer.from('personal'));
+            const decoded = codec.decodeRequest(request);
+            expect(decoded.extended).to.equal(true);
+            expect(decoded.args[1].equals(bytes)).to.equal(true);
+            expect(codec.decodeSlot(decoded)).to.equal('personal');
+        });
+
+        it('should decode the key slot of a request', function() {
+            const slotted = codec.decodeRequest(codec.encodeRequest('signBytes', crypto.randomBytes(32), Buffer.alloc(10), Buffer.from('personal')));
+            expect(codec.decodeSlot(slotted)).to.equal('personal');
+            const unslotted = codec.decodeRequest(codec.encodeRequest('signBytes', crypto.randomBytes(32), Buffer.alloc(10)));
+            expect(codec.decodeSlot(unslotted)).to.equal(undefined);
+        });
+
+        it('should decode every encoded response', function() {
+            for (var i = 0; i < iterations; i++) {
+                const value = crypto.randomBytes(64);
+                expect(codec.decodeResponse('signBytes', codec.encodeResponse('signBytes', value)).equals(value)).to.equal(true);
+                const flag = random(0, 1) === 1;
+                expect(codec.decodeResponse('validSignature', codec.encodeResponse('validSignature', flag))).to.equal(flag);
+            }
+        });
+
+        it('should decode the encoded device information', function() {
+            const info = {
+                extendedFraming: true,
+                maximumRequest: 33292292,
+                protocols: ['v2', 'v3'],
+                algorithms: ['sha512', 'ed25519'],
+                firmware: '2.1.0',
+                serialNumber: '#NZPR6Y3VMC2FYGH4JF5WDA3YLBLMZJTQ'
+            };
+            const request = codec.encodeRequest('getDeviceInfo');
+            expect(codec.encodeBlocks(request).length).to.equal(1);
+            expect(codec.decodeRequest(request).type).to.equal('getDeviceInfo');
+            expect(codec.decodeResponse('getDeviceInfo', codec.encodeResponse('getDeviceInfo', info))).to.deep.equal(info);
+        });
+
+        it('should decode the encoded key status', function() {
+            const request = codec.encodeRequest('getKeyStatus', crypto.randomBytes(32), Buffer.from('organization'));
+            const decoded = codec.decodeRequest(request);
+            expect(decoded.type).to.equal('getKeyStatus');
+            expect(codec.decodeSlot(decoded)).to.equal('organization');
+            const status = { keys: 2, matches: true };
+            expect(codec.decodeResponse('getKeyStatus', codec.encodeResponse('getKeyStatus', status))).to.deep.equal(status);
+            expectException('$invalidResponse', function() {
+                codec.encodeResponse('getKeyStatus', { keys: 3, matches: false });
+            });
+            expectException('$invalidResponse', function() {
+                codec.decodeResponse('getKeyStatus', Buffer.from([0x03, 0x00]));
+            });
+        });
+
+    });
+
+    describe('Test Rejections', function() {
+
+        it('should reject an unknown request type', function() {
+            expectException('$invalidType', function() {
+                codec.encodeRequest('launchMissiles');
+            });
+            expectException('$invalidType', function() {
+                codec.decodeRequest(Buffer.from([0x09, 0x00]));
+            });
+        });
+
+        it('should reject the wrong number of arguments', function() {
+            expectException('$argumentCount', function() {
+                codec.encodeRequest('eraseKeys', Buffer.alloc(1), Buffer.alloc(1));
+            });
+            expectException('$argumentCount', function() {
+                codec.encodeRequest('digestBytes', Buffer.alloc(1), Buffer.from('personal'));
+            });
+            expectException('$argumentCount', function() {
+                codec.encodeRequest('signBytes', crypto.randomBytes(32));
+            });
+        });
+
+        it('should reject oversized arguments instead of truncating them', function() {
+            expectException('$argumentTooLong', function() {
+                codec.encodeRequest('digestBytes', Buffer.alloc(16777216));
+            });
+            expectException('$invalidArgument', function() {
+                codec.encodeRequest('generateKeys', crypto.randomBytes(33));
+            });
+            expectException('$invalidSlot', function() {
+                codec.encodeRequest('generateKeys', crypto.randomBytes(32), Buffer.alloc(65));
+            });
+            expectException('$invalidSlot', function() {
+                codec.encodeRequest('eraseKeys', Buffer.alloc(0));
+            });
+        });
+
+        it('should reject requests that do not fit in the framing', function() {
+            const long = codec.encodeRequest('digestBytes', crypto.randomBytes(5000));
+            expectException('$requestTooLong', function() {
+                codec.encodeBlocks(long, 20);
+            });
+            expectException('$requestTooLong', function() {
+                codec.encodeBlocks(codec.encodeRequest('digestBytes', crypto.randomBytes(70000)));
+            });
+            expectException('$invalidBlockSize', function() {
+                codec.encodeBlocks(long, 19, true);
+            });
+        });
+
+        it('should reject malformed requests', function() {
+            for (var i = 0; i < iterations; i++) {
+                const request = codec.encodeRequest(...randomRequest());
+                const length = random(0, request.length - 1);
+                expect(function() {
+                    codec.decodeRequest(request.slice(0, length));
+                }).to.throw();
+            }
+        });
+
+        it('should map failure statuses to typed exceptions', function() {
+            expectException('$invalidRequest', function() {
+                codec.decodeResponse('digestBytes', Buffer.from([0x02]));
+            });
+            expectException('$invalidState', function() {
+                codec.decodeResponse('generateKeys', Buffer.from([0x03]));
+            });
+            expectException('$invalidProxyKey', function() {
+                codec.decodeResponse('signBytes', Buffer.from([0x04]));
+            });
+            expectException('$deviceFailure', function() {
+                codec.decodeResponse('eraseKeys', Buffer.from([0xFF]));
+            });
+            expectException('$invalidResponse', function() {
+                codec.decodeResponse('generateKeys', crypto.randomBytes(31));
+            });
+            expectException('$invalidResponse', function() {
+                codec.decodeResponse('getDeviceInfo', Buffer.from([0x01, 0x00, 0x00, 0xFF, 0xFF, 0x01]));
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,149 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const codec = hsm.codec(debug);
+const directory = 'test/config/device/';
+
+// a simulated device that records the blocks it receives and can misreport its capabilities
+const recordingDevice = function(simulator, info) {
+    const device = {
+        blocks: [],
+        getDeviceId: async function() {
+            return await simulator.getDeviceId();
+        },
+        processBlock: async function(block) {
+            device.blocks.push(block);
+            if (info && codec.decodeBlock(block).index === 0 && codec.decodeRequest(block).type === 'getDeviceInfo') {
+                return codec.encodeResponse('getDeviceInfo', info);
+            }
+            return await simulator.processBlock(block);
+        }
+    };
+    return device;
+};
+
+// creates a proxy that talks to the specified device
+const createProxy = function(name, device, blockSize) {
+    const transport = hsm.localTransport(device, debug, { blockSize: blockSize });
+    return hsm.proxy(directory + name + '/', debug, { transport: transport, passphrase: 'secret' });
+};
+
+// checks that a rejected exception has the specified type
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Device Information', function() {
+
+    describe('Test Current Firmware', function() {
+
+        const simulator = hsm.simulator(directory + 'current/', debug);
+        const device = recordingDevice(simulator);
+        const proxy = createProxy('current', device);
+
+        it('should retrieve the capabilities of the device before anything else', async function() {
+            const negotiations = [];
+            proxy.on('negotiated', function(details) {
+                negotiations.push(details);
+            });
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            expect(codec.decodeRequest(device.blocks[0]).type).to.equal('getDeviceInfo');
+            expect(negotiations.length).to.equal(1);  // only the first time
+            expect(negotiations[0].device).to.equal(await simulator.getDeviceId());
+            expect(negotiations[0].protocols).to.deep.equal(['v2']);
+            proxy.removeAllListeners();
+        });
+
+        it('should describe the device', async function() {
+            const info = await proxy.getDeviceInfo();
+            expect(info.getAttribute('$firmware').getValue()).to.equal('2.1.0');
+            expect(info.getAttribute('$protocols').toString()).to.contain('v2');
+            expect(info.getAttribute('$algorithms').toString()).to.contain('$ed25519');
+            expect(info.getAttribute('$maximumRequest').toInteger()).to.be.above(65535);  // using the extended framing
+            expect(info.getAttribute('$serialNumber').getValue()).to.equal(await simulator.getDeviceId());
+            expect(info.getAttribute('$extendedFraming').isSignificant()).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Older Firmware', function() {
+
+        it('should assume that firmware without the request supports only the v2 protocol', async function() {
+            const device = recordingDevice(hsm.simulator(directory + 'older/', debug, { deviceInfo: false }));
+            const proxy = createProxy('older', device);
+            const info = await proxy.getDeviceInfo();
+            expect(info.getAttribute('$protocols').toString()).to.contain('v2');
+            expect(info.getAttribute('$firmware')).to.not.exist;
+            expect(info.getAttribute('$extendedFraming')).to.not.exist;
+            await proxy.eraseKeys();
+            const publicKey = await proxy.generateKeys();
+            const bytes = Buffer.from('This is a test...');
+            expect(await proxy.validSignature(publicKey, await proxy.signBytes(bytes), bytes)).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+        it('should not try the extended framing on firmware that does not support it', async function() {
+            const device = recordingDevice(hsm.simulator(directory + 'legacy/', debug, { extendedFraming: false }));
+            const proxy = createProxy('legacy', device, 20);
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            device.blocks = [];
+            await assert.rejects(async function() {
+                await proxy.signBytes(crypto.randomBytes(5000));
+            }, isType('$requestTooLong'));
+            expect(device.blocks.length).to.equal(0);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Incompatible Devices', function() {
+
+        it('should refuse a device that does not support the protocol of the proxy', async function() {
+            const device = recordingDevice(hsm.simulator(directory + 'future/', debug), {
+                extendedFraming: true,
+                maximumRequest: 33292292,
+                protocols: ['v3'],
+                algorithms: ['sha512', 'ed25519'],
+                firmware: '3.0.0',
+                serialNumber: 'future'
+            });
+            const proxy = createProxy('future', device);
+            await assert.rejects(async function() {
+                await proxy.generateKeys();
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$incompatibleDevice');
+                expect(exception.getAttribute('$cause').getAttribute('$missing').toString()).to.contain('v2');
+                return true;
+            });
+            expect(device.blocks.length).to.equal(1);  // nothing else was sent and it was not retried
+            await assert.rejects(async function() {
+                await proxy.getDeviceInfo();
+            }, isType('$incompatibleDevice'));
+            await proxy.close();
+        });
+
+    });
+
+});
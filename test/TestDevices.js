@@ -0,0 +1,115 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/devices/';
+
+// two simulated devices, only one of which is attached at a time
+const first = hsm.simulator(directory + 'first/', debug);
+const second = hsm.simulator(directory + 'second/', debug);
+var attached = first;
+var links = [];
+
+// swapping devices drops any existing links
+const attach = async function(device) {
+    attached = device;
+    for (const link of links) await link.disconnect();
+};
+const transport = function() {
+    const link = hsm.localTransport(switcher, debug);
+    links.push(link);
+    return link;
+};
+
+const switcher = {
+    getDeviceId: async function() {
+        return await attached.getDeviceId();
+    },
+    processBlock: async function(block) {
+        return await attached.processBlock(block);
+    }
+};
+
+// checks the type of a rejected exception
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Device Binding', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport(), passphrase: 'secret' });
+
+    describe('Test Binding at Key Generation', function() {
+
+        it('should bind the proxy to the device that generates the keys', async function() {
+            await attach(first);
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            const signature = await proxy.signBytes(bytes);
+            expect(signature).to.exist;
+        });
+
+        it('should refuse to use a different device', async function() {
+            await attach(second);
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isType('$wrongDevice'));
+            await assert.rejects(async function() {
+                await proxy.eraseKeys();
+            }, isType('$wrongDevice'));
+        });
+
+        it('should resume once the bound device is attached again', async function() {
+            await attach(first);
+            const signature = await proxy.signBytes(bytes);
+            expect(signature).to.exist;
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Pinning a Device', function() {
+
+        it('should only generate keys on the pinned device', async function() {
+            const pinned = hsm.proxy(directory + 'pinned/', debug, {
+                transport: transport(),
+                passphrase: 'secret',
+                device: await second.getDeviceId()
+            });
+            await attach(first);
+            await assert.rejects(async function() {
+                await pinned.generateKeys();
+            }, isType('$wrongDevice'));
+            await attach(second);
+            await pinned.eraseKeys();
+            const publicKey = await pinned.generateKeys();
+            expect(publicKey).to.exist;
+            await pinned.eraseKeys();
+            await pinned.close();
+        });
+
+        it('should refuse to scan using a transport that cannot scan', async function() {
+            await assert.rejects(async function() {
+                await proxy.scanDevices();
+            });
+        });
+
+    });
+
+});
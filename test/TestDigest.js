@@ -0,0 +1,102 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const stream = require('stream');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/digest/';
+const device = hsm.simulator(directory + 'device/', debug);
+const transport = hsm.localTransport(device, debug);
+
+// returns the digest of the specified bytes generated in software
+const digestOf = function(bytes) {
+    return crypto.createHash('sha512').update(bytes).digest();
+};
+
+// returns a stream that produces the specified number of chunks of random bytes
+const randomStream = function(chunks, size) {
+    const buffers = [];
+    for (var index = 0; index < chunks; index++) {
+        buffers.push(crypto.randomBytes(size));
+    }
+    return { stream: stream.Readable.from(buffers), bytes: Buffer.concat(buffers) };
+};
+
+describe('Bali Nebula™ HSM Large Digests', function() {
+
+    const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+
+    describe('Test Large Buffers', function() {
+
+        it('should digest the largest buffer that fits in a request on the HSM', async function() {
+            const bytes = crypto.randomBytes(65535);
+            const digest = await proxy.digestBytes(bytes);
+            expect(digest.getValue().equals(digestOf(bytes))).to.equal(true);
+        });
+
+        it('should digest a buffer that does not fit in a request', async function() {
+            const bytes = crypto.randomBytes(200000);
+            const digest = await proxy.digestBytes(bytes);
+            expect(digest.getValue().equals(digestOf(bytes))).to.equal(true);
+        });
+
+    });
+
+    describe('Test Streams', function() {
+
+        it('should digest a stream incrementally', async function() {
+            const source = randomStream(50, 4096);
+            const digest = await proxy.digestBytes(source.stream);
+            expect(digest.getValue().equals(digestOf(source.bytes))).to.equal(true);
+        });
+
+        it('should produce the same digest as the HSM', async function() {
+            const bytes = Buffer.from('This is a test...');
+            const expected = await proxy.digestBytes(bytes);
+            const digest = await proxy.digestBytes(stream.Readable.from([ bytes ]));
+            expect(digest.getValue().equals(expected.getValue())).to.equal(true);
+        });
+
+        it('should fail when the stream fails', async function() {
+            const broken = new stream.Readable({
+                read: function() {
+                    this.destroy(Error('The attachment could not be read.'));
+                }
+            });
+            await assert.rejects(async function() {
+                await proxy.digestBytes(broken);
+            });
+        });
+
+        it('should stop digesting when the request is aborted', async function() {
+            const controller = new AbortController();
+            const endless = new stream.Readable({
+                read: function() {
+                    this.push(Buffer.alloc(1024));
+                    controller.abort();
+                }
+            });
+            await assert.rejects(async function() {
+                await proxy.digestBytes(endless, controller.signal);
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$aborted';
+            });
+            expect(endless.destroyed).to.equal(true);
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,184 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const EventEmitter = require('events').EventEmitter;
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/events/';
+
+// a simulated device whose blocks can be made to fail
+const simulator = hsm.simulator(directory + 'device/', debug);
+var failures = 0;  // the number of blocks that fail before the device recovers
+const device = {
+    getDeviceId: async function() {
+        return await simulator.getDeviceId();
+    },
+    processBlock: async function(block) {
+        if (failures > 0) {
+            failures--;
+            throw Error('The block was garbled.');
+        }
+        return await simulator.processBlock(block);
+    }
+};
+
+// a transport that emits its own events like the BLE transport does
+const transport = Object.assign(new EventEmitter(), hsm.localTransport(device, debug));
+
+// the structured log entries
+var entries = [];
+const logger = function(entry) {
+    entries.push(entry);
+};
+
+// records the events of the specified types that are emitted by the proxy
+const record = function(proxy, types) {
+    const events = [];
+    types.forEach(function(type) {
+        proxy.on(type, function(details) {
+            events.push({ type: type, details: details });
+        });
+    });
+    return events;
+};
+
+describe('Bali Nebula™ HSM Events and Logging', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const proxy = hsm.proxy(directory + 'proxy/', debug, {
+        transport: transport,
+        passphrase: 'secret',
+        idleTimeout: 0,  // every request establishes a new link
+        resilience: { baseDelay: 1 },
+        logger: logger,
+        logLevel: 'debug'
+    });
+
+    describe('Test Events', function() {
+
+        it('should emit the progress of each request', async function() {
+            await proxy.eraseKeys();
+            const events = record(proxy, ['connected', 'blockSent', 'responseReceived', 'stateTransition']);
+            await proxy.generateKeys();
+            const types = events.map(function(event) {
+                return event.type;
+            });
+            expect(types).to.deep.equal(['connected', 'blockSent', 'responseReceived', 'stateTransition']);
+            expect(events[0].details.device).to.equal(await simulator.getDeviceId());
+            expect(events[3].details).to.deep.include({ operation: '$generateKeys', from: '$keyless', to: '$loneKey' });
+            proxy.removeAllListeners();
+        });
+
+        it('should emit an event for each block of a long request', async function() {
+            const events = record(proxy, ['blockSent']);
+            await proxy.digestBytes(Buffer.alloc(2000));
+            expect(events.length).to.equal(4);
+            events.forEach(function(event, index) {
+                expect(event.details.block).to.equal(index + 1);
+                expect(event.details.blocks).to.equal(4);
+            });
+            proxy.removeAllListeners();
+        });
+
+        it('should emit an event before each retry', async function() {
+            const events = record(proxy, ['retry']);
+            failures = 2;
+            await proxy.signBytes(bytes);
+            expect(events.length).to.equal(2);
+            expect(events[0].details.attempt).to.equal(1);
+            expect(events[1].details.delay).to.be.at.least(1);
+            proxy.removeAllListeners();
+        });
+
+        it('should emit an event when a method fails', async function() {
+            const events = record(proxy, ['exception']);
+            await assert.rejects(async function() {
+                await proxy.generateKeys();  // keys already exist
+            });
+            expect(events.length).to.equal(1);
+            expect(events[0].details.procedure).to.equal('$generateKeys');
+            expect(events[0].details.exception.isComponent).to.equal(true);
+            proxy.removeAllListeners();
+        });
+
+        it('should forward the events emitted by the transport', async function() {
+            const events = record(proxy, ['scanStarted', 'deviceFound']);
+            transport.emit('scanStarted', { duration: 1000 });
+            transport.emit('deviceFound', { id: 'ArmorD-1', name: 'ArmorD', rssi: -40 });
+            expect(events.length).to.equal(2);
+            expect(events[1].details.id).to.equal('ArmorD-1');
+            proxy.removeAllListeners();
+        });
+
+    });
+
+    describe('Test Structured Logging', function() {
+
+        it('should log each event as an entry that can be serialized as JSON', async function() {
+            entries = [];
+            await proxy.eraseKeys();
+            expect(entries.length).to.be.above(0);
+            entries.forEach(function(entry) {
+                expect(entry.module.startsWith('/bali/notary/v2/')).to.equal(true);
+                expect(JSON.parse(JSON.stringify(entry))).to.deep.equal(entry);
+            });
+            const transition = entries.find(function(entry) {
+                return entry.event === 'stateTransition';
+            });
+            expect(transition.module).to.equal('/bali/notary/v2/HSMProxy');
+            expect(transition.level).to.equal('info');
+            expect(transition.to).to.equal('$keyless');
+        });
+
+        it('should log the diagnostics of its components through the same logger', async function() {
+            entries = [];
+            await proxy.getDeviceInfo();
+            const events = entries.filter(function(entry) {
+                return entry.module === '/bali/notary/v2/Session';
+            }).map(function(entry) {
+                return entry.event;
+            });
+            expect(events).to.deep.equal(['sessionOpening', 'sessionClosing']);
+        });
+
+        it('should only log entries at or above the log level', async function() {
+            const filtered = [];
+            const quiet = hsm.proxy(directory + 'proxy/', debug, {
+                transport: transport,
+                passphrase: 'secret',
+                logger: { error: logger, warn: logger, info: logger, debug: function(entry) {
+                    filtered.push(entry);
+                } },
+                logLevel: 'warn'
+            });
+            entries = [];
+            await assert.rejects(async function() {
+                await quiet.signBytes(bytes);  // there are no keys
+            });
+            expect(filtered.length).to.equal(0);
+            expect(entries.length).to.equal(1);
+            expect(entries[0].level).to.equal('error');
+            expect(entries[0].type).to.equal('$invalidState');
+            await quiet.close();
+        });
+
+        it('should reject an unknown log level', function() {
+            expect(function() {
+                hsm.proxy(directory + 'proxy/', debug, { transport: transport, logLevel: 'verbose' });
+            }).to.throw();
+        });
+
+    });
+
+});
@@ -0,0 +1,160 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const codec = hsm.codec(debug);
+const directory = 'test/config/framing/';
+
+const sleep = function(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+};
+
+// a simulated device that records the blocks it receives and takes a while to answer each one
+const recordingDevice = function(simulator, latency) {
+    const device = {
+        blocks: [],
+        getDeviceId: async function() {
+            return await simulator.getDeviceId();
+        },
+        processBlock: async function(block) {
+            device.blocks.push(block);
+            if (latency) await sleep(latency);
+            return await simulator.processBlock(block);
+        }
+    };
+    return device;
+};
+
+// creates a proxy that talks to the specified device over a link with the specified block size
+const createProxy = function(name, device, blockSize) {
+    const transport = hsm.localTransport(device, debug, { blockSize: blockSize });
+    return hsm.proxy(directory + name + '/', debug, { transport: transport, passphrase: 'secret' });
+};
+
+describe('Bali Nebula™ HSM Framing', function() {
+
+    const current = recordingDevice(hsm.simulator(directory + 'current/', debug));
+    const legacy = recordingDevice(hsm.simulator(directory + 'legacy/', debug, { extendedFraming: false, deviceInfo: false }));
+
+    describe('Test Negotiated Block Sizes', function() {
+
+        it('should never send a block larger than the MTU allows', async function() {
+            const proxy = createProxy('small', current, 20);
+            await proxy.eraseKeys();
+            const publicKey = await proxy.generateKeys();
+            current.blocks = [];
+            const bytes = crypto.randomBytes(1000);
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            expect(current.blocks.length).to.be.above(100);
+            current.blocks.forEach(function(block) {
+                expect(block.length).to.be.at.most(20);
+                expect(codec.isExtended(block)).to.equal(false);
+            });
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Extended Framing', function() {
+
+        it('should use the extended framing for requests that need more than 256 blocks', async function() {
+            const proxy = createProxy('small', current, 20);
+            const publicKey = await proxy.generateKeys();
+            current.blocks = [];
+            const bytes = crypto.randomBytes(5000);
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            expect(current.blocks.length).to.be.above(256);
+            expect(codec.isExtended(current.blocks[0])).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+        it('should sign documents longer than 65535 bytes', async function() {
+            const proxy = createProxy('large', current);
+            const publicKey = await proxy.generateKeys();
+            const bytes = crypto.randomBytes(100000);
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Older Firmware', function() {
+
+        it('should keep using the v2 framing for requests that fit in it', async function() {
+            const proxy = createProxy('legacy', legacy, 20);
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            legacy.blocks = [];
+            await proxy.signBytes(crypto.randomBytes(1000));
+            expect(legacy.blocks.some(codec.isExtended)).to.equal(false);
+            await proxy.close();
+        });
+
+        it('should fail requests that need the extended framing', async function() {
+            const proxy = createProxy('legacy', legacy, 20);
+            const isTooLong = function(exception) {
+                return exception.getAttribute('$exception').toString() === '$requestTooLong';
+            };
+            await proxy.getDeviceInfo();  // the firmware does not say whether it supports the extended framing
+            legacy.blocks = [];
+            await assert.rejects(async function() {
+                await proxy.signBytes(crypto.randomBytes(5000));
+            }, isTooLong);
+            expect(legacy.blocks.length).to.equal(1);  // the first block was rejected
+            legacy.blocks = [];
+            await assert.rejects(async function() {
+                await proxy.signBytes(crypto.randomBytes(5000));
+            }, isTooLong);
+            expect(legacy.blocks.length).to.equal(0);  // the rejection was remembered
+            await proxy.signBytes(crypto.randomBytes(1000));  // and the device is still usable
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+    describe('Benchmarks', function() {
+
+        it('should transfer requests faster over links with larger MTUs', async function() {
+            const device = recordingDevice(hsm.simulator(directory + 'benchmark/', debug), 1);
+            const bytes = crypto.randomBytes(4000);
+            const throughputs = [];
+            const blockSizes = [ 20, 182, 244, 509 ];  // the block sizes for typical MTUs
+            for (var index = 0; index < blockSizes.length; index++) {
+                const proxy = createProxy('benchmark', device, blockSizes[index]);
+                device.blocks = [];
+                const started = process.hrtime.bigint();
+                await proxy.digestBytes(bytes);
+                const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+                throughputs.push(Math.round(bytes.length / seconds));
+                console.log('        ' + blockSizes[index] + ' byte blocks: ' + device.blocks.length + ' blocks, ' +
+                    throughputs[index] + ' bytes/second');
+                await proxy.close();
+            }
+            expect(throughputs[throughputs.length - 1]).to.be.above(throughputs[0]);
+        });
+
+    });
+
+});
@@ -17,7 +17,10 @@ const assert = require('assert');
 const bali = require('bali-component-framework').api();
 const account = bali.tag();
 const directory = 'test/config/';
-const proxy = require('../').proxy(directory, debug);
+const hsm = require('../');
+const device = hsm.simulator(directory, debug);  // set BALI_HSM=ble to test against a physical ArmorD
+const transport = process.env.BALI_HSM === 'ble' ? hsm.bleTransport(undefined, debug) : hsm.localTransport(device, debug);
+const proxy = hsm.proxy(directory, debug, { transport: transport, passphrase: 'secret' });
 const notary = require('bali-digital-notary').notary(proxy, account, directory, debug);
 
 // NOTE: this function must be called using 'await'
@@ -0,0 +1,261 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/journal/';
+const journal = directory + 'proxy/HSMProxyv2.journal';
+
+// a simulated device whose responses can be lost before they reach the proxy
+var losing = false;  // the device processes the request but the response is lost
+var lost = 0;  // the number of responses that are lost before the link recovers
+var unreachable = false;  // the request never reaches the device
+var requests = [];  // the type of each request that reached the device
+const lossy = function(simulator) {
+    return {
+        getDeviceId: async function() {
+            return await simulator.getDeviceId();
+        },
+        processBlock: async function(block) {
+            if (unreachable) throw Error('The link dropped before the request was sent.');
+            if (block[0] !== 0) requests.push(block[0] & 0x0F);  // not a continuation block
+            const response = await simulator.processBlock(block);
+            if (losing || lost-- > 0) throw Error('The link dropped before the response was received.');
+            return response;
+        }
+    };
+};
+const device = lossy(hsm.simulator(directory + 'device/', debug));
+
+// each proxy simulates a restart of the process that uses it
+const restart = function(name, hardware) {
+    return hsm.proxy(directory + (name || 'proxy') + '/', debug, {
+        transport: hsm.localTransport(hardware || device, debug),
+        passphrase: 'secret',
+        resilience: { attempts: 1 }
+    });
+};
+
+// runs an operation that is interrupted
+const interrupt = async function(operation) {
+    await assert.rejects(operation);
+    losing = false;
+    unreachable = false;
+    expect(fs.existsSync(journal)).to.equal(true);
+};
+
+describe('Bali Nebula™ HSM Crash Recovery', function() {
+
+    const bytes = Buffer.from('This is a test...');
+
+    describe('Test Interrupted Operations', function() {
+
+        it('should complete key generation that reached the HSM', async function() {
+            var proxy = restart();
+            await proxy.eraseKeys();
+            losing = true;
+            await interrupt(async function() {
+                await proxy.generateKeys();
+            });
+            proxy = restart();
+            expect(await proxy.signBytes(bytes)).to.exist;
+            expect(fs.existsSync(journal)).to.equal(false);
+        });
+
+        it('should complete key rotation that reached the HSM', async function() {
+            var proxy = restart();
+            losing = true;
+            await interrupt(async function() {
+                await proxy.rotateKeys();
+            });
+            proxy = restart();
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the previous key
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the new key
+        });
+
+        it('should complete the last use of the previous key that reached the HSM', async function() {
+            var proxy = restart();
+            await proxy.rotateKeys();
+            losing = true;
+            await interrupt(async function() {
+                await proxy.signBytes(bytes);
+            });
+            proxy = restart();
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the new key
+        });
+
+        it('should complete key erasure that reached the HSM', async function() {
+            var proxy = restart();
+            losing = true;
+            await interrupt(async function() {
+                await proxy.eraseKeys();
+            });
+            proxy = restart();
+            expect(await proxy.generateKeys()).to.exist;
+        });
+
+        it('should abandon key generation that never reached the HSM', async function() {
+            var proxy = restart();
+            await proxy.eraseKeys();
+            unreachable = true;
+            await interrupt(async function() {
+                await proxy.generateKeys();
+            });
+            proxy = restart();
+            expect(await proxy.generateKeys()).to.exist;
+            expect(await proxy.signBytes(bytes)).to.exist;
+            expect(fs.existsSync(journal)).to.equal(false);
+        });
+
+        it('should complete key rotation in a named slot that reached the HSM', async function() {
+            var proxy = restart();
+            await proxy.generateKeys('personal');
+            losing = true;
+            await interrupt(async function() {
+                await proxy.rotateKeys('personal');
+            });
+            proxy = restart();
+            expect(await proxy.signBytes(bytes, 'personal')).to.exist;  // using the previous key
+            expect(await proxy.signBytes(bytes, 'personal')).to.exist;  // using the new key
+            expect(await proxy.eraseKeys('personal')).to.equal(true);
+        });
+
+        it('should recover without a restart', async function() {
+            const proxy = restart();
+            losing = true;
+            await interrupt(async function() {
+                await proxy.rotateKeys();
+            });
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the previous key
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the new key
+            await proxy.eraseKeys();
+        });
+
+        it('should ask the HSM what it holds without signing anything', async function() {
+            var proxy = restart();
+            await proxy.generateKeys();
+            losing = true;
+            await interrupt(async function() {
+                await proxy.rotateKeys();
+            });
+            requests = [];
+            proxy = restart();
+            await proxy.unlock('secret');
+            expect(requests).to.contain(8);  // getKeyStatus
+            expect(requests).to.not.contain(5);  // signBytes
+            expect(fs.existsSync(journal)).to.equal(false);
+            expect(fs.readFileSync(directory + 'proxy/HSMProxyv2.audit', 'utf8')).to.not.contain('"probe"');
+            await proxy.eraseKeys();
+        });
+
+        it('should complete key rotation that reached the HSM before restoring a backup', async function() {
+            var proxy = restart();
+            await proxy.generateKeys();
+            const bundle = await proxy.exportBackup('backup passphrase');
+            losing = true;
+            await interrupt(async function() {
+                await proxy.rotateKeys();
+            });
+            proxy = restart();
+            await assert.rejects(async function() {
+                await proxy.importBackup(bundle, 'backup passphrase');
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$newerConfiguration';
+            });
+            expect(fs.existsSync(journal)).to.equal(false);
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the previous key
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the new key
+            await proxy.eraseKeys();
+        });
+
+        it('should audit the signature that probes older firmware', async function() {
+            fs.rmSync(directory + 'older/', { recursive: true, force: true });
+            const older = lossy(hsm.simulator(directory + 'older/', debug, { keyStatus: false }));
+            var proxy = restart('older', older);
+            await proxy.getDeviceInfo();  // the negotiation must not be interrupted
+            losing = true;
+            await assert.rejects(async function() {
+                await proxy.generateKeys();
+            });
+            losing = false;
+            proxy = restart('older', older);
+            await proxy.unlock('secret');
+            const entries = fs.readFileSync(directory + 'older/HSMProxyv2.audit', 'utf8').trim().split('\n').map(JSON.parse);
+            const probes = entries.filter(function(entry) {
+                return entry.probe;
+            });
+            expect(probes.length).to.equal(1);
+            expect(probes[0].operation).to.equal('$signBytes');
+            expect(probes[0].signatureDigest).to.exist;
+            expect(entries[entries.length - 1].recovered).to.equal(true);
+            await proxy.eraseKeys();
+        });
+
+    });
+
+    describe('Test Retried Operations', function() {
+
+        // a proxy that retries a request whose response was lost
+        const retrying = function() {
+            return hsm.proxy(directory + 'proxy/', debug, {
+                transport: hsm.localTransport(device, debug),
+                passphrase: 'secret',
+                resilience: { attempts: 2, baseDelay: 1 }
+            });
+        };
+
+        it('should keep the keys when a retried rotation is refused', async function() {
+            const proxy = retrying();
+            await proxy.generateKeys();
+            lost = 1;
+            await assert.rejects(async function() {
+                await proxy.rotateKeys();
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$responseLost';
+            });
+            expect(fs.existsSync(journal)).to.equal(false);
+            expect((await proxy.getState()).getAttribute('$state').toString()).to.equal('$twoKeys');
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the previous key
+            expect(await proxy.signBytes(bytes)).to.exist;  // using the new key
+        });
+
+        it('should keep the keys when a retried generation is refused', async function() {
+            const proxy = retrying();
+            await proxy.eraseKeys();
+            lost = 1;
+            await assert.rejects(async function() {
+                await proxy.generateKeys();
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$responseLost';
+            });
+            expect(fs.existsSync(journal)).to.equal(false);
+            expect(await proxy.signBytes(bytes)).to.exist;
+            await proxy.eraseKeys();
+        });
+
+    });
+
+    describe('Test Atomic Storage', function() {
+
+        it('should not leave any temporary files behind', async function() {
+            const proxy = restart();
+            await proxy.getTag();  // creates a new configuration
+            const files = fs.readdirSync(directory + 'proxy/');
+            expect(files).to.deep.equal([ 'HSMProxyv2.audit', 'HSMProxyv2.audit.head', 'HSMProxyv2.bali' ]);
+        });
+
+    });
+
+});
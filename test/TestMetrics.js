@@ -0,0 +1,116 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const EventEmitter = require('events').EventEmitter;
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/metrics/';
+
+// a simulated device that can be made to hang
+const simulator = hsm.simulator(directory + 'device/', debug);
+var hanging = 0;  // the number of blocks that are never answered
+const device = {
+    getDeviceId: async function() {
+        return await simulator.getDeviceId();
+    },
+    processBlock: async function(block) {
+        if (hanging > 0) {
+            hanging--;
+            return new Promise(function() {});
+        }
+        return await simulator.processBlock(block);
+    }
+};
+
+// a transport that emits its own events like the BLE transport does
+const transport = Object.assign(new EventEmitter(), hsm.localTransport(device, debug));
+
+// returns the value of the sample with the specified name and labels
+const sample = function(metrics, series) {
+    const line = metrics.split('\n').find(function(line) {
+        return line.startsWith(series + ' ');
+    });
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+};
+
+describe('Bali Nebula™ HSM Operational Metrics', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const proxy = hsm.proxy(directory + 'proxy/', debug, {
+        transport: transport,
+        passphrase: 'secret',
+        resilience: { baseDelay: 1, blockTimeout: 50 }
+    });
+
+    describe('Test Collection', function() {
+
+        it('should count operations and measure their duration', async function() {
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            await proxy.signBytes(bytes);
+            await proxy.signBytes(bytes);
+            const metrics = proxy.getMetrics();
+            expect(sample(metrics, 'bali_hsm_operations_total{operation="signBytes",outcome="success"}')).to.equal(2);
+            expect(sample(metrics, 'bali_hsm_operation_duration_seconds_count{operation="signBytes"}')).to.equal(2);
+            expect(sample(metrics, 'bali_hsm_operation_duration_seconds_bucket{operation="signBytes",le="+Inf"}')).to.equal(2);
+            expect(sample(metrics, 'bali_hsm_phase_duration_seconds_count{phase="connect"}')).to.be.at.least(1);
+            expect(sample(metrics, 'bali_hsm_phase_duration_seconds_count{phase="block"}')).to.be.at.least(4);
+        });
+
+        it('should count retries and failures by the kind of error', async function() {
+            hanging = 1;
+            await proxy.signBytes(bytes);
+            await assert.rejects(async function() {
+                await proxy.generateKeys();  // keys already exist
+            });
+            const metrics = proxy.getMetrics();
+            expect(sample(metrics, 'bali_hsm_retries_total{kind="$timeout"}')).to.equal(1);
+            expect(sample(metrics, 'bali_hsm_operations_total{operation="generateKeys",outcome="failure"}')).to.equal(1);
+            expect(metrics).to.match(/^bali_hsm_failures_total\{operation="generateKeys",kind="[^"]+"\} 1$/m);
+        });
+
+        it('should measure scans and count the scans that time out', async function() {
+            transport.emit('deviceFound', { id: 'ArmorD-1', name: 'ArmorD', rssi: -40, duration: 300 });
+            transport.emit('servicesDiscovered', { device: 'ArmorD-1', duration: 120 });
+            transport.emit('scanTimedOut', { timeout: 1000 });
+            const metrics = proxy.getMetrics();
+            expect(sample(metrics, 'bali_hsm_phase_duration_seconds_bucket{phase="scan",le="0.25"}')).to.equal(0);
+            expect(sample(metrics, 'bali_hsm_phase_duration_seconds_bucket{phase="scan",le="0.5"}')).to.equal(1);
+            expect(sample(metrics, 'bali_hsm_phase_duration_seconds_sum{phase="discovery"}')).to.equal(0.12);
+            expect(sample(metrics, 'bali_hsm_scan_timeouts_total')).to.equal(1);
+        });
+
+    });
+
+    describe('Test Exposition Format', function() {
+
+        it('should render every metric in the Prometheus text format', async function() {
+            const metrics = proxy.getMetrics();
+            expect(metrics.endsWith('\n')).to.equal(true);
+            metrics.trim().split('\n').forEach(function(line) {
+                if (line.startsWith('#')) {
+                    expect(line).to.match(/^# (HELP|TYPE) bali_hsm_[a-z_]+ .+$/);
+                } else {
+                    expect(line).to.match(/^bali_hsm_[a-z_]+(\{[a-z]+="[^"]*"(,[a-z]+="[^"]*")*\})? [0-9.e+-]+$/);
+                }
+            });
+            expect(metrics).to.include('# TYPE bali_hsm_operation_duration_seconds histogram');
+            expect(metrics).to.include('# TYPE bali_hsm_retries_total counter');
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+});
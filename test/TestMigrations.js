@@ -0,0 +1,159 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const fixtures = 'test/fixtures/';
+const directory = 'test/config/migrations/';
+fs.rmSync(directory, { recursive: true, force: true });  // the fixtures are copied in again
+const device = hsm.simulator(directory + 'device/', debug);
+
+// each test starts out with a copy of a fixture written by an earlier version of the proxy
+const install = function(fixture, name) {
+    fs.mkdirSync(directory + name, { recursive: true });
+    fs.copyFileSync(fixtures + fixture + '/HSMProxyv2.bali', directory + name + '/HSMProxyv2.bali');
+};
+
+const restart = function(name, options) {
+    return hsm.proxy(directory + name + '/', debug, Object.assign({
+        transport: hsm.localTransport(device, debug)
+    }, options));
+};
+
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+const list = function(component) {
+    return component.toArray().map(String);
+};
+
+describe('Bali Nebula™ HSM Configuration Migrations', function() {
+
+    const tag = '#00QKY5WGAWQNZ40J61AG8H454J7NFVLM';
+    const proxyKey = '0W1VV3W4R2F2GZHYDAWK4WWP9P5C7QGV4XVQRKXBAXVTKP2L4740';
+
+    describe('Test Schema Migrations', function() {
+
+        const file = directory + 'unversioned/HSMProxyv2.bali';
+
+        before(function() {
+            install('unversioned', 'unversioned');
+        });
+
+        it('should report what would change without changing anything', async function() {
+            const proxy = restart('unversioned');
+            const summary = await proxy.migrateConfiguration(true);
+            expect(summary.getAttribute('$exists').isSignificant()).to.equal(true);
+            expect(summary.getAttribute('$schemaVersion').toInteger()).to.equal(1);
+            expect(summary.getAttribute('$currentVersion').toInteger()).to.equal(2);
+            expect(list(summary.getAttribute('$changes'))).to.deep.equal([
+                '"Record the protocol (v2)."',
+                '"Record the algorithm suite (sha512-ed25519)."',
+                '"Start counting the changes made to the keys ($revision)."',
+                '"Upgrade the schema from version 1 to version 2."'
+            ]);
+            expect(summary.getAttribute('$dryRun').isSignificant()).to.equal(true);
+            expect(fs.readFileSync(file, 'utf8')).to.equal(fs.readFileSync(fixtures + 'unversioned/HSMProxyv2.bali', 'utf8'));
+        });
+
+        it('should migrate the configuration when it is loaded', async function() {
+            const proxy = restart('unversioned');
+            expect((await proxy.getTag()).toString()).to.equal(tag);
+            expect(await proxy.getPublicKey()).to.not.exist;  // earlier versions did not store it
+            expect((await proxy.getState()).getAttribute('$state').toString()).to.equal('$loneKey');
+            const stored = fs.readFileSync(file, 'utf8');
+            expect(stored).to.contain('$schemaVersion: 2');
+            expect(stored).to.contain('$suite: "sha512-ed25519"');
+            const summary = await proxy.migrateConfiguration(true);
+            expect(summary.getAttribute('$schemaVersion').toInteger()).to.equal(2);
+            expect(list(summary.getAttribute('$changes'))).to.deep.equal([]);
+        });
+
+        it('should encrypt the plaintext proxy key once it is unlocked', async function() {
+            const proxy = restart('unversioned');
+            await proxy.unlock('secret');
+            const stored = fs.readFileSync(file, 'utf8');
+            expect(stored).to.not.contain(proxyKey);
+            expect(stored).to.contain('$secrets');
+            const audit = await proxy.verifyAuditLog();  // the migration was recorded while locked
+            expect(audit.getAttribute('$valid').isSignificant()).to.equal(true);
+            expect(audit.getAttribute('$entries').toInteger()).to.equal(1);
+            await proxy.close();
+        });
+
+        it('should refuse a configuration written by a later version', async function() {
+            install('later', 'later');
+            const proxy = restart('later');
+            await assert.rejects(async function() {
+                await proxy.getPublicKey();
+            }, isType('$unsupportedSchema'));
+            await assert.rejects(async function() {
+                await proxy.migrateConfiguration(true);
+            }, isType('$unsupportedSchema'));
+            expect(fs.readFileSync(directory + 'later/HSMProxyv2.bali', 'utf8')).to.contain('$schemaVersion: 99');
+            await proxy.close();
+        });
+
+        it('should refuse a configuration for another algorithm suite', async function() {
+            install('unversioned', 'mismatched');
+            const mismatched = directory + 'mismatched/HSMProxyv2.bali';
+            const source = fs.readFileSync(mismatched, 'utf8').replace('$state', '$suite: "sha256-p256"\n    $state');
+            fs.writeFileSync(mismatched, source);
+            const proxy = restart('mismatched');
+            await assert.rejects(async function() {
+                await proxy.getTag();
+            }, isType('$incompatibleSuite'));
+            await assert.rejects(async function() {
+                await proxy.migrateConfiguration(true);
+            }, isType('$incompatibleSuite'));
+            expect(fs.readFileSync(mismatched, 'utf8')).to.equal(source);
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Older Protocols', function() {
+
+        it('should report an older configuration that uses other algorithms', async function() {
+            install('unversioned', 'incompatible');
+            const entries = [];
+            const proxy = restart('incompatible', {
+                suite: 'sha256-p256',
+                logger: function(entry) {
+                    entries.push(entry);
+                },
+                logLevel: 'warn'
+            });
+            const summary = await proxy.migrateConfiguration(true);
+            expect(summary.getAttribute('$exists').isSignificant()).to.equal(false);
+            const older = summary.getAttribute('$olderConfigurations').toArray();
+            expect(older.length).to.equal(1);
+            expect(older[0].getAttribute('$file').getValue()).to.equal('HSMProxyv2.bali');
+            expect(older[0].getAttribute('$suite').getValue()).to.equal('sha512-ed25519');
+            expect(older[0].getAttribute('$compatible').isSignificant()).to.equal(false);
+            expect((await proxy.getTag()).toString()).to.not.equal(tag);
+            expect(entries.filter(function(entry) {
+                return entry.event === 'olderConfiguration';
+            }).length).to.equal(1);
+            expect(fs.existsSync(directory + 'incompatible/HSMProxyv2.bali')).to.equal(true);
+            await proxy.close();
+        });
+
+    });
+
+});
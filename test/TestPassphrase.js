@@ -0,0 +1,120 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api();
+const hsm = require('../');
+const directory = 'test/config/passphrase/';
+const device = hsm.simulator(directory + 'device/', debug);
+const transport = hsm.localTransport(device, debug);
+const filename = directory + 'proxy/HSMProxyv2.bali';
+
+// checks the type of a rejected exception
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Proxy Key Protection', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    var publicKey;
+
+    describe('Test Encryption at Rest', function() {
+
+        it('should refuse to generate keys until it is unlocked', async function() {
+            const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await proxy.eraseKeys();
+            await assert.rejects(async function() {
+                await proxy.generateKeys();
+            }, isType('$locked'));
+            await proxy.unlock('first passphrase');
+            publicKey = await proxy.generateKeys();
+            expect(publicKey).to.exist;
+        });
+
+        it('should only store the proxy key in encrypted form', async function() {
+            const source = fs.readFileSync(filename, 'utf8');
+            expect(source).to.include('$secrets');
+            expect(source).to.not.include('$proxyKey');
+        });
+
+        it('should refuse to sign until it is unlocked', async function() {
+            const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isType('$locked'));
+            await assert.rejects(async function() {
+                await proxy.unlock('wrong passphrase');
+            }, isType('$invalidPassphrase'));
+            await proxy.unlock('first passphrase');
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            await proxy.lock();
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isType('$locked'));
+        });
+
+        it('should change the passphrase', async function() {
+            const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await assert.rejects(async function() {
+                await proxy.changePassphrase('wrong passphrase', 'second passphrase');
+            }, isType('$invalidPassphrase'));
+            await proxy.changePassphrase('first passphrase', 'second passphrase');
+            const restarted = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await assert.rejects(async function() {
+                await restarted.unlock('first passphrase');
+            }, isType('$invalidPassphrase'));
+            await restarted.unlock('second passphrase');
+            const rotated = await restarted.rotateKeys();
+            expect(rotated).to.exist;
+            await restarted.eraseKeys();
+        });
+
+    });
+
+    describe('Test Migration of Plaintext Configurations', function() {
+
+        it('should encrypt the proxy keys of an existing plaintext configuration', async function() {
+            // generate keys on the device the way earlier versions did
+            const codec = hsm.codec(debug);
+            const proxyKey = crypto.randomBytes(32);
+            const blocks = codec.encodeBlocks(codec.encodeRequest('generateKeys', proxyKey));
+            publicKey = bali.binary(codec.decodeResponse('generateKeys', await device.processBlock(blocks[0])));
+            const configurator = bali.configurator('HSMProxyv2.bali', directory + 'proxy/', debug);
+            await configurator.store(bali.document(bali.catalog({
+                $tag: bali.tag(),
+                $state: '$loneKey',
+                $proxyKey: bali.binary(proxyKey)
+            })));
+
+            // the plaintext proxy key is replaced by an encrypted one when the proxy is unlocked
+            const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport });
+            await proxy.unlock('migrated passphrase');
+            const source = fs.readFileSync(filename, 'utf8');
+            expect(source).to.include('$secrets');
+            expect(source).to.not.include('$proxyKey');
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,168 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/policy/';
+const device = hsm.simulator(directory + 'device/', debug);
+
+// counts the blocks that reach the HSM
+var blocks = 0;
+const transport = hsm.localTransport({
+    getDeviceId: async function() {
+        return await device.getDeviceId();
+    },
+    processBlock: async function(block) {
+        blocks++;
+        return await device.processBlock(block);
+    }
+}, debug);
+
+// checks that a rejected exception is a policy violation of the specified rule
+const isViolation = function(rule) {
+    return function(exception) {
+        expect(exception.getAttribute('$exception').toString()).to.equal('$policyViolation');
+        const cause = exception.getAttribute('$cause');  // the exception thrown by the policy
+        expect(cause.getAttribute('$rule').toString()).to.equal(rule);
+        return true;
+    };
+};
+
+describe('Bali Nebula™ HSM Signing Policy', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const summaries = [];
+    var approval = true;
+    const proxy = hsm.proxy(directory + 'proxy/', debug, {
+        transport: transport,
+        passphrase: 'secret',
+        policy: {
+            maximumSignatures: 2,
+            window: 200,
+            maximumBytes: 1024,
+            deny: [
+                function(request) {
+                    return request.slot === 'archive' && 'The archive is read only.';
+                },
+                function(request) {
+                    return request.bytes.includes('DROP TABLE');
+                }
+            ],
+            approve: async function(request) {
+                summaries.push(request);
+                if (approval instanceof Error) throw approval;
+                return approval;
+            }
+        }
+    });
+
+    describe('Test Allowed Requests', function() {
+
+        it('should sign a request that satisfies the policy', async function() {
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            await proxy.generateKeys('archive');
+            const signature = await proxy.signBytes(bytes);
+            expect(signature).to.exist;
+            expect(summaries.length).to.equal(1);
+            expect(summaries[0].length).to.equal(bytes.length);
+            expect(summaries[0].digest).to.equal((await proxy.digestBytes(bytes)).getValue().toString('hex'));
+        });
+
+        it('should not hold up other requests while waiting for approval', async function() {
+            await new Promise(function(resolve) { setTimeout(resolve, 200); });  // the window has passed
+            var release;
+            approval = new Promise(function(resolve) {
+                release = resolve;
+            });
+            const signing = proxy.signBytes(bytes);
+            expect(await proxy.digestBytes(bytes)).to.exist;  // the signature is still waiting
+            release(true);
+            expect(await signing).to.exist;
+            approval = true;
+        });
+
+    });
+
+    describe('Test Violations', function() {
+
+        it('should deny requests matching a deny rule without asking for approval', async function() {
+            summaries.length = 0;
+            blocks = 0;
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes, 'archive');
+            }, isViolation('$denied'));
+            await assert.rejects(async function() {
+                await proxy.signBytes(Buffer.from('DROP TABLE accounts;'));
+            }, isViolation('$denied'));
+            expect(summaries.length).to.equal(0);
+            expect(blocks).to.equal(0);
+        });
+
+        it('should deny requests that are too large', async function() {
+            await assert.rejects(async function() {
+                await proxy.signBytes(Buffer.alloc(1025));
+            }, isViolation('$payloadSize'));
+        });
+
+        it('should deny requests that are not approved', async function() {
+            approval = false;
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isViolation('$notApproved'));
+            approval = Error('The user closed the prompt.');
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isViolation('$notApproved'));
+            approval = true;
+        });
+
+        it('should limit the rate of concurrent signatures waiting for approval', async function() {
+            await new Promise(function(resolve) { setTimeout(resolve, 200); });
+            var release;
+            approval = new Promise(function(resolve) {
+                release = resolve;
+            });
+            const requests = [];
+            for (var count = 0; count < 10; count++) requests.push(proxy.signBytes(bytes));
+            release(true);
+            const results = await Promise.allSettled(requests);
+            const signed = results.filter(function(result) {
+                return result.status === 'fulfilled';
+            });
+            expect(signed.length).to.equal(2);
+            results.filter(function(result) {
+                return result.status === 'rejected';
+            }).forEach(function(result) {
+                isViolation('$rateLimit')(result.reason);
+            });
+            approval = true;
+        });
+
+        it('should limit the rate of signatures', async function() {
+            await new Promise(function(resolve) { setTimeout(resolve, 200); });
+            await proxy.signBytes(bytes);
+            await proxy.signBytes(bytes);
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isViolation('$rateLimit'));
+            await new Promise(function(resolve) { setTimeout(resolve, 200); });
+            await proxy.signBytes(bytes);  // the window has passed
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,169 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/keys/';
+
+// a simulated device whose responses can be lost before they reach the proxy
+const simulator = hsm.simulator(directory + 'device/', debug, { protocol: 'v3' });
+var losing = false;
+const device = {
+    getDeviceId: async function() {
+        return await simulator.getDeviceId();
+    },
+    processBlock: async function(block) {
+        const response = await simulator.processBlock(block);
+        if (losing) throw Error('The link dropped before the response was received.');
+        return response;
+    }
+};
+
+// each proxy simulates a restart of the process that uses it
+const restart = function(name, suite) {
+    return hsm.proxy(directory + name + '/', debug, {
+        transport: hsm.localTransport(device, debug),
+        passphrase: 'secret',
+        suite: suite,
+        resilience: { attempts: 1 }
+    });
+};
+
+// decodes the fields of an OpenSSH public key
+const sshFields = function(line) {
+    const bytes = Buffer.from(line.split(' ')[1], 'base64');
+    const fields = [];
+    var offset = 0;
+    while (offset < bytes.length) {
+        const length = bytes.readUInt32BE(offset);
+        fields.push(bytes.slice(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return fields;
+};
+
+describe('Bali Nebula™ HSM Public Keys', function() {
+
+    const bytes = Buffer.from('This is a test...');
+
+    describe('Test Remembered Public Keys', function() {
+
+        var publicKey;
+
+        it('should remember the public key that was generated', async function() {
+            var proxy = restart('v2');
+            await proxy.eraseKeys();
+            expect(await proxy.getPublicKey()).to.not.exist;
+            publicKey = await proxy.generateKeys();
+            expect((await proxy.getPublicKey()).toString()).to.equal(publicKey.toString());
+            expect(await proxy.getPreviousPublicKey()).to.not.exist;
+            proxy = restart('v2');  // the public key is stored in the configuration
+            expect((await proxy.getPublicKey()).toString()).to.equal(publicKey.toString());
+        });
+
+        it('should remember the previous public key after a rotation', async function() {
+            const proxy = restart('v2');
+            const rotated = await proxy.rotateKeys();
+            expect((await proxy.getPreviousPublicKey()).toString()).to.equal(publicKey.toString());
+            expect((await proxy.getPublicKey()).toString()).to.equal(rotated.toString());
+            const signature = await proxy.signBytes(bytes);  // signed using the previous key
+            expect(await proxy.validSignature(await proxy.getPreviousPublicKey(), signature, bytes)).to.equal(true);
+            publicKey = rotated;
+        });
+
+        it('should keep the public keys for each slot separately', async function() {
+            const proxy = restart('v2');
+            const organization = await proxy.generateKeys('organization');
+            expect((await proxy.getPublicKey('organization')).toString()).to.equal(organization.toString());
+            expect((await proxy.getPublicKey()).toString()).to.equal(publicKey.toString());
+            await proxy.eraseKeys('organization');
+            expect(await proxy.getPublicKey('organization')).to.not.exist;
+            expect(await proxy.getPublicKey()).to.exist;
+        });
+
+        it('should forget the new public key if its response was lost', async function() {
+            var proxy = restart('v2');
+            await proxy.getDeviceInfo();  // so that only the response to the rotation is lost
+            losing = true;
+            await assert.rejects(async function() {
+                await proxy.rotateKeys();
+            });
+            losing = false;
+            proxy = restart('v2');
+            expect(await proxy.signBytes(bytes)).to.exist;  // completes the rotation
+            expect(await proxy.getPublicKey()).to.not.exist;
+            expect((await proxy.getPreviousPublicKey()).toString()).to.equal(publicKey.toString());
+            await proxy.eraseKeys();
+            expect(await proxy.getPreviousPublicKey()).to.not.exist;
+        });
+
+    });
+
+    describe('Test Exported Public Keys', function() {
+
+        it('should export an ed25519 key that other tooling can use', async function() {
+            const proxy = restart('v2');
+            await proxy.eraseKeys();
+            const publicKey = await proxy.generateKeys();
+            const signature = (await proxy.signBytes(bytes)).getValue();
+
+            const pem = await proxy.getPublicKey(undefined, 'pem');
+            expect(pem).to.contain('-----BEGIN PUBLIC KEY-----');
+            expect(crypto.verify(null, bytes, crypto.createPublicKey(pem), signature)).to.equal(true);
+
+            const jwk = await proxy.getPublicKey(undefined, 'jwk');
+            expect(jwk.kty).to.equal('OKP');
+            expect(jwk.crv).to.equal('Ed25519');
+            expect(Buffer.from(jwk.x, 'base64url').equals(publicKey.getValue())).to.equal(true);
+            expect(crypto.verify(null, bytes, crypto.createPublicKey({ key: jwk, format: 'jwk' }), signature)).to.equal(true);
+
+            const ssh = await proxy.getPublicKey(undefined, 'ssh');
+            expect(ssh.startsWith('ssh-ed25519 ')).to.equal(true);
+            const fields = sshFields(ssh);
+            expect(fields[0].toString()).to.equal('ssh-ed25519');
+            expect(fields[1].equals(publicKey.getValue())).to.equal(true);
+
+            expect((await proxy.getPublicKey(undefined, 'binary')).toString()).to.equal(publicKey.toString());
+            await proxy.eraseKeys();
+        });
+
+        it('should export a p256 key that other tooling can use', async function() {
+            const proxy = restart('v3', 'sha256-p256');
+            await proxy.eraseKeys();
+            const publicKey = await proxy.generateKeys();
+            const signature = (await proxy.signBytes(bytes)).getValue();
+            const pem = await proxy.getPublicKey(undefined, 'pem');
+            const key = crypto.createPublicKey(pem);
+            expect(crypto.verify('sha256', bytes, { key: key, dsaEncoding: 'ieee-p1363' }, signature)).to.equal(true);
+            expect((await proxy.getPublicKey(undefined, 'jwk')).crv).to.equal('P-256');
+            const fields = sshFields(await proxy.getPublicKey(undefined, 'ssh'));
+            expect(fields.map(String).slice(0, 2)).to.deep.equal(['ecdsa-sha2-nistp256', 'nistp256']);
+            expect(fields[2].equals(publicKey.getValue())).to.equal(true);
+            await proxy.eraseKeys();
+        });
+
+        it('should reject a format that is not supported', async function() {
+            const proxy = restart('v2');
+            await assert.rejects(async function() {
+                await proxy.getPublicKey(undefined, 'der');
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$invalidFormat';
+            });
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,137 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/queue/';
+const codec = hsm.codec(debug);
+
+// a slow simulated device that records the requests it receives and how many overlap
+const simulator = hsm.simulator(directory + 'device/', debug);
+var inFlight = 0;
+var overlapping = 0;
+var requests = [];
+const device = {
+    getDeviceId: async function() {
+        return await simulator.getDeviceId();
+    },
+    processBlock: async function(block) {
+        inFlight++;
+        overlapping = Math.max(overlapping, inFlight);
+        requests.push(codec.decodeBlock(block).bytes[0]);  // the request type
+        await sleep(5);
+        const response = await simulator.processBlock(block);
+        inFlight--;
+        return response;
+    }
+};
+const transport = hsm.localTransport(device, debug);
+
+const sleep = function(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+};
+
+// checks the type of a rejected exception
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Operation Queue', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const first = hsm.proxy(directory + 'first/', debug, { transport: transport, passphrase: 'secret' });
+    const second = hsm.proxy(directory + 'second/', debug, { transport: transport, passphrase: 'secret' });
+    var publicKey;
+
+    describe('Test Serialization', function() {
+
+        it('should serialize concurrent requests on a single proxy', async function() {
+            await first.eraseKeys();
+            publicKey = await first.generateKeys();
+            overlapping = 0;
+            const signatures = await Promise.all([1, 2, 3, 4, 5, 6, 7, 8].map(function() {
+                return first.signBytes(bytes);
+            }));
+            expect(overlapping).to.equal(1);
+            for (const signature of signatures) {
+                expect(await first.validSignature(publicKey, signature, bytes)).to.equal(true);
+            }
+        });
+
+        it('should serialize requests across proxies sharing a transport', async function() {
+            overlapping = 0;
+            await Promise.all([
+                first.digestBytes(bytes),
+                second.digestBytes(bytes),
+                first.signBytes(bytes),
+                second.digestBytes(bytes)
+            ]);
+            expect(overlapping).to.equal(1);
+        });
+
+    });
+
+    describe('Test Priorities and Cancellation', function() {
+
+        it('should process erasures before anything else that is waiting', async function() {
+            requests = [];
+            const pending = [
+                first.digestBytes(bytes),  // starts immediately
+                first.digestBytes(bytes),
+                first.signBytes(bytes),
+                first.eraseKeys()
+            ];
+            const results = await Promise.allSettled(pending);
+            expect(requests).to.deep.equal([4, 3, 4]);  // digest, erase, digest
+            expect(results[2].status).to.equal('rejected');  // the keys were erased first
+        });
+
+        it('should remove an aborted request from the queue', async function() {
+            requests = [];
+            const controller = new AbortController();
+            const active = first.digestBytes(bytes);
+            const waiting = first.digestBytes(bytes, controller.signal);
+            controller.abort();
+            await assert.rejects(waiting, isType('$aborted'));
+            await active;
+            expect(requests.length).to.equal(1);
+        });
+
+    });
+
+    describe('Test Observability', function() {
+
+        it('should report the depth of the queue and the wait times', async function() {
+            const pending = [first.digestBytes(bytes), first.digestBytes(bytes), first.digestBytes(bytes)];
+            const busy = first.getQueueStatistics();
+            expect(busy.getAttribute('$depth').toInteger()).to.equal(2);
+            expect(busy.getAttribute('$active').toString()).to.equal('true');
+            await Promise.all(pending);
+            const idle = second.getQueueStatistics();  // the queue is shared
+            expect(idle.getAttribute('$depth').toInteger()).to.equal(0);
+            expect(idle.getAttribute('$active').toString()).to.equal('false');
+            expect(idle.getAttribute('$processed').toInteger()).to.be.above(3);
+            expect(idle.getAttribute('$maximumWait').toInteger()).to.be.above(0);
+            await first.close();
+            await second.eraseKeys();
+            await second.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,205 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/reconcile/';
+fs.rmSync(directory, { recursive: true, force: true });  // the history starts over
+
+// a simulated device that can be swapped for a replacement holding the same keys
+const simulator = hsm.simulator(directory + 'device/', debug);
+var replaced = false;
+const device = {
+    getDeviceId: async function() {
+        const id = await simulator.getDeviceId();
+        return replaced ? id + '-replacement' : id;
+    },
+    processBlock: async function(block) {
+        return await simulator.processBlock(block);
+    }
+};
+
+// each proxy simulates a restart of the process that uses it
+const restart = function(name, hardware) {
+    return hsm.proxy(directory + name + '/', debug, {
+        transport: hsm.localTransport(hardware || device, debug),
+        passphrase: 'secret'
+    });
+};
+
+// someone else erases the HSM (or generates keys on it) without telling the proxy
+const tamper = async function(slot, generate) {
+    const intruder = restart('intruder');
+    await intruder.eraseKeys(slot);
+    if (generate) await intruder.generateKeys(slot);
+    await intruder.close();
+};
+
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+const list = function(component) {
+    return component.toArray().map(String);
+};
+
+describe('Bali Nebula™ HSM Reconciliation', function() {
+
+    const bytes = Buffer.from('This is a test...');
+
+    describe('Test the State of a Key Slot', function() {
+
+        it('should report the state and the allowed requests', async function() {
+            const proxy = restart('state');
+            await proxy.eraseKeys();
+            var state = await proxy.getState();
+            expect(state.getAttribute('$state').toString()).to.equal('$keyless');
+            expect(list(state.getAttribute('$events'))).to.deep.equal(['$generateKeys']);
+            await proxy.generateKeys();
+            await proxy.rotateKeys();
+            state = await proxy.getState();
+            expect(state.getAttribute('$state').toString()).to.equal('$twoKeys');
+            expect(list(state.getAttribute('$events'))).to.deep.equal(['$signBytes']);
+            await proxy.signBytes(bytes);
+            expect(list((await proxy.getState()).getAttribute('$events'))).to.deep.equal(['$signBytes', '$rotateKeys']);
+        });
+
+        it('should report the history of the transitions', async function() {
+            const proxy = restart('state');
+            await proxy.generateKeys('organization');
+            const history = (await proxy.getState()).getAttribute('$history').toArray();
+            expect(history.map(function(transition) {
+                return transition.getAttribute('$to').toString();
+            })).to.deep.equal(['$loneKey', '$twoKeys', '$loneKey']);
+            expect(history[0].getAttribute('$operation').toString()).to.equal('$generateKeys');
+            expect(history[0].getAttribute('$timestamp')).to.exist;
+            await proxy.eraseKeys();  // erases every slot
+            const named = (await proxy.getState('organization')).getAttribute('$history').toArray();
+            expect(named.map(function(transition) {
+                return transition.getAttribute('$from').toString() + transition.getAttribute('$to').toString();
+            })).to.deep.equal(['$keyless$loneKey', '$loneKey$keyless']);
+        });
+
+        it('should refuse a request that the state does not allow', async function() {
+            const proxy = restart('state');
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, function(exception) {
+                const cause = exception.getAttribute('$cause');
+                return isType('$invalidState')(exception) &&
+                    list(cause.getAttribute('$events')).join() === '$generateKeys';
+            });
+            await proxy.close();
+        });
+
+    });
+
+    describe('Test Repairs', function() {
+
+        it('should agree with an HSM that holds the expected keys', async function() {
+            const proxy = restart('proxy');
+            await proxy.eraseKeys();
+            await proxy.generateKeys();
+            const diagnosis = await proxy.reconcile();
+            expect(diagnosis.getAttribute('$deviceState').toString()).to.equal('$loneKey');
+            expect(diagnosis.getAttribute('$proxyKeyMatches').isSignificant()).to.equal(true);
+            expect(diagnosis.getAttribute('$consistent').isSignificant()).to.equal(true);
+            expect(list(diagnosis.getAttribute('$repairs'))).to.deep.equal([]);
+        });
+
+        it('should reset a slot whose keys were erased behind its back', async function() {
+            await tamper();
+            var proxy = restart('proxy');
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes);
+            }, isType('$outOfSync'));
+            const diagnosis = await proxy.reconcile();
+            expect(diagnosis.getAttribute('$state').toString()).to.equal('$loneKey');
+            expect(diagnosis.getAttribute('$deviceState').toString()).to.equal('$keyless');
+            expect(diagnosis.getAttribute('$consistent').isSignificant()).to.equal(false);
+            expect(list(diagnosis.getAttribute('$repairs'))).to.deep.equal(['$reset']);
+            await assert.rejects(async function() {
+                await proxy.reconcile(undefined, '$rebind');
+            }, isType('$repairRefused'));
+            const transitions = [];
+            proxy.on('stateTransition', function(details) {
+                transitions.push(details);
+            });
+            const repaired = await proxy.reconcile(undefined, '$reset');
+            expect(repaired.getAttribute('$consistent').isSignificant()).to.equal(true);
+            expect(transitions[0].operation).to.equal('$reconcile');
+            expect(transitions[0].to).to.equal('$keyless');
+            expect(await proxy.getPublicKey()).to.not.exist;
+            proxy = restart('proxy');  // the repair is stored in the configuration
+            expect((await proxy.getState()).getAttribute('$state').toString()).to.equal('$keyless');
+            expect(await proxy.generateKeys()).to.exist;
+            expect((await proxy.verifyAuditLog()).getAttribute('$valid').isSignificant()).to.equal(true);
+        });
+
+        it('should refuse to touch keys that the proxy key does not unlock', async function() {
+            await tamper(undefined, true);
+            const proxy = restart('proxy');
+            const diagnosis = await proxy.reconcile();
+            expect(diagnosis.getAttribute('$deviceState').toString()).to.equal('$loneKey');
+            expect(diagnosis.getAttribute('$proxyKeyMatches').isSignificant()).to.equal(false);
+            expect(list(diagnosis.getAttribute('$repairs'))).to.deep.equal([]);
+            await assert.rejects(async function() {
+                await proxy.reconcile(undefined, '$reset');
+            }, isType('$repairRefused'));
+            expect((await proxy.getState()).getAttribute('$state').toString()).to.equal('$loneKey');
+            await assert.rejects(async function() {
+                await proxy.reconcile(undefined, '$erase');
+            }, isType('$invalidRepair'));
+        });
+
+        it('should rebind to a replacement HSM that holds the same keys', async function() {
+            var proxy = restart('replaced');
+            await proxy.eraseKeys('account');
+            await proxy.generateKeys('account');
+            replaced = true;
+            proxy = restart('replaced');
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes, 'account');
+            }, isType('$wrongDevice'));
+            const diagnosis = await proxy.reconcile('account');
+            expect(diagnosis.getAttribute('$slot').getValue()).to.equal('account');
+            expect(diagnosis.getAttribute('$device').getValue()).to.equal(await device.getDeviceId());
+            expect(diagnosis.getAttribute('$boundDevice').getValue()).to.not.equal(await device.getDeviceId());
+            expect(list(diagnosis.getAttribute('$repairs'))).to.deep.equal(['$rebind']);
+            const repaired = await proxy.reconcile('account', '$rebind');
+            expect(repaired.getAttribute('$consistent').isSignificant()).to.equal(true);
+            expect(await proxy.signBytes(bytes, 'account')).to.exist;
+            replaced = false;
+            await proxy.close();
+        });
+
+        it('should not repair anything using older firmware', async function() {
+            const older = hsm.simulator(directory + 'older/', debug, { keyStatus: false });
+            const proxy = restart('older', older);
+            await proxy.eraseKeys();
+            const diagnosis = await proxy.reconcile();
+            expect(diagnosis.getAttribute('$deviceState')).to.not.exist;
+            expect(diagnosis.getAttribute('$consistent').isSignificant()).to.equal(false);
+            await assert.rejects(async function() {
+                await proxy.reconcile(undefined, '$reset');
+            }, isType('$repairRefused'));
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,193 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const Resilience = require('../src/v2/Resilience').Resilience;
+const directory = 'test/config/resilience/';
+
+// a simulated device that can be made to fail, hang or disappear
+const simulator = hsm.simulator(directory + 'device/', debug);
+var failures = 0;  // the number of blocks that fail before the device recovers
+var hanging = false;
+var absent = false;
+var connects = 0;
+var blocks = 0;
+
+const device = {
+    getDeviceId: async function() {
+        return await simulator.getDeviceId();
+    },
+    processBlock: async function(block) {
+        blocks++;
+        if (hanging) return new Promise(function() {});  // never responds
+        if (failures > 0) {
+            failures--;
+            throw Error('The block was garbled.');
+        }
+        return await simulator.processBlock(block);
+    }
+};
+
+const link = hsm.localTransport(device, debug);
+const transport = {
+    connect: async function() {
+        connects++;
+        if (absent) throw Error('No HSM found.');
+        await link.connect();
+    },
+    isConnected: link.isConnected,
+    getDeviceId: link.getDeviceId,
+    processBlock: link.processBlock,
+    disconnect: link.disconnect
+};
+
+// checks the type of a rejected exception
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+const sleep = function(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+};
+
+describe('Bali Nebula™ HSM Resilience', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const proxy = hsm.proxy(directory + 'proxy/', debug, {
+        transport: transport,
+        passphrase: 'secret',
+        resilience: {
+            attempts: 3,
+            baseDelay: 10,
+            maximumDelay: 20,
+            blockTimeout: 100,
+            failureThreshold: 4,
+            resetTimeout: 200
+        }
+    });
+
+    describe('Test Retries', function() {
+
+        it('should retry a request that fails intermittently', async function() {
+            failures = 2;
+            const digest = await proxy.digestBytes(bytes);
+            expect(digest).to.exist;
+        });
+
+        it('should give up after the maximum number of attempts', async function() {
+            failures = 5;
+            blocks = 0;
+            await assert.rejects(async function() {
+                await proxy.digestBytes(bytes);
+            }, isType('$unexpected'));
+            expect(blocks).to.equal(3);
+            failures = 0;
+        });
+
+    });
+
+    describe('Test Timeouts and Cancellation', function() {
+
+        it('should time out when the HSM stops responding', async function() {
+            hanging = true;
+            await assert.rejects(async function() {
+                await proxy.digestBytes(bytes);
+            }, isType('$timeout'));
+            hanging = false;
+        });
+
+        it('should abort a request that is in progress', async function() {
+            hanging = true;
+            const controller = new AbortController();
+            setTimeout(function() { controller.abort(); }, 20);
+            const started = Date.now();
+            await assert.rejects(async function() {
+                await proxy.digestBytes(bytes, controller.signal);
+            }, isType('$aborted'));
+            expect(Date.now() - started).to.be.below(100);
+            hanging = false;
+        });
+
+        it('should not contact the HSM once a request has been aborted', async function() {
+            const controller = new AbortController();
+            controller.abort();
+            blocks = 0;
+            await assert.rejects(async function() {
+                await proxy.generateKeys(controller.signal);
+            }, isType('$aborted'));
+            expect(blocks).to.equal(0);
+        });
+
+    });
+
+    describe('Test the Circuit Breaker', function() {
+
+        it('should open the circuit when the HSM is absent repeatedly', async function() {
+            await proxy.close();
+            absent = true;
+            connects = 0;
+            await assert.rejects(async function() {
+                await proxy.digestBytes(bytes);
+            }, isType('$unexpected'));
+            expect(connects).to.equal(3);
+            await assert.rejects(async function() {
+                await proxy.digestBytes(bytes);
+            }, isType('$circuitOpen'));
+            expect(connects).to.equal(4);
+        });
+
+        it('should fail fast while the circuit is open', async function() {
+            await assert.rejects(async function() {
+                await proxy.digestBytes(bytes);
+            }, isType('$circuitOpen'));
+            expect(connects).to.equal(4);
+        });
+
+        it('should close the circuit once the HSM is back', async function() {
+            absent = false;
+            await sleep(250);
+            const digest = await proxy.digestBytes(bytes);
+            expect(digest).to.exist;
+            await proxy.close();
+        });
+
+        it('should let a single request try the HSM while the circuit is half open', async function() {
+            const resilience = new Resilience({ failureThreshold: 1, resetTimeout: 10 }, debug);
+            resilience.recordAbsence();
+            await sleep(20);
+            expect(resilience.getCircuitState()).to.equal('$halfOpen');
+            resilience.checkCircuit();  // the trial request
+            expect(function() {
+                resilience.checkCircuit();
+            }).to.throw().that.satisfies(isType('$circuitOpen'));
+            resilience.recordAbsence();  // the trial failed
+            expect(resilience.getCircuitState()).to.equal('$open');
+            await sleep(20);
+            resilience.checkCircuit();
+            resilience.recordInconclusive();  // the trial was aborted
+            resilience.checkCircuit();
+            resilience.recordPresence();  // the trial succeeded
+            resilience.checkCircuit();
+            resilience.checkCircuit();
+            expect(resilience.getCircuitState()).to.equal('$closed');
+        });
+
+    });
+
+});
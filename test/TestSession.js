@@ -0,0 +1,95 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const hsm = require('../');
+const directory = 'test/config/session/';
+
+// NOTE: this function must be called using 'await'
+const sleep = function(ms){
+    return new Promise(resolve=>{
+        setTimeout(resolve,ms);
+    });
+};
+
+// wraps a local transport so that the links can be counted and dropped
+const CountingTransport = function(device) {
+    const transport = hsm.localTransport(device, debug);
+    this.connects = 0;
+    this.disconnects = 0;
+    this.connect = async function() {
+        this.connects++;
+        await transport.connect();
+    };
+    this.isConnected = transport.isConnected;
+    this.processBlock = transport.processBlock;
+    this.disconnect = async function() {
+        if (transport.isConnected()) this.disconnects++;
+        await transport.disconnect();
+    };
+    this.drop = transport.disconnect;
+    return this;
+};
+
+describe('Bali Nebula™ HSM Session', function() {
+
+    const bytes = Buffer.from('This is a test...');
+
+    describe('Test Persistent Links', function() {
+
+        it('should reuse a single link across requests', async function() {
+            const transport = new CountingTransport(hsm.simulator(directory, debug));
+            const proxy = hsm.proxy(directory, debug, { transport: transport });
+            await proxy.digestBytes(bytes);
+            await proxy.digestBytes(bytes);
+            await proxy.eraseKeys();
+            expect(transport.connects).to.equal(1);
+            expect(transport.disconnects).to.equal(0);
+            await proxy.close();
+            expect(transport.disconnects).to.equal(1);
+        });
+
+        it('should reconnect transparently after the link drops', async function() {
+            const transport = new CountingTransport(hsm.simulator(directory, debug));
+            const proxy = hsm.proxy(directory, debug, { transport: transport });
+            await proxy.digestBytes(bytes);
+            await transport.drop();
+            await proxy.digestBytes(bytes);
+            expect(transport.connects).to.equal(2);
+            await proxy.close();
+        });
+
+        it('should release the link once it has been idle', async function() {
+            const transport = new CountingTransport(hsm.simulator(directory, debug));
+            const proxy = hsm.proxy(directory, debug, { transport: transport, idleTimeout: 50 });
+            await proxy.digestBytes(bytes);
+            expect(transport.disconnects).to.equal(0);
+            await sleep(100);
+            expect(transport.disconnects).to.equal(1);
+            await proxy.digestBytes(bytes);
+            expect(transport.connects).to.equal(2);
+            await proxy.close();
+        });
+
+        it('should release the link after each request when the idle timeout is zero', async function() {
+            const transport = new CountingTransport(hsm.simulator(directory, debug));
+            const proxy = hsm.proxy(directory, debug, { transport: transport, idleTimeout: 0 });
+            await proxy.digestBytes(bytes);
+            await proxy.digestBytes(bytes);
+            expect(transport.connects).to.equal(2);
+            expect(transport.disconnects).to.equal(2);
+        });
+
+    });
+
+});
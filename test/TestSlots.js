@@ -0,0 +1,127 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api();
+const hsm = require('../');
+const directory = 'test/config/slots/';
+const device = hsm.simulator(directory + 'device/', debug);
+const transport = hsm.localTransport(device, debug);
+
+// checks the type of a rejected exception
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Key Slots', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const proxy = hsm.proxy(directory + 'proxy/', debug, { transport: transport, passphrase: 'secret' });
+    const organization = bali.tag();  // e.g. the tag for an organizational account
+    var personalKey, organizationKey, defaultKey;
+
+    describe('Test Independent Slots', function() {
+
+        it('should generate keys in separate slots', async function() {
+            await proxy.eraseKeys();
+            defaultKey = await proxy.generateKeys();
+            personalKey = await proxy.generateKeys('personal');
+            organizationKey = await proxy.generateKeys(organization);
+            expect(personalKey.toString()).to.not.equal(organizationKey.toString());
+            expect(personalKey.toString()).to.not.equal(defaultKey.toString());
+            await assert.rejects(async function() {
+                await proxy.generateKeys('personal');
+            });
+        });
+
+        it('should sign using the key in the specified slot', async function() {
+            const personal = await proxy.signBytes(bytes, 'personal');
+            expect(await proxy.validSignature(personalKey, personal, bytes)).to.equal(true);
+            expect(await proxy.validSignature(organizationKey, personal, bytes)).to.equal(false);
+            const corporate = await proxy.signBytes(bytes, organization);
+            expect(await proxy.validSignature(organizationKey, corporate, bytes)).to.equal(true);
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(defaultKey, signature, bytes)).to.equal(true);
+        });
+
+        it('should rotate the keys in one slot only', async function() {
+            const rotated = await proxy.rotateKeys('personal');
+            const previous = await proxy.signBytes(bytes, 'personal');
+            expect(await proxy.validSignature(personalKey, previous, bytes)).to.equal(true);
+            const current = await proxy.signBytes(bytes, 'personal');
+            expect(await proxy.validSignature(rotated, current, bytes)).to.equal(true);
+            const corporate = await proxy.signBytes(bytes, organization);
+            expect(await proxy.validSignature(organizationKey, corporate, bytes)).to.equal(true);
+            personalKey = rotated;
+        });
+
+        it('should list the named slots and their states', async function() {
+            await proxy.rotateKeys(organization);
+            const slots = await proxy.listSlots();
+            expect(slots.getAttribute(bali.text('personal')).toString()).to.equal('$loneKey');
+            expect(slots.getAttribute(bali.text(organization.toString())).toString()).to.equal('$twoKeys');
+            expect(slots.getSize()).to.equal(2);
+        });
+
+        it('should keep the slots when the proxy is restarted', async function() {
+            const restarted = hsm.proxy(directory + 'proxy/', debug, { transport: transport, passphrase: 'secret' });
+            const signature = await restarted.signBytes(bytes, 'personal');
+            expect(await restarted.validSignature(personalKey, signature, bytes)).to.equal(true);
+            expect((await restarted.listSlots()).getSize()).to.equal(2);
+        });
+
+    });
+
+    describe('Test Slot Erasure', function() {
+
+        it('should erase the keys in a single slot', async function() {
+            expect(await proxy.eraseKeys('personal')).to.equal(true);
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes, 'personal');
+            });
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(defaultKey, signature, bytes)).to.equal(true);
+            const slots = await proxy.listSlots();
+            expect(slots.getSize()).to.equal(1);
+            personalKey = await proxy.generateKeys('personal');
+            expect(personalKey).to.exist;
+        });
+
+        it('should erase the keys in every slot', async function() {
+            expect(await proxy.eraseKeys()).to.equal(true);
+            expect((await proxy.listSlots()).getSize()).to.equal(0);
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes, organization);
+            });
+        });
+
+    });
+
+    describe('Test Invalid Slots', function() {
+
+        it('should reject invalid slot names', async function() {
+            await assert.rejects(async function() {
+                await proxy.generateKeys('');
+            }, isType('$invalidSlot'));
+            await assert.rejects(async function() {
+                await proxy.signBytes(bytes, 'x'.repeat(65));
+            }, isType('$invalidSlot'));
+            await proxy.close();
+        });
+
+    });
+
+});
@@ -0,0 +1,200 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const crypto = require('crypto');
+const fs = require('fs');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const directory = 'test/config/suites/';
+const device = hsm.simulator(directory + 'v3/', debug, { protocol: 'v3' });
+
+// the expected sizes of the keys, digests and signatures for each v3 suite
+const suites = {
+    'sha256-p256': { protocol: 'v3', digest: 'sha256', key: 65, digestSize: 32, signature: 64 },
+    'sha3-512-ed448': { protocol: 'v3', digest: 'sha3-512', key: 57, digestSize: 64, signature: 114 }
+};
+
+// creates a proxy that uses the specified suite to talk to the specified device
+const createProxy = function(name, suite, hardware) {
+    return hsm.proxy(directory + name + '/', debug, {
+        transport: hsm.localTransport(hardware || device, debug),
+        passphrase: 'secret',
+        suite: suite
+    });
+};
+
+// validates a signature using the node.js crypto library, as a partner's verifier would
+const verifyElsewhere = function(suite, publicKey, signature, bytes) {
+    if (suite === 'sha256-p256') {
+        const key = crypto.createPublicKey({
+            key: {
+                kty: 'EC',
+                crv: 'P-256',
+                x: publicKey.slice(1, 33).toString('base64url'),
+                y: publicKey.slice(33).toString('base64url')
+            },
+            format: 'jwk'
+        });
+        return crypto.verify('sha256', bytes, { key: key, dsaEncoding: 'ieee-p1363' }, signature);
+    }
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([Buffer.from('3043300506032b6571033a00', 'hex'), publicKey]),
+        format: 'der',
+        type: 'spki'
+    });
+    return crypto.verify(null, bytes, key, signature);
+};
+
+describe('Bali Nebula™ HSM Algorithm Suites', function() {
+
+    const bytes = Buffer.from('This is a test...');
+
+    Object.keys(suites).forEach(function(name) {
+        const expected = suites[name];
+
+        describe('Test the ' + name + ' Suite', function() {
+
+            const proxy = createProxy(name, name);
+            var publicKey;
+
+            it('should report its protocol and algorithms', async function() {
+                expect((await proxy.getProtocol()).toString()).to.equal(expected.protocol);
+                const description = proxy.toString();
+                expect(description).to.contain('$protocol: ' + expected.protocol);
+                expect(description).to.contain('"' + expected.digest + '"');
+            });
+
+            it('should generate keys and signatures that others can verify', async function() {
+                await proxy.eraseKeys();
+                publicKey = await proxy.generateKeys();
+                expect(publicKey.getValue().length).to.equal(expected.key);
+                const signature = await proxy.signBytes(bytes);
+                expect(signature.getValue().length).to.equal(expected.signature);
+                expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+                expect(verifyElsewhere(name, publicKey.getValue(), signature.getValue(), bytes)).to.equal(true);
+            });
+
+            it('should digest bytes using the digest algorithm of the suite', async function() {
+                const digest = await proxy.digestBytes(bytes);
+                expect(digest.getValue().length).to.equal(expected.digestSize);
+                expect(digest.getValue().equals(crypto.createHash(expected.digest).update(bytes).digest())).to.equal(true);
+            });
+
+            it('should rotate keys and validate signatures in software', async function() {
+                const previousKey = publicKey;
+                publicKey = await proxy.rotateKeys();
+                const first = await proxy.signBytes(bytes);  // signed using the previous key
+                const second = await proxy.signBytes(bytes);
+                const local = hsm.proxy(directory + name + '/', debug, {
+                    transport: hsm.localTransport(device, debug),
+                    suite: name,
+                    verification: 'local'  // the HSM is not involved
+                });
+                expect(await local.validSignature(previousKey, first, bytes)).to.equal(true);
+                expect(await local.validSignature(publicKey, second, bytes)).to.equal(true);
+                expect(await local.validSignature(publicKey, first, bytes)).to.equal(false);
+                await proxy.eraseKeys();
+                await proxy.close();
+            });
+
+        });
+
+    });
+
+    describe('Test Compatibility', function() {
+
+        it('should use the v2 suite with a device that speaks the v3 protocol', async function() {
+            const proxy = hsm.proxy(directory + 'v2/', debug, {
+                transport: hsm.localTransport(device, debug),
+                passphrase: 'secret'
+            });
+            expect((await proxy.getProtocol()).toString()).to.equal('v2');
+            await proxy.eraseKeys();
+            const publicKey = await proxy.generateKeys();
+            expect(await proxy.validSignature(publicKey, await proxy.signBytes(bytes), bytes)).to.equal(true);
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+        it('should keep the files of each suite apart', async function() {
+            const p256 = createProxy('shared', 'sha256-p256', hsm.simulator(directory + 'shared/p256/', debug, { protocol: 'v3' }));
+            const ed448 = createProxy('shared', 'sha3-512-ed448', hsm.simulator(directory + 'shared/ed448/', debug, { protocol: 'v3' }));
+            await p256.eraseKeys();
+            await ed448.eraseKeys();
+            const first = await p256.generateKeys();
+            const second = await ed448.generateKeys();
+            expect((await p256.getPublicKey()).getValue()).to.deep.equal(first.getValue());
+            expect((await ed448.getPublicKey()).getValue()).to.deep.equal(second.getValue());
+            expect((await ed448.getPublicKey(undefined, 'ssh')).startsWith('ssh-ed448 ')).to.equal(true);
+            expect(fs.existsSync(directory + 'shared/HSMProxyv3-sha256-p256.bali')).to.equal(true);
+            expect(fs.existsSync(directory + 'shared/HSMProxyv3-sha3-512-ed448.bali')).to.equal(true);
+            expect(fs.existsSync(directory + 'shared/HSMProxyv3.bali')).to.equal(false);
+            expect((await ed448.verifyAuditLog()).getAttribute('$valid').isSignificant()).to.equal(true);
+            await p256.eraseKeys();
+            await ed448.eraseKeys();
+            await p256.close();
+            await ed448.close();
+        });
+
+        it('should refuse a backup of the keys for another suite', async function() {
+            const p256 = createProxy('backup/p256', 'sha256-p256');
+            const ed448 = createProxy('backup/ed448', 'sha3-512-ed448');
+            await p256.eraseKeys();
+            await p256.generateKeys();
+            const bundle = await p256.exportBackup('backup passphrase');
+            await assert.rejects(async function() {
+                await ed448.importBackup(bundle, 'backup passphrase');
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$incompatibleSuite';
+            });
+            expect(await ed448.getPublicKey()).to.not.exist;
+            await p256.eraseKeys();
+            await p256.close();
+            await ed448.close();
+        });
+
+        it('should refuse a device that only speaks the v2 protocol', async function() {
+            const older = hsm.simulator(directory + 'older/', debug);
+            const proxy = createProxy('older', 'sha256-p256', older);
+            await assert.rejects(async function() {
+                await proxy.generateKeys();
+            }, function(exception) {
+                return exception.getAttribute('$exception').toString() === '$incompatibleDevice';
+            });
+            await proxy.close();
+        });
+
+        it('should name the module of its protocol in every exception', async function() {
+            const proxy = createProxy('sha256-p256', 'sha256-p256');
+            await assert.rejects(async function() {
+                await proxy.generateKeys('');  // an invalid slot
+            }, function(exception) {
+                const cause = exception.getAttribute('$cause');
+                expect(exception.getAttribute('$module').toString()).to.equal('/bali/notary/v3/HSMProxy');
+                expect(cause.getAttribute('$exception').toString()).to.equal('$invalidSlot');
+                expect(cause.getAttribute('$module').toString()).to.equal('/bali/notary/v3/HSMProxy');
+                return true;
+            });
+            await proxy.close();
+        });
+
+        it('should reject an unknown suite', function() {
+            expect(function() {
+                createProxy('unknown', 'md5-rsa');
+            }).to.throw();
+        });
+
+    });
+
+});
@@ -0,0 +1,170 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const fs = require('fs');
+const net = require('net');
+const stream = require('stream');
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const hsm = require('../');
+const FramedStream = require('../src/v2/FramedStream').FramedStream;
+const directory = 'test/config/transports/';
+fs.rmSync(directory, { recursive: true, force: true });
+
+// prefixes a block (or response) with its length
+const frame = function(bytes) {
+    const header = Buffer.alloc(2);
+    header.writeUInt16BE(bytes.length, 0);
+    return Buffer.concat([header, bytes]);
+};
+
+// serves a simulated device over TCP the way a network attached HSM would
+const serve = function(device) {
+    return net.createServer(function(socket) {
+        var buffered = Buffer.alloc(0);
+        socket.on('data', async function(bytes) {
+            buffered = Buffer.concat([buffered, bytes]);
+            while (buffered.length >= 2 && buffered.length >= buffered.readUInt16BE(0) + 2) {
+                const block = buffered.slice(2, buffered.readUInt16BE(0) + 2);
+                buffered = buffered.slice(block.length + 2);
+                socket.write(frame(await device.processBlock(block)));
+            }
+        });
+    });
+};
+
+describe('Bali Nebula™ HSM Transports', function() {
+
+    describe('Test Framed Streams', function() {
+
+        it('should reassemble a response that is split across chunks', async function() {
+            const readable = new stream.PassThrough();
+            const writable = new stream.PassThrough();
+            const framed = new FramedStream(readable, writable, debug);
+            const result = framed.processBlock(Buffer.from('request'));
+            expect(writable.read().toString()).to.equal(frame(Buffer.from('request')).toString());
+            const response = frame(Buffer.from('a response'));
+            for (var index = 0; index < response.length; index++) {
+                readable.write(response.slice(index, index + 1));
+            }
+            expect((await result).toString()).to.equal('a response');
+        });
+
+        it('should separate several responses that arrive in one chunk', async function() {
+            const readable = new stream.PassThrough();
+            const writable = new stream.PassThrough();
+            const framed = new FramedStream(readable, writable, debug);
+            var result = framed.processBlock(Buffer.from('first'));
+            const last = frame(Buffer.from('third'));
+            readable.write(Buffer.concat([
+                frame(Buffer.from('first')),
+                frame(Buffer.from('unexpected')),  // nothing is waiting for this one
+                last.slice(0, 3)
+            ]));
+            expect((await result).toString()).to.equal('first');
+            result = framed.processBlock(Buffer.from('third'));
+            readable.write(last.slice(3));
+            expect((await result).toString()).to.equal('third');
+        });
+
+        it('should fail the outstanding block when the stream closes', async function() {
+            const readable = new stream.PassThrough();
+            const framed = new FramedStream(readable, new stream.PassThrough(), debug);
+            const result = framed.processBlock(Buffer.from('request'));
+            readable.destroy();
+            await assert.rejects(result, /closed/);
+        });
+
+    });
+
+    describe('Test the TCP Transport', function() {
+
+        var server, port;
+
+        before(async function() {
+            server = serve(hsm.simulator(directory + 'device/', debug));
+            await new Promise(function(resolve) {
+                server.listen(0, '127.0.0.1', resolve);
+            });
+            port = server.address().port;
+        });
+
+        after(async function() {
+            await new Promise(function(resolve) {
+                server.close(resolve);
+            });
+        });
+
+        it('should generate keys and sign over a TCP connection', async function() {
+            const proxy = hsm.proxy(directory + 'proxy/', debug, {
+                transport: hsm.tcpTransport('127.0.0.1', port, debug),
+                passphrase: 'secret'
+            });
+            const bytes = Buffer.from('This is a test...');
+            await proxy.eraseKeys();
+            const publicKey = await proxy.generateKeys();
+            const signature = await proxy.signBytes(bytes);
+            expect(await proxy.validSignature(publicKey, signature, bytes)).to.equal(true);
+            expect((await proxy.getDeviceInfo()).getAttribute('$serialNumber')).to.exist;
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+        it('should fail to connect when nothing is listening', async function() {
+            const transport = hsm.tcpTransport('127.0.0.1', 1, debug);
+            await assert.rejects(transport.connect(), function(exception) {
+                return exception.getAttribute('$exception').toString() === '$noConnection';
+            });
+        });
+
+        it('should disconnect from an HSM that never closes its end of the connection', async function() {
+            const sockets = [];
+            const silent = net.createServer({ allowHalfOpen: true }, function(socket) {
+                sockets.push(socket);  // the server never ends the socket
+            });
+            await new Promise(function(resolve) {
+                silent.listen(0, '127.0.0.1', resolve);
+            });
+            const transport = hsm.tcpTransport('127.0.0.1', silent.address().port, debug);
+            await transport.connect();
+            await transport.disconnect();
+            expect(transport.isConnected()).to.equal(false);
+            await transport.connect();
+            sockets[1].resetAndDestroy();  // the HSM drops the link first
+            await new Promise(function(resolve) { setTimeout(resolve, 50); });
+            await transport.disconnect();
+            sockets.forEach(function(socket) {
+                socket.destroy();
+            });
+            await new Promise(function(resolve) {
+                silent.close(resolve);
+            });
+        });
+
+    });
+
+    describe('Test the Serial Transport', function() {
+
+        it('should refuse a device that is not a terminal', async function() {
+            fs.mkdirSync(directory, { recursive: true });
+            fs.writeFileSync(directory + 'ttyACM0', '');
+            const transport = hsm.serialTransport(directory + 'ttyACM0', debug);
+            await assert.rejects(transport.connect(), function(exception) {
+                return exception.getAttribute('$exception').toString() === '$noConnection';
+            });
+            expect(transport.isConnected()).to.equal(false);
+        });
+
+    });
+
+});
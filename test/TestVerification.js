@@ -0,0 +1,125 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // debug level [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api();
+const hsm = require('../');
+const directory = 'test/config/verification/';
+
+// a simulated device whose responses can be tampered with
+const simulator = hsm.simulator(directory + 'device/', debug);
+var tampering = false;
+const device = {
+    getDeviceId: async function() {
+        return await simulator.getDeviceId();
+    },
+    processBlock: async function(block) {
+        const response = Buffer.from(await simulator.processBlock(block));
+        if (tampering) response[0] = response.length > 1 ? response[0] ^ 0xFF : response[0] ^ 0x01;
+        return response;
+    }
+};
+
+// a transport that never finds a device
+const absent = {
+    connect: async function() {
+        throw Error('No HSM found.');
+    },
+    processBlock: async function(block) {
+        throw Error('The transport is not connected to an HSM.');
+    },
+    disconnect: async function() {}
+};
+
+// checks the type of a rejected exception
+const isType = function(type) {
+    return function(exception) {
+        return exception.getAttribute('$exception').toString() === type;
+    };
+};
+
+describe('Bali Nebula™ HSM Verification Modes', function() {
+
+    const bytes = Buffer.from('This is a test...');
+    const resilience = { attempts: 1 };
+    const proxy = hsm.proxy(directory + 'device/proxy/', debug, {
+        transport: hsm.localTransport(device, debug), passphrase: 'secret'
+    });
+    const local = hsm.proxy(directory + 'local/', debug, {
+        transport: absent, verification: 'local', resilience: resilience
+    });
+    const checked = hsm.proxy(directory + 'checked/', debug, {
+        transport: hsm.localTransport(device, debug), verification: 'crossCheck', resilience: resilience
+    });
+    var publicKey, signature, digest;
+
+    describe('Test Local Verification', function() {
+
+        it('should generate a signature on the device', async function() {
+            await proxy.eraseKeys();
+            publicKey = await proxy.generateKeys();
+            signature = await proxy.signBytes(bytes);
+            digest = await proxy.digestBytes(bytes);
+        });
+
+        it('should digest bytes without the device', async function() {
+            const result = await local.digestBytes(bytes);
+            expect(result.toString()).to.equal(digest.toString());
+        });
+
+        it('should validate signatures without the device', async function() {
+            expect(await local.validSignature(publicKey, signature, bytes)).to.equal(true);
+            expect(await local.validSignature(publicKey, signature, Buffer.from('Tampered bytes...'))).to.equal(false);
+            expect(await local.validSignature(bali.binary(Buffer.alloc(10)), signature, bytes)).to.equal(false);
+        });
+
+        it('should still require the device for signing', async function() {
+            await assert.rejects(async function() {
+                await local.generateKeys();
+            });
+        });
+
+    });
+
+    describe('Test Cross Checked Verification', function() {
+
+        it('should agree with an honest device', async function() {
+            const result = await checked.digestBytes(bytes);
+            expect(result.toString()).to.equal(digest.toString());
+            expect(await checked.validSignature(publicKey, signature, bytes)).to.equal(true);
+        });
+
+        it('should detect a device that returns the wrong results', async function() {
+            tampering = true;
+            await assert.rejects(async function() {
+                await checked.digestBytes(bytes);
+            }, isType('$inconsistentResult'));
+            await assert.rejects(async function() {
+                await checked.validSignature(publicKey, signature, bytes);
+            }, isType('$inconsistentResult'));
+            tampering = false;
+            await checked.close();
+            await proxy.eraseKeys();
+            await proxy.close();
+        });
+
+        it('should reject an unknown verification mode', function() {
+            assert.throws(function() {
+                hsm.proxy(directory + 'invalid/', debug, { verification: 'sometimes' });
+            }, isType('$invalidOption'));
+        });
+
+    });
+
+});